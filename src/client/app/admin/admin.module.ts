@@ -0,0 +1,39 @@
+import { NgModule } from '@angular/core';
+import { CommonModule } from '@angular/common';
+
+import { UsersComponent } from './users/users.component';
+import { UsersResolver } from './users.resolver';
+import { AdminService } from './admin.service';
+import { RouterModule } from '@angular/router';
+import { MatButtonModule } from '@angular/material';
+import { FormsModule } from '@angular/forms';
+import { LoggedInGuard } from '../core/auth/logged-in.guard';
+import { AdminGuard } from '../core/auth/admin.guard';
+
+
+const adminRoutes = [
+  {
+    path: 'admin',
+    canActivateChild: [LoggedInGuard, AdminGuard],
+    children: [
+      { path: '**', component: UsersComponent, resolve: { users: UsersResolver } }
+    ]
+  }
+];
+
+
+@NgModule({
+  imports: [
+    CommonModule,
+    FormsModule,
+    MatButtonModule,
+    RouterModule.forChild(adminRoutes)
+  ],
+  declarations: [UsersComponent],
+  providers: [
+    UsersResolver,
+    AdminService
+  ]
+})
+export class AdminModule {
+}
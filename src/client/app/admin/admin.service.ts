@@ -0,0 +1,19 @@
+import { Injectable } from '@angular/core';
+import { Observable } from 'rxjs/Observable';
+
+import { ApiService } from '../core/api.service';
+
+@Injectable()
+export class AdminService {
+
+  constructor(private api: ApiService) {
+  }
+
+  getUsers(page = 1, search = ''): Observable<any> {
+    return this.api.get('admin/users', { p: page, search });
+  }
+
+  updateUser(login: string, changes: { role?: string, discordId?: string }): Observable<any> {
+    return this.api.post(`admin/users/${login}`, changes);
+  }
+}
@@ -0,0 +1,14 @@
+import { Injectable } from '@angular/core';
+
+import { AdminService } from './admin.service';
+import { Resolve } from '@angular/router';
+
+@Injectable()
+export class UsersResolver implements Resolve<any> {
+  constructor(private admin: AdminService) {
+  }
+
+  resolve() {
+    return this.admin.getUsers();
+  }
+}
@@ -0,0 +1,63 @@
+import { Component, OnInit } from '@angular/core';
+import { ActivatedRoute } from '@angular/router';
+
+import { AdminService } from '../admin.service';
+import { AuthService } from '../../core/auth/auth.service';
+import * as Roles from '../../../../shared/roles';
+
+@Component({
+  selector: 'app-users',
+  templateUrl: './users.component.html',
+  styleUrls: ['./users.component.css']
+})
+export class UsersComponent implements OnInit {
+
+  data;
+  search = '';
+  error: string;
+  roles = Roles.ROLES;
+
+  constructor(private route: ActivatedRoute, private service: AdminService, private auth: AuthService) {
+  }
+
+  get name() {
+    return this.auth.loginName;
+  }
+
+  ngOnInit() {
+    this.route.data.forEach((data) => {
+      this.data = data.users;
+    });
+  }
+
+  onSearch(search: string) {
+    this.search = search.trim();
+    this.onPageChange(1);
+  }
+
+  onPageChange(p: number) {
+    this.error = null;
+    this.service.getUsers(p, this.search)
+      .subscribe(
+        data => this.data = data,
+        err => this.error = err.error.message
+      );
+  }
+
+  onRoleChange(index: number, role: string) {
+    this.update(index, { role });
+  }
+
+  onDiscordIdChange(index: number, discordId: string) {
+    this.update(index, { discordId: discordId.trim() });
+  }
+
+  private update(index: number, changes) {
+    this.error = null;
+    this.service.updateUser(this.data.docs[index].login, changes)
+      .subscribe(
+        user => this.data.docs[index] = user,
+        err => this.error = err.error.message
+      );
+  }
+}
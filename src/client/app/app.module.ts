@@ -14,13 +14,20 @@ import { ErrorComponent } from './error/error.component';
 import { GameModule } from "./game/game.module";
 import { CoreModule } from './core/core.module';
 import { MenuComponent } from './menu/menu.component';
+import { AccountComponent } from './menu/account/account.component';
+import { ResetPasswordComponent } from './login/reset-password/reset-password.component';
 import { WordsModule } from './words/words.module';
+import { DrawingsModule } from './drawings/drawings.module';
+import { ProfilesModule } from './profiles/profiles.module';
+import { AdminModule } from './admin/admin.module';
 import { LoggedInGuard } from './core/auth/logged-in.guard';
 
 const appRoutes: Routes = [
   { path: '', component: MenuComponent, canActivate: [LoggedInGuard] },
   { path: 'login', component: LoginComponent },
-  { path: 'game', component: GameComponent, canActivate: [LoggedInGuard] },
+  { path: 'reset-password', component: ResetPasswordComponent },
+  { path: 'account', component: AccountComponent, canActivate: [LoggedInGuard] },
+  { path: 'game/:room', component: GameComponent, canActivate: [LoggedInGuard] },
   { path: '**', component: ErrorComponent }
 ];
 
@@ -29,13 +36,18 @@ const appRoutes: Routes = [
     AppComponent,
     LoginComponent,
     ErrorComponent,
-    MenuComponent
+    MenuComponent,
+    AccountComponent,
+    ResetPasswordComponent
   ],
   imports: [
+    AdminModule,
     BrowserModule,
     CoreModule,
+    DrawingsModule,
     GameModule,
     HttpClientModule,
+    ProfilesModule,
     ReactiveFormsModule,
     MatButtonModule,
     RouterModule.forRoot(
@@ -1,6 +1,7 @@
 import { Injectable } from '@angular/core';
 import { HttpClient } from '@angular/common/http'
 import { Observable } from 'rxjs/Observable';
+import { Subject } from 'rxjs/Subject';
 import 'rxjs/add/operator/do';
 
 
@@ -8,20 +9,34 @@ import 'rxjs/add/operator/do';
 export class ApiService {
 
   defaultOptions = { headers: { 'Content-Type': 'application/json; charset=utf-8', 'authorization': '' } };
+  unauthorized = new Subject<void>();
 
   constructor(private http: HttpClient) {
   }
 
   delete(url: string, params = {}): Observable<any> {
-    return this.http.delete(`api/${url}`, { ...this.defaultOptions, params });
+    return this.handleErrors(this.http.delete(`api/${url}`, { ...this.defaultOptions, params }));
   }
 
   get(url: string, params = {}): Observable<any> {
-    return this.http.get(`api/${url}`, { ...this.defaultOptions, params });
+    return this.handleErrors(this.http.get(`api/${url}`, { ...this.defaultOptions, params }));
+  }
+
+  getBlob(url: string, params = {}): Observable<Blob> {
+    return this.handleErrors(this.http.get(`api/${url}`, { headers: this.defaultOptions.headers, params, responseType: 'blob' }));
   }
 
   post(url: string, payload): Observable<any> {
     const body = JSON.stringify(payload);
-    return this.http.post(`api/${url}`, body, this.defaultOptions);
+    return this.handleErrors(this.http.post(`api/${url}`, body, this.defaultOptions));
+  }
+
+  // the session expired or was revoked
+  private handleErrors<T>(request: Observable<T>): Observable<T> {
+    return request.do(() => {}, error => {
+      if (error.status === 401) {
+        this.unauthorized.next();
+      }
+    });
   }
 }
@@ -0,0 +1,28 @@
+import { Injectable } from '@angular/core';
+import { CanActivate, CanActivateChild, Router } from '@angular/router';
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/operator/map';
+
+import { AuthService } from './auth.service';
+import * as Roles from '../../../../shared/roles';
+
+@Injectable()
+export class AdminGuard implements CanActivate, CanActivateChild {
+
+  constructor(private auth: AuthService, private router: Router) {
+  }
+
+  canActivate(): Observable<boolean> {
+    return this.auth.isLoggedIn
+      .map(loggedIn => loggedIn && this.auth.hasRole(Roles.ADMIN))
+      .do(isAdmin => {
+        if (!isAdmin) {
+          this.router.navigate(['/']);
+        }
+      });
+  }
+
+  canActivateChild(): Observable<boolean> {
+    return this.canActivate();
+  }
+}
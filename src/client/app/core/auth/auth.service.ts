@@ -1,4 +1,5 @@
 import { Injectable } from '@angular/core';
+import { Router } from '@angular/router';
 import { Observable } from 'rxjs/Observable';
 import 'rxjs/add/operator/do';
 import 'rxjs/add/operator/map';
@@ -7,6 +8,7 @@ import 'rxjs/add/observable/of';
 import { ApiService } from '../api.service';
 import { CookiesService } from '../cookies.service';
 import { ReplaySubject } from 'rxjs/ReplaySubject';
+import * as Roles from '../../../../shared/roles';
 
 @Injectable()
 export class AuthService {
@@ -15,12 +17,19 @@ export class AuthService {
 
   token: string;
   private _loginName: string;
+  private _role: string = Roles.PLAYER;
   private _loggedIn = new ReplaySubject<boolean>(1);
 
-  constructor(private api: ApiService, private cookies: CookiesService) {
+  constructor(private api: ApiService, private cookies: CookiesService, private router: Router) {
+    this.api.unauthorized.subscribe(() => {
+      if (this.token) {
+        this.clearSession();
+        this.router.navigate(['/login']);
+      }
+    });
     this.token = this.cookies.getCookie(this.COOKIE_TOKEN);
     if (this.token) {
-      this.autoLogin().subscribe(() => {}, () => this.logout());
+      this.autoLogin().subscribe(() => {}, () => this.clearSession());
     } else {
       this._loggedIn.next(false);
     }
@@ -34,6 +43,15 @@ export class AuthService {
     return this._loginName;
   }
 
+  get role(): string {
+    return this._role;
+  }
+
+  // only decides what to show, the server checks roles on its own
+  hasRole(role: string): boolean {
+    return Roles.hasRole({ role: this._role }, role);
+  }
+
   autoLogin() {
     return this.api.post('autoLogin', { token: this.token })
       .do((x) => this.storeProfile(x));
@@ -44,16 +62,45 @@ export class AuthService {
       .do((x) => this.storeProfile(x));
   }
 
+  changePassword(currentPassword: string, password: string): Observable<any> {
+    return this.api.post('password', { currentPassword, password });
+  }
+
+  requestPasswordReset(login: string): Observable<any> {
+    return this.api.post('password/reset', { login });
+  }
+
+  resetPassword(login: string, code: string, password: string): Observable<any> {
+    return this.api.post('password/reset/confirm', { login, code, password })
+      .do((x) => this.storeProfile(x));
+  }
+
+  deleteAccount(password: string): Observable<any> {
+    return this.api.post('account/delete', { password })
+      .do(() => this.clearSession());
+  }
+
+  // the session is revoked on the server as well so the token can not be used again
   logout() {
+    if (this.token) {
+      this.api.post('logout', {}).subscribe(() => {}, () => {});
+    }
+    this.clearSession();
+  }
+
+  clearSession() {
     this.token = null;
+    this._role = Roles.PLAYER;
     this.cookies.deleteCookie(this.COOKIE_TOKEN);
-    delete this.api.defaultOptions.headers.authorization;
+    // replaced rather than changed, requests still on their way keep the old headers
+    this.api.defaultOptions.headers = { ...this.api.defaultOptions.headers, authorization: '' };
     this._loggedIn.next(false);
   }
 
   storeProfile(data) {
     this.token = data.token;
     this._loginName = data.login;
+    this._role = data.role;
     this.api.defaultOptions.headers.authorization = this.token;
     this.cookies.setCookie(this.COOKIE_TOKEN, this.token);
     this._loggedIn.next(true);
@@ -17,6 +17,12 @@ export class ChatService {
     this.communication.incomingMessages.subscribe(({ type, data }) => {
       if (type === ChatMessage.type) {
         this.addMessage(data);
+      } else if (type === 'disconnect') {
+        this._messages = [];
+      } else if (type === 'connection-lost') {
+        // the server sends recent chat again once we are back
+        this._messages = [];
+        this.addSystemError('Connection lost, reconnecting...');
       }
     });
   }
@@ -0,0 +1,34 @@
+import { Injectable } from '@angular/core';
+
+import { ApiService } from '../api.service';
+
+@Injectable()
+export class ColorsService {
+
+  // colors the user drew with lately, the latest first
+  recentColors: string[] = [];
+
+  constructor(private api: ApiService) {
+  }
+
+  loadRecentColors() {
+    this.api.get('account/colors')
+      .subscribe(
+        colors => this.recentColors = colors,
+        err => console.error(err)
+      );
+  }
+
+  // called when a stroke starts, the server only hears about colors that were not the latest already
+  useColor(color: string) {
+    if (this.recentColors[0] === color) {
+      return;
+    }
+    this.recentColors = [color, ...this.recentColors.filter(recent => recent !== color)];
+    this.api.post('account/colors', { color })
+      .subscribe(
+        colors => this.recentColors = colors,
+        err => console.error(err)
+      );
+  }
+}
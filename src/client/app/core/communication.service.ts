@@ -4,8 +4,13 @@ import { Subject } from 'rxjs/Subject';
 import * as io from 'socket.io-client';
 
 import * as HandshakeMessage from '../../../shared/messages/handshake-message';
+import * as ErrorMessage from '../../../shared/messages/error-message';
+import * as RoomMessage from '../../../shared/messages/room-message';
 import { AuthService } from './auth/auth.service';
 
+// the server holds a seat for 30 seconds, give up a bit later than that
+const RECONNECTION_ATTEMPTS = 10;
+
 interface Message {
   getType;
   getPayload;
@@ -17,6 +22,8 @@ export class CommunicationService {
   socket;
 
   private _name: string;
+  private _room;
+  private _error: string;
   private _incomingMessages: Subject<any>;
 
   constructor(private auth: AuthService, private router: Router) {
@@ -31,12 +38,27 @@ export class CommunicationService {
     return this._name;
   }
 
-  init() {
+  get room() {
+    return this._room;
+  }
+
+  get isHost() {
+    return !!this._room && this._room.host === this._name;
+  }
+
+  // private rooms only let in players with the invite code
+  init(roomId: string, inviteCode?: string) {
     if (!this.auth.token) {
       throw 'Token missing!';
     }
 
-    this.socket = io(window.location.origin, { reconnection: false });
+    this._room = { id: roomId };
+    this._error = null;
+    // the token is checked before the connection is accepted, reconnects reuse it
+    this.socket = io(window.location.origin, {
+      query: { token: this.auth.token },
+      reconnectionAttempts: RECONNECTION_ATTEMPTS
+    });
 
     const onevent = this.socket.onevent;
     this.socket.onevent = function (packet) {
@@ -48,18 +70,38 @@ export class CommunicationService {
 
     this.socket.on('connect', () => {
       console.log('Websocket connection established.');
-      this.send(new HandshakeMessage(this.auth.token))
+      this.send(new HandshakeMessage(roomId, inviteCode))
     });
 
-    this.socket.on('disconnect', () => {
-      console.log('Websocket connection closed.');
-      window.alert('Yo have been disconnected from the game!');
-      this._incomingMessages.next({ type: 'disconnect' });
-      this.router.navigate(['/']);
+    // the handshake is sent again on reconnect and the server resumes the game where we left
+    this.socket.on('disconnect', reason => {
+      console.log(`Websocket connection closed (${reason}).`);
+      if (reason === 'io server disconnect' || reason === 'io client disconnect') {
+        this.leave();
+        return;
+      }
+      this._incomingMessages.next({ type: 'connection-lost' });
     });
 
-    this.socket.on([HandshakeMessage.type], ({ name }) => {
+    this.socket.on('reconnect_failed', () => this.leave());
+
+    // the server refused the connection
+    this.socket.on('error', error => {
+      this._error = error;
+      this.leave();
+    });
+
+    this.socket.on([HandshakeMessage.type], ({ name, room }) => {
       this._name = name;
+      this._room = room;
+    });
+
+    this.socket.on([RoomMessage.type], room => {
+      this._room = room;
+    });
+
+    this.socket.on([ErrorMessage.type], ({ message }) => {
+      this._error = message;
     });
 
     this.socket.on("*", (type, data) => {
@@ -71,6 +113,12 @@ export class CommunicationService {
     this.socket.disconnect();
   }
 
+  private leave() {
+    window.alert(this._error || 'Yo have been disconnected from the game!');
+    this._incomingMessages.next({ type: 'disconnect' });
+    this.router.navigate(['/']);
+  }
+
   send(message: Message) {
     this.socket.emit(message.getType(), message.getPayload());
   }
@@ -8,8 +8,11 @@ import { CommunicationService } from './communication.service';
 import { PlayersService } from './players.service';
 import { SoundsService } from './sounds.service';
 import { LoggedInGuard } from './auth/logged-in.guard';
+import { AdminGuard } from './auth/admin.guard';
 import { DiscordService } from './discord/discord.service';
 import { ChatService } from './chat/chat.service';
+import { RoomsService } from './rooms/rooms.service';
+import { ColorsService } from './colors/colors.service';
 
 @NgModule({
   imports: [
@@ -17,14 +20,17 @@ import { ChatService } from './chat/chat.service';
   ],
   declarations: [],
   providers: [
+    AdminGuard,
     ApiService,
     AuthService,
     ChatService,
+    ColorsService,
     CommunicationService,
     CookiesService,
     DiscordService,
     LoggedInGuard,
     PlayersService,
+    RoomsService,
     SoundsService
   ]
 })
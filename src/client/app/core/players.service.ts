@@ -45,6 +45,7 @@ export class PlayersService {
           this._players.forEach(player => player.guessed = false);
           break;
         case 'disconnect':
+        case 'connection-lost':
           this._players = [];
           break;
       }
@@ -0,0 +1,23 @@
+import { Injectable } from '@angular/core';
+import { Observable } from 'rxjs/Observable';
+
+import { ApiService } from '../api.service';
+
+@Injectable()
+export class RoomsService {
+
+  constructor(private api: ApiService) {
+  }
+
+  getRooms(): Observable<any> {
+    return this.api.get('rooms');
+  }
+
+  getRoomByInviteCode(code: string): Observable<any> {
+    return this.api.get(`rooms/invite/${code}`);
+  }
+
+  createRoom(name: string, isPrivate = false, language?: string): Observable<any> {
+    return this.api.post('rooms', { name, isPrivate, language });
+  }
+}
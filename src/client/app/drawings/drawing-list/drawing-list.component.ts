@@ -0,0 +1,30 @@
+import { Component, OnInit } from '@angular/core';
+import { ActivatedRoute } from '@angular/router';
+import { DrawingsService } from '../drawings.service';
+
+@Component({
+  selector: 'app-drawing-list',
+  templateUrl: './drawing-list.component.html',
+  styleUrls: ['./drawing-list.component.css']
+})
+export class DrawingListComponent implements OnInit {
+
+  data;
+
+  constructor(private route: ActivatedRoute, private service: DrawingsService) {
+  }
+
+  ngOnInit() {
+    this.route.data.forEach((data) => {
+      this.data = data.drawings;
+    });
+  }
+
+  onPageChange(p: number) {
+    this.service.getDrawings(p)
+      .subscribe(
+        data => this.data = data,
+        error => window.alert(`Error occured!\n${error.message}`)
+      );
+  }
+}
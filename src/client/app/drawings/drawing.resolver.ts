@@ -0,0 +1,14 @@
+import { Injectable } from '@angular/core';
+
+import { DrawingsService } from './drawings.service';
+import { ActivatedRouteSnapshot, Resolve } from '@angular/router';
+
+@Injectable()
+export class DrawingResolver implements Resolve<any> {
+  constructor(private drawings: DrawingsService) {
+  }
+
+  resolve(route: ActivatedRouteSnapshot) {
+    return this.drawings.getDrawing(route.paramMap.get('id'));
+  }
+}
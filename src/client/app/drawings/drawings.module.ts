@@ -0,0 +1,40 @@
+import { NgModule } from '@angular/core';
+import { CommonModule } from '@angular/common';
+
+import { DrawingListComponent } from './drawing-list/drawing-list.component';
+import { ReplayComponent } from './replay/replay.component';
+import { DrawingsResolver } from './drawings.resolver';
+import { DrawingResolver } from './drawing.resolver';
+import { DrawingsService } from './drawings.service';
+import { RouterModule } from '@angular/router';
+import { MatButtonModule } from '@angular/material';
+import { LoggedInGuard } from '../core/auth/logged-in.guard';
+
+
+const drawingsRoutes = [
+  {
+    path: 'drawings',
+    canActivateChild: [LoggedInGuard],
+    children: [
+      { path: '', component: DrawingListComponent, resolve: { drawings: DrawingsResolver } },
+      { path: ':id', component: ReplayComponent, resolve: { drawing: DrawingResolver } }
+    ]
+  }
+];
+
+
+@NgModule({
+  imports: [
+    CommonModule,
+    MatButtonModule,
+    RouterModule.forChild(drawingsRoutes)
+  ],
+  declarations: [DrawingListComponent, ReplayComponent],
+  providers: [
+    DrawingResolver,
+    DrawingsResolver,
+    DrawingsService
+  ]
+})
+export class DrawingsModule {
+}
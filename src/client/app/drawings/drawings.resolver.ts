@@ -0,0 +1,14 @@
+import { Injectable } from '@angular/core';
+
+import { DrawingsService } from './drawings.service';
+import { Resolve } from '@angular/router';
+
+@Injectable()
+export class DrawingsResolver implements Resolve<any> {
+  constructor(private drawings: DrawingsService) {
+  }
+
+  resolve() {
+    return this.drawings.getDrawings();
+  }
+}
@@ -0,0 +1,23 @@
+import { Injectable } from '@angular/core';
+import { Observable } from 'rxjs/Observable';
+
+import { ApiService } from '../core/api.service';
+
+@Injectable()
+export class DrawingsService {
+
+  constructor(private api: ApiService) {
+  }
+
+  getDrawings(page = 1): Observable<any> {
+    return this.api.get('drawings', { p: page });
+  }
+
+  getDrawing(id: string): Observable<any> {
+    return this.api.get(`drawings/${id}`);
+  }
+
+  getTimelapse(id: string): Observable<Blob> {
+    return this.api.getBlob(`drawings/${id}/timelapse.gif`);
+  }
+}
@@ -0,0 +1,143 @@
+import { Component, OnInit, ViewChild, ElementRef, OnDestroy } from '@angular/core';
+import { ActivatedRoute } from '@angular/router';
+
+import * as StrokeList from '../../../../shared/drawing/stroke-list';
+
+import { CanvasPainter } from '../../game/canvas-painter';
+import { DrawingsService } from '../drawings.service';
+
+@Component({
+  selector: 'app-replay',
+  templateUrl: './replay.component.html',
+  styleUrls: ['./replay.component.css']
+})
+export class ReplayComponent implements OnInit, OnDestroy {
+  @ViewChild('canvas') canvas: ElementRef;
+
+  width = 800;
+  height = 600;
+  speeds = [0.5, 1, 2, 4, 8];
+  speed = 1;
+
+  drawing;
+  painter: CanvasPainter;
+  strokeList = new StrokeList();
+  time = 0;
+  nextEvent = 0;
+  isPlaying = false;
+  isExporting = false;
+  lastFrameTime: number = null;
+  animationFrame: number = null;
+
+  constructor(private route: ActivatedRoute, private service: DrawingsService) {
+  }
+
+  get duration() {
+    return this.drawing.duration;
+  }
+
+  get progress() {
+    return this.duration ? Math.min(100, Math.round(100 * this.time / this.duration)) : 100;
+  }
+
+  get isFinished() {
+    return this.nextEvent >= this.drawing.events.length;
+  }
+
+  ngOnInit() {
+    this.drawing = this.route.snapshot.data.drawing;
+    const canvas = this.canvas.nativeElement;
+    canvas.height = this.height;
+    canvas.width = this.width;
+    const context = canvas.getContext('2d');
+    context.imageSmoothingEnabled = false;
+    this.painter = new CanvasPainter(context, this.width, this.height);
+    this.restart();
+    this.play();
+  }
+
+  ngOnDestroy() {
+    this.pause();
+  }
+
+  play() {
+    if (this.isFinished) {
+      this.restart();
+    }
+    this.isPlaying = true;
+    this.lastFrameTime = null;
+    this.animationFrame = requestAnimationFrame(time => this.onAnimationFrame(time));
+  }
+
+  pause() {
+    this.isPlaying = false;
+    cancelAnimationFrame(this.animationFrame);
+  }
+
+  restart() {
+    this.time = 0;
+    this.nextEvent = 0;
+    this.strokeList.reset();
+    this.painter.clear();
+  }
+
+  skipToEnd() {
+    this.pause();
+    this.time = this.duration;
+    this.advance(Infinity);
+  }
+
+  onAnimationFrame(frameTime: number) {
+    if (this.lastFrameTime !== null) {
+      this.time += (frameTime - this.lastFrameTime) * this.speed;
+    }
+    this.lastFrameTime = frameTime;
+    this.advance(this.time);
+    if (this.isFinished) {
+      this.isPlaying = false;
+      return;
+    }
+    this.animationFrame = requestAnimationFrame(time => this.onAnimationFrame(time));
+  }
+
+  // plays events up to the given time, undo and redo need the whole drawing painted again
+  advance(time: number) {
+    const { events } = this.drawing;
+    let needsRedraw = false;
+    while (this.nextEvent < events.length && events[this.nextEvent].time <= time) {
+      const { data } = events[this.nextEvent++];
+      this.strokeList.apply(data);
+      if (data.tool === 'undo' || data.tool === 'redo') {
+        needsRedraw = true;
+      } else if (!needsRedraw) {
+        this.painter.paint(data);
+      }
+    }
+    if (needsRedraw) {
+      this.painter.clear();
+      this.painter.paintAll(this.strokeList.getMessages());
+    }
+  }
+
+  exportGif() {
+    this.isExporting = true;
+    this.service.getTimelapse(this.drawing._id)
+      .subscribe(
+        blob => {
+          const url = URL.createObjectURL(blob);
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = `${this.drawing.word}.gif`;
+          document.body.appendChild(link);
+          link.click();
+          document.body.removeChild(link);
+          URL.revokeObjectURL(url);
+          this.isExporting = false;
+        },
+        error => {
+          window.alert(`Export failed!\n${error.message}`);
+          this.isExporting = false;
+        }
+      );
+  }
+}
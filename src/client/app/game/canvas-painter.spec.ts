@@ -0,0 +1,8 @@
+import { CanvasPainter } from './canvas-painter';
+
+describe('CanvasPainter', () => {
+  it('should create', () => {
+    const canvas = document.createElement('canvas');
+    expect(new CanvasPainter(canvas.getContext('2d'), 800, 600)).toBeTruthy();
+  });
+});
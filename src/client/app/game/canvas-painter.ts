@@ -0,0 +1,324 @@
+import * as colorString from 'color-string';
+
+import * as Shapes from '../../../shared/drawing/shapes';
+import * as Colors from '../../../shared/drawing/colors';
+import * as Smoothing from '../../../shared/drawing/smoothing';
+
+// bounds of the points with their thickness
+const getBounds = (points: any[]) => {
+  let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+  points.forEach(({ x, y, thickness }) => {
+    const radius = thickness / 2 + 1;
+    left = Math.min(left, x - radius);
+    top = Math.min(top, y - radius);
+    right = Math.max(right, x + radius);
+    bottom = Math.max(bottom, y + radius);
+  });
+  return { left, top, right, bottom };
+};
+
+/**
+ * Paints draw messages on a canvas, used by the game and by replays so both look the same.
+ */
+export class CanvasPainter {
+
+  // strokes are painted opaque on the layer, which is laid over the canvas with the opacity of the stroke
+  private layer: HTMLCanvasElement;
+  private layerContext: CanvasRenderingContext2D;
+  // curves change as points are added, only the area around the changed end is painted again over
+  // the canvas as it was before the stroke
+  private stroke: { id: string, color: string, opacity: number, background: ImageData, runs: any[], curves: any[] } = null;
+
+  constructor(private context: CanvasRenderingContext2D, private width: number, private height: number) {
+    this.layer = document.createElement('canvas');
+    this.layer.width = width;
+    this.layer.height = height;
+    this.layerContext = this.layer.getContext('2d');
+  }
+
+  clear() {
+    this.stroke = null;
+    this.context.fillStyle = 'white';
+    this.context.fillRect(0, 0, this.width, this.height);
+  }
+
+  drawImage(image: HTMLImageElement) {
+    this.stroke = null;
+    this.context.drawImage(image, 0, 0);
+  }
+
+  // paints a message as it comes
+  paint(data) {
+    if (!Smoothing.isSmoothed(data)) {
+      this.stroke = null;
+      this.paintMessage(data);
+      return;
+    }
+    if (!this.stroke || this.stroke.id !== data.stroke || !data.stroke) {
+      this.startStroke(data, this.context.getImageData(0, 0, this.width, this.height));
+    }
+    const { runs, curves } = this.stroke;
+    const count = runs.length;
+    const run = Smoothing.addToRuns(runs, data);
+    if (!run) {
+      return;
+    }
+    if (runs.length > count) {
+      curves.push(Smoothing.getCurve(run));
+      this.repaint(this.getArea(run));
+      return;
+    }
+    // the last piece of the curve goes, the new end takes the place of its last point
+    const curve = curves[curves.length - 1];
+    const replaced = curve.slice(-2);
+    const end = Smoothing.getCurveEnd(run);
+    curve.splice(curve.length - 1, 1, ...end);
+    this.repaint(this.getArea(replaced.concat(end)));
+  }
+
+  // paints a whole drawing at once, each stroke only once, the last one can still go on with paint
+  paintAll(messages: any[]) {
+    this.stroke = null;
+    let start = 0;
+    messages.forEach((data, i) => {
+      const next = messages[i + 1];
+      if (next && data.stroke && next.stroke === data.stroke && next.tool === data.tool) {
+        return;
+      }
+      const stroke = messages.slice(start, i + 1);
+      start = i + 1;
+      if (!Smoothing.isSmoothed(data)) {
+        this.stroke = null;
+        stroke.forEach(message => this.paintMessage(message));
+        return;
+      }
+      const isLast = !next && data.stroke;
+      this.startStroke(data, isLast ? this.context.getImageData(0, 0, this.width, this.height) : null);
+      this.stroke.runs = Smoothing.getRuns(stroke);
+      this.stroke.curves = this.stroke.runs.map(Smoothing.getCurve);
+      this.repaint(this.getArea([].concat(...this.stroke.runs)));
+      if (!isLast) {
+        this.stroke = null;
+      }
+    });
+  }
+
+  private startStroke(data, background: ImageData) {
+    this.layerContext.clearRect(0, 0, this.width, this.height);
+    this.stroke = {
+      id: data.stroke,
+      color: data.tool === 'eraser' ? 'white' : data.color,
+      opacity: Colors.getOpacity(data),
+      background,
+      runs: [],
+      curves: []
+    };
+  }
+
+  // shapes are single messages, so translucent ones are simply laid over the canvas
+  private paintMessage(data) {
+    if (!Colors.isTranslucent(data)) {
+      this.draw(this.context, data);
+      return;
+    }
+    this.layerContext.clearRect(0, 0, this.width, this.height);
+    this.draw(this.layerContext, data);
+    this.context.globalAlpha = Colors.getOpacity(data);
+    this.context.drawImage(this.layer, 0, 0);
+    this.context.globalAlpha = 1;
+  }
+
+  // the canvas area the points and their thickness cover
+  private getArea(points: any[]) {
+    const bounds = getBounds(points);
+    const left = Math.max(0, Math.floor(bounds.left - 1));
+    const top = Math.max(0, Math.floor(bounds.top - 1));
+    const right = Math.min(this.width, Math.ceil(bounds.right + 1));
+    const bottom = Math.min(this.height, Math.ceil(bounds.bottom + 1));
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  // the stroke in the area is painted again on the layer, which is laid over the canvas as it was before the stroke
+  private repaint(area) {
+    const { left, top, width, height } = area;
+    if (width <= 0 || height <= 0) {
+      return;
+    }
+    const { context, layerContext, stroke } = this;
+    layerContext.clearRect(left, top, width, height);
+    layerContext.save();
+    layerContext.beginPath();
+    layerContext.rect(left, top, width, height);
+    layerContext.clip();
+    stroke.curves.forEach(curve => this.drawCurve(layerContext, curve, stroke.color, area));
+    layerContext.restore();
+    if (stroke.background) {
+      context.putImageData(stroke.background, 0, 0, left, top, width, height);
+    }
+    context.globalAlpha = stroke.opacity;
+    context.drawImage(this.layer, left, top, width, height, left, top, width, height);
+    context.globalAlpha = 1;
+  }
+
+  // the same pieces the server renderer draws, pen strokes change thickness from piece to piece,
+  // pieces outside the area are left out
+  private drawCurve(context: CanvasRenderingContext2D, curve, color: string, area) {
+    const isInArea = (points: any[]) => {
+      const { left, top, right, bottom } = getBounds(points);
+      return right >= area.left && left <= area.left + area.width && bottom >= area.top && top <= area.top + area.height;
+    };
+    context.strokeStyle = color;
+    context.fillStyle = color;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    if (curve.length === 1) {
+      const [{ x, y, thickness }] = curve;
+      if (isInArea(curve)) {
+        context.beginPath();
+        context.arc(x, y, thickness / 2, 0, 2 * Math.PI);
+        context.fill();
+      }
+      return;
+    }
+    for (let i = 1; i < curve.length; i++) {
+      const start = curve[i - 1];
+      const end = curve[i];
+      if (!isInArea([start, end])) {
+        continue;
+      }
+      context.lineWidth = (start.thickness + end.thickness) / 2;
+      context.beginPath();
+      context.moveTo(start.x, start.y);
+      context.lineTo(end.x, end.y);
+      context.stroke();
+    }
+  }
+
+  // brush and eraser messages are drawn as strokes
+  private draw(context: CanvasRenderingContext2D, data) {
+    context.strokeStyle = data.color;
+    const { tool, x, y, thickness } = data;
+    context.lineWidth = thickness;
+    switch (tool) {
+      case 'bucket':
+        this.bucketTool(x, y, data.color);
+        break;
+      case 'clear':
+        this.clear();
+        break;
+      default:
+        if (Shapes.isShape(tool)) {
+          this.paintShape(context, data);
+        }
+    }
+  }
+
+  // lines join round like the server renderer draws them
+  private paintShape(context: CanvasRenderingContext2D, data) {
+    const { tool, x, y, prevX, prevY } = data;
+    const { left, top, width, height } = Shapes.getBounds(data);
+    context.fillStyle = data.color;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    if (Shapes.isRectangle(tool)) {
+      context.rect(left, top, width, height);
+    } else if (Shapes.isEllipse(tool)) {
+      context.ellipse(left + width / 2, top + height / 2, width / 2, height / 2, 0, 0, 2 * Math.PI);
+    } else {
+      context.moveTo(prevX, prevY);
+      context.lineTo(x, y);
+    }
+    if (Shapes.isFilled(tool)) {
+      context.fill();
+    }
+    context.stroke();
+  }
+
+  // only for transparent canvases like the shape preview, the drawing itself is cleared to white
+  erase() {
+    this.stroke = null;
+    this.context.clearRect(0, 0, this.width, this.height);
+  }
+
+  bucketTool(startX: number, startY: number, color) {
+    const colorEq = (imageData, rgba, i) => {
+      return rgba[0] === imageData.data[i]
+        && rgba[1] === imageData.data[i + 1]
+        && rgba[2] === imageData.data[i + 2]
+        && rgba[3] === imageData.data[i + 3];
+    };
+
+    const getIndex = (x, y, width) => y * (width * 4) + x * 4;
+
+    const [r, g, b, _] = colorString.get.rgb(color);
+    const a = 255;
+    const ctx = this.context;
+    const fillData = ctx.createImageData(1, 1);
+    fillData.data[0] = r;
+    fillData.data[1] = g;
+    fillData.data[2] = b;
+    fillData.data[3] = a;
+    const w = this.width;
+    const h = this.height;
+    const startIndex = getIndex(startX, startY, w);
+    const data = ctx.getImageData(0, 0, w, h);
+    const newData = ctx.getImageData(0, 0, w, h);
+    const bg = [
+      data.data[startIndex + 0],
+      data.data[startIndex + 1],
+      data.data[startIndex + 2],
+      data.data[startIndex + 3]
+    ];
+
+    if (bg[0] === r && bg[1] === g && bg[2] === b) {
+      return;
+    }
+
+    const stack = [{ x: startX, y: startY }];
+
+    while (stack.length) {
+      const point = stack.pop();
+      const y = point.y;
+      let x = point.x;
+
+      if (!colorEq(data, bg, getIndex(x, y, w))) {
+        continue;
+      }
+
+      while (x > 0 && colorEq(data, bg, getIndex(x - 1, y, w))) {
+        x -= 1;
+      }
+
+      let up = true, down = true;
+      while (x < w && colorEq(data, bg, getIndex(x, y, w))) {
+        const i = getIndex(x, y, w);
+        data.data[i] = r;
+        data.data[i + 1] = g;
+        data.data[i + 2] = b;
+        data.data[i + 3] = a;
+        newData.data[i] = r;
+        newData.data[i + 1] = g;
+        newData.data[i + 2] = b;
+        newData.data[i + 3] = a;
+
+        if (y + 1 < h) {
+          if (up && colorEq(data, bg, getIndex(x, y + 1, w))) {
+            stack.push({ x, y: y + 1 });
+          }
+          up = !colorEq(data, bg, getIndex(x, y + 1, w));
+        }
+
+        if (y > 0) {
+          if (down && colorEq(data, bg, getIndex(x, y - 1, w))) {
+            stack.push({ x, y: y - 1 });
+          }
+          down = !colorEq(data, bg, getIndex(x, y - 1, w));
+        }
+
+        x += 1;
+      }
+    }
+    ctx.putImageData(newData, 0, 0);
+  }
+}
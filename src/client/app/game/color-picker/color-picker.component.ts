@@ -1,13 +1,18 @@
-import { Component, OnInit, Output, EventEmitter } from '@angular/core';
+import { AfterViewInit, Component, ElementRef, EventEmitter, Input, OnInit, Output, ViewChild } from '@angular/core';
+
+import { ColorsService } from '../../core/colors/colors.service';
+import * as Colors from '../../../../shared/drawing/colors';
 
 @Component({
   selector: 'color-picker',
   templateUrl: './color-picker.component.html',
   styleUrls: ['./color-picker.component.css']
 })
-export class ColorPickerComponent implements OnInit{
+export class ColorPickerComponent implements OnInit, AfterViewInit {
+  @ViewChild('saturationValue') saturationValue: ElementRef;
 
   @Output() colorSelected = new EventEmitter<string>();
+  @Output() opacitySelected = new EventEmitter<number>();
   colors = [
     [
       '#000000',
@@ -35,16 +40,145 @@ export class ColorPickerComponent implements OnInit{
     ]
   ];
 
-  private color = this.colors[0][0];
+  opacity = 1;
+  minOpacity = Colors.MIN_OPACITY;
+  isCustomOpen = false;
+  hexInput = '';
+  hue = 0;
+  saturation = 0;
+  value = 0;
+
+  private _color = this.colors[0][0];
+
+  constructor(private colorsService: ColorsService) {
+  }
+
+  // set from outside when the eyedropper picks a color
+  @Input()
+  get color() {
+    return this._color;
+  }
+
+  set color(color: string) {
+    const rgb = Colors.hexToRgb(color);
+    if (!rgb) {
+      return;
+    }
+    this._color = Colors.rgbToHex(rgb);
+    this.hexInput = this._color;
+    const [hue, saturation, value] = Colors.rgbToHsv(rgb);
+    // black and gray have no hue, keep the one picked before
+    this.hue = saturation ? hue : this.hue;
+    this.saturation = saturation;
+    this.value = value;
+    this.drawSaturationValue();
+  }
+
+  get recentColors(): string[] {
+    return this.colorsService.recentColors;
+  }
+
+  get selectedCell(): string {
+    for (let i = 0; i < this.colors.length; i++) {
+      const j = this.colors[i].indexOf(this._color);
+      if (j >= 0) {
+        return i + 'x' + j;
+      }
+    }
+    return null;
+  }
 
-  constructor() {}
+  get indicatorColor(): string {
+    const [r, g, b] = Colors.hexToRgb(this._color);
+    return `rgba(${r}, ${g}, ${b}, ${this.opacity})`;
+  }
 
   ngOnInit() {
+    this.colorsService.loadRecentColors();
+    this.hexInput = this._color;
+  }
+
+  ngAfterViewInit() {
+    this.drawSaturationValue();
+  }
+
+  onColorSelected(i: number, j: number) {
+    this.selectColor(this.colors[i][j]);
+  }
+
+  selectColor(color: string) {
+    this.color = color;
+    this.colorSelected.emit(this._color);
+  }
+
+  onCustomToggle() {
+    this.isCustomOpen = !this.isCustomOpen;
+    // the canvas is only there once the panel opened
+    setTimeout(() => this.drawSaturationValue());
+  }
+
+  onHueChange(hue: number) {
+    this.hue = Number(hue);
+    this.selectHsv();
+  }
+
+  onSaturationValuePick(event: PointerEvent) {
+    if (event.type === 'pointermove' && !event.buttons) {
+      return;
+    }
+    const canvas = this.saturationValue.nativeElement;
+    const rect = canvas.getBoundingClientRect();
+    this.saturation = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    this.value = Math.max(0, Math.min(1, 1 - (event.clientY - rect.top) / rect.height));
+    this.selectHsv();
+  }
+
+  onHexChange(hex: string) {
+    if (Colors.hexToRgb(hex)) {
+      this.selectColor(hex.startsWith('#') ? hex : `#${hex}`);
+    } else {
+      this.hexInput = this._color;
+    }
+  }
+
+  onOpacityChange(percent: number) {
+    this.opacity = Math.max(this.minOpacity, Math.min(1, Number(percent) / 100));
+    this.opacitySelected.emit(this.opacity);
+  }
+
+  // not through the color setter, rounding to hex would move the hue around
+  private selectHsv() {
+    this._color = Colors.rgbToHex(Colors.hsvToRgb(this.hue, this.saturation, this.value));
+    this.hexInput = this._color;
+    this.colorSelected.emit(this._color);
+    this.drawSaturationValue();
   }
 
-  onColorSelected(i:number, j:number) {
-    const newColor = this.colors[i][j];
-    this.colorSelected.emit(newColor);
-    this.color = newColor;
+  // the hue fading to white to the left and to black to the bottom, with a ring around the picked color
+  private drawSaturationValue() {
+    if (!this.saturationValue) {
+      return;
+    }
+    const canvas = this.saturationValue.nativeElement;
+    const context: CanvasRenderingContext2D = canvas.getContext('2d');
+    const { width, height } = canvas;
+    context.fillStyle = Colors.rgbToHex(Colors.hsvToRgb(this.hue, 1, 1));
+    context.fillRect(0, 0, width, height);
+    const white = context.createLinearGradient(0, 0, width, 0);
+    white.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    white.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = white;
+    context.fillRect(0, 0, width, height);
+    const black = context.createLinearGradient(0, 0, 0, height);
+    black.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    black.addColorStop(1, 'rgba(0, 0, 0, 1)');
+    context.fillStyle = black;
+    context.fillRect(0, 0, width, height);
+
+    context.beginPath();
+    context.arc(this.saturation * width, (1 - this.value) * height, 5, 0, 2 * Math.PI);
+    context.lineWidth = 2;
+    context.strokeStyle = this.value > 0.5 ? 'black' : 'white';
+    context.stroke();
   }
 }
@@ -1,20 +1,36 @@
 import { Component, OnInit, ViewChild, ElementRef, OnDestroy } from '@angular/core';
+import { ActivatedRoute } from '@angular/router';
 import { Subscription } from 'rxjs/Subscription';
-import * as colorString from 'color-string';
 
 import * as DrawMessage from '../../../shared/messages/draw-message';
+import * as StrokeMessage from '../../../shared/messages/stroke-message';
+import * as CanvasMessage from '../../../shared/messages/canvas-message';
 import * as StartRoundMessage from '../../../shared/messages/start-round-message';
 import * as EndRoundMessage from '../../../shared/messages/end-round-message';
 import * as GameOverMessage from '../../../shared/messages/game-over-message';
 import * as TimerMessage from '../../../shared/messages/timer-message';
 import * as WordMessage from '../../../shared/messages/word-message';
 import * as WordChoicesMessage from '../../../shared/messages/word-choices-message';
+import * as RoomSettingsMessage from '../../../shared/messages/room-settings-message';
+import * as StartGameMessage from '../../../shared/messages/start-game-message';
+import * as StrokeList from '../../../shared/drawing/stroke-list';
+import * as StrokeFrames from '../../../shared/drawing/stroke-frames';
+import * as Smoothing from '../../../shared/drawing/smoothing';
+import * as Shapes from '../../../shared/drawing/shapes';
+import * as Colors from '../../../shared/drawing/colors';
 
 import { CommunicationService } from '../core/communication.service';
 import { PlayersService } from '../core/players.service';
 import { SoundsService } from '../core/sounds.service';
 import { DiscordService } from '../core/discord/discord.service';
 import { ChatService } from '../core/chat/chat.service';
+import { ColorsService } from '../core/colors/colors.service';
+import { CanvasPainter } from './canvas-painter';
+import { DIFFICULTY_LABELS } from '../words/words.service';
+
+const STROKE_FLUSH_INTERVAL = 50;
+// a pen pressed lightly still draws a fifth of the picked thickness, pressed fully twice of it
+const MIN_PRESSURE_SCALE = 0.2;
 
 @Component({
   selector: 'app-game',
@@ -23,39 +39,59 @@ import { ChatService } from '../core/chat/chat.service';
 })
 export class GameComponent implements OnInit, OnDestroy {
   @ViewChild('canvas') canvas: ElementRef;
+  @ViewChild('preview') preview: ElementRef;
 
   messageSubscription: Subscription;
   context: CanvasRenderingContext2D;
+  painter: CanvasPainter;
+  previewPainter: CanvasPainter;
   width = 800;
   height = 600;
-  isMouseDown = false;
+  isPointerDown = false;
   isOverCanvas = false;
   startedClickOnCanvas = false;
   prevX: number = null;
   prevY: number = null;
   word = '';
   words: string[] = null;
+  wordDifficulties: number[] = [];
+  difficultyLabels = DIFFICULTY_LABELS;
   time = 0;
   round = 0;
 
   thickness = 1;
-  color: string = 'black';
+  color: string = '#000000';
+  opacity = 1;
   tool: string = 'brush';
+  // the eyedropper goes back to this tool once it picked a color
+  drawingTool = 'brush';
   isPlaying = false;
   roundResults = null;
   gameResults = null;
-  drawHistory = [];
+  strokeList = new StrokeList();
+  strokeId: string = null;
+  strokeFrame = null;
+  lastStrokePoint = null;
+  // the last pointer position left out for being too close to the stroke, drawn if the stroke ends there
+  skippedPoint = null;
+  // the shape being dragged out, only drawn on the preview canvas until the pointer is released
+  shape = null;
+  strokeFlushTimeout = null;
+  baseImage: HTMLImageElement = null;
+  pendingDrawMessages = null;
   lastShared;
 
-  mouseDownListener;
-  mouseUpListener;
-  mouseMoveListener;
+  pointerDownListener;
+  pointerUpListener;
+  pointerMoveListener;
 
 
   constructor(private chat: ChatService,
+              private colors: ColorsService,
               private communication: CommunicationService,
               private discord: DiscordService,
               private players: PlayersService,
+              private route: ActivatedRoute,
               private sounds: SoundsService) {
   }
 
@@ -63,6 +99,22 @@ export class GameComponent implements OnInit, OnDestroy {
     return this.communication.name;
   }
 
+  get room() {
+    return this.communication.room;
+  }
+
+  get roomName() {
+    return this.room.name;
+  }
+
+  get isHost() {
+    return this.communication.isHost;
+  }
+
+  get inLobby() {
+    return this.room.state === 'IDLE';
+  }
+
   get drawingPlayerName() {
     return this.players.drawing;
   }
@@ -72,28 +124,43 @@ export class GameComponent implements OnInit, OnDestroy {
   }
 
   ngOnInit() {
-    this.communication.init();
+    const { paramMap, queryParamMap } = this.route.snapshot;
+    this.communication.init(paramMap.get('room'), queryParamMap.get('invite'));
 
     const canvas = this.canvas.nativeElement;
     canvas.height = this.height;
     canvas.width = this.width;
+    const preview = this.preview.nativeElement;
+    preview.height = this.height;
+    preview.width = this.width;
+    this.previewPainter = new CanvasPainter(preview.getContext('2d'), this.width, this.height);
 
     // fuck me
-    this.mouseDownListener = this.onMouseDown.bind(this);
-    this.mouseUpListener = this.onMouseUp.bind(this);
-    this.mouseMoveListener = this.onMouseMove.bind(this);
-    window.addEventListener('mousedown', this.mouseDownListener);
-    window.addEventListener('mouseup', this.mouseUpListener);
-    window.addEventListener('mousemove', this.mouseMoveListener);
+    this.pointerDownListener = this.onPointerDown.bind(this);
+    this.pointerUpListener = this.onPointerUp.bind(this);
+    this.pointerMoveListener = this.onPointerMove.bind(this);
+    window.addEventListener('pointerdown', this.pointerDownListener);
+    window.addEventListener('pointerup', this.pointerUpListener);
+    window.addEventListener('pointercancel', this.pointerUpListener);
+    window.addEventListener('pointermove', this.pointerMoveListener);
 
     this.context = canvas.getContext('2d');
     this.context.imageSmoothingEnabled = false;
-    this.clearCanvas();
-    this.drawHistory = [];
+    this.painter = new CanvasPainter(this.context, this.width, this.height);
+    this.painter.clear();
+    this.strokeList.reset();
     this.messageSubscription = this.communication.incomingMessages.subscribe(({ type, data }) => {
       switch (type) {
         case DrawMessage.type:
-          this.processDrawMessage(data);
+        case StrokeMessage.type:
+          if (this.pendingDrawMessages) {
+            this.pendingDrawMessages.push({ type, data });
+          } else {
+            this.processIncomingDrawing(type, data);
+          }
+          break;
+        case CanvasMessage.type:
+          this.loadCanvas(data.image, data.strokes, data.undone, data.baked);
           break;
         case StartRoundMessage.type:
           this.words = null;
@@ -102,8 +169,10 @@ export class GameComponent implements OnInit, OnDestroy {
           this.isPlaying = true;
           this.word = data.word;
           this.round = data.round;
-          this.clearCanvas();
-          this.drawHistory = [];
+          this.baseImage = null;
+          this.pendingDrawMessages = null;
+          this.painter.clear();
+          this.strokeList.reset();
           break;
         case EndRoundMessage.type:
           this.isPlaying = false;
@@ -124,9 +193,25 @@ export class GameComponent implements OnInit, OnDestroy {
         case WordChoicesMessage.type:
           this.sounds.playChooseWord();
           this.words = data.words;
+          this.wordDifficulties = data.difficulties || [];
           this.gameResults = null;
           this.roundResults = null;
           break;
+        case 'connection-lost':
+          // everything is sent again once the server resumes us
+          clearTimeout(this.strokeFlushTimeout);
+          this.strokeFrame = null;
+          this.skippedPoint = null;
+          this.shape = null;
+          this.previewPainter.erase();
+          this.isPointerDown = false;
+          this.isPlaying = false;
+          this.words = null;
+          this.baseImage = null;
+          this.pendingDrawMessages = null;
+          this.painter.clear();
+          this.strokeList.reset();
+          break;
         case GameOverMessage.type:
           this.gameResults = this.players.players;
           this.words = null;
@@ -138,112 +223,59 @@ export class GameComponent implements OnInit, OnDestroy {
   }
 
   ngOnDestroy() {
-    this.drawHistory = [];
-    window.removeEventListener('mousedown', this.mouseDownListener);
-    window.removeEventListener('mouseup', this.mouseUpListener);
-    window.removeEventListener('mousemove', this.mouseMoveListener);
+    clearTimeout(this.strokeFlushTimeout);
+    this.strokeList.reset();
+    window.removeEventListener('pointerdown', this.pointerDownListener);
+    window.removeEventListener('pointerup', this.pointerUpListener);
+    window.removeEventListener('pointercancel', this.pointerUpListener);
+    window.removeEventListener('pointermove', this.pointerMoveListener);
     this.communication.disconnect();
     this.messageSubscription.unsubscribe();
   }
 
-  bucketTool(startX: number, startY: number, color) {
-    const colorEq = (data, color, b) => {
-      return color[0] === data.data[b]
-        && color[1] === data.data[b + 1]
-        && color[2] === data.data[b + 2]
-        && color[3] === data.data[b + 3]
-    };
-
-    const getIndex = (x, y, width) => y * (width * 4) + x * 4;
-
-    const [r, g, b, _] = colorString.get.rgb(color);
-    const a = 255;
-    const ctx = this.context;
-    const fillData = ctx.createImageData(1, 1);
-    fillData.data[0] = r;
-    fillData.data[1] = g;
-    fillData.data[2] = b;
-    fillData.data[3] = a;
-    const w = this.canvas.nativeElement.width;
-    const h = this.canvas.nativeElement.height;
-    const startIndex = getIndex(startX, startY, w);
-    const data = ctx.getImageData(0, 0, w, h);
-    const newData = ctx.getImageData(0, 0, w, h);
-    const bg = [
-      data.data[startIndex + 0],
-      data.data[startIndex + 1],
-      data.data[startIndex + 2],
-      data.data[startIndex + 3]
-    ];
-
-    if (bg[0] == r && bg[1] == g && bg[2] == b) {
-      return
-    }
-
-    const stack = [{ x: startX, y: startY }];
-
-    while (stack.length) {
-      let { x, y } = stack.pop();
-
-      if (!colorEq(data, bg, getIndex(x, y, w))) {
-        continue;
-      }
-
-      while (x > 0 && colorEq(data, bg, getIndex(x - 1, y, w))) {
-        x -= 1
-      }
-
-      let up = true, down = true;
-      while (x < w && colorEq(data, bg, getIndex(x, y, w))) {
-        const i = getIndex(x, y, w);
-        data.data[i] = r;
-        data.data[i + 1] = g;
-        data.data[i + 2] = b;
-        data.data[i + 3] = a;
-        newData.data[i] = r;
-        newData.data[i + 1] = g;
-        newData.data[i + 2] = b;
-        newData.data[i + 3] = a;
-
-        if (y + 1 < h) {
-          if (up && colorEq(data, bg, getIndex(x, y + 1, w))) {
-            stack.push({ x, y: y + 1 });
-          }
-          up = !colorEq(data, bg, getIndex(x, y + 1, w));
-        }
-
-        if (y > 0) {
-          if (down && colorEq(data, bg, getIndex(x, y - 1, w))) {
-            stack.push({ x, y: y - 1 });
-          }
-          down = !colorEq(data, bg, getIndex(x, y - 1, w));
-        }
-
-        x += 1;
-      }
+  // late joiners get a checkpoint of strokes that can no longer be undone rendered by the server,
+  // what was baked after it and the strokes that can still be undone
+  loadCanvas(src: string, strokes, undone, baked = []) {
+    this.strokeList.reset(strokes, undone, baked);
+    if (!src) {
+      this.baseImage = null;
+      this.redrawCanvas();
+      return;
     }
-    ctx.putImageData(newData, 0, 0);
+    const image = new Image();
+    this.pendingDrawMessages = [];
+    image.onload = () => {
+      const pendingDrawMessages = this.pendingDrawMessages || [];
+      this.pendingDrawMessages = null;
+      this.baseImage = image;
+      this.redrawCanvas();
+      pendingDrawMessages.forEach(({ type, data }) => this.processIncomingDrawing(type, data));
+    };
+    image.src = src;
   }
 
-  clearCanvas() {
-    this.context.fillStyle = 'white';
-    this.context.fillRect(0, 0, this.width, this.height);
+  redrawCanvas() {
+    this.painter.clear();
+    if (this.baseImage) {
+      this.painter.drawImage(this.baseImage);
+    }
+    this.painter.paintAll(this.strokeList.getMessages());
   }
 
-  isDrawContinuous(data) {
-    if (!data) {
-      return false;
-    }
-    const { x, y, prevX, prevY } = data;
-    return !(typeof prevX !== 'number' || typeof prevY !== 'number' || (x === prevX && y === prevY));
+  generateStrokeId() {
+    return Math.random().toString(36).slice(2, 10);
   }
 
-  calculateCanvasPosition(event: MouseEvent) {
-    const rect = this.canvas.nativeElement.getBoundingClientRect();
+  // the canvas is scaled to fit the screen, positions are always in its own width x height space
+  calculateCanvasPosition(event: PointerEvent) {
+    const canvas = this.canvas.nativeElement;
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = this.width / (canvas.clientWidth || this.width);
+    const scaleY = this.height / (canvas.clientHeight || this.height);
     const prevX = this.prevX;
     const prevY = this.prevY;
-    let x = Math.round(event.clientX - rect.left) - 2;
-    let y = Math.round(event.clientY - rect.top);
+    let x = Math.round((event.clientX - rect.left - canvas.clientLeft) * scaleX);
+    let y = Math.round((event.clientY - rect.top - canvas.clientTop) * scaleY);
     this.prevX = x;
     this.prevY = y;
     const thickness = this.thickness;
@@ -273,43 +305,104 @@ export class GameComponent implements OnInit, OnDestroy {
     this.color = color;
   }
 
+  onOpacitySelected(opacity: number) {
+    this.opacity = opacity;
+  }
+
   onThicknessSelected(thickness: number) {
     this.thickness = thickness;
   }
 
-  onMouseDown(event: MouseEvent) {
-    if (!this.canDraw) {
+  // pens draw thinner or thicker than the picked thickness depending on how hard they are pressed
+  getPointerThickness(event: PointerEvent) {
+    if (event.pointerType !== 'pen' || !event.pressure) {
+      return this.thickness;
+    }
+    return Math.max(1, Math.round(this.thickness * Math.max(MIN_PRESSURE_SCALE, 2 * event.pressure)));
+  }
+
+  onToolSelected(tool: string) {
+    if (tool !== 'eyedropper') {
+      this.drawingTool = tool;
+    }
+    this.tool = tool;
+  }
+
+  pickColor(x: number, y: number) {
+    const pixel = this.context.getImageData(x, y, 1, 1).data;
+    this.color = Colors.rgbToHex([pixel[0], pixel[1], pixel[2]]);
+    this.tool = this.drawingTool;
+  }
+
+  // opacity only goes along when the stroke is translucent
+  getStrokeHeader() {
+    const header = { tool: this.tool, color: this.color, thickness: this.thickness };
+    return this.opacity < 1 ? { ...header, opacity: this.opacity } : header;
+  }
+
+  createDrawMessage(x: number, y: number, prevX: number, prevY: number, thickness = this.thickness) {
+    return new DrawMessage(this.tool, this.color, thickness, x, y, prevX, prevY, this.strokeId, this.opacity);
+  }
+
+  onPointerDown(event: PointerEvent) {
+    if (!this.canDraw || !event.isPrimary) {
       return;
     }
-    this.isMouseDown = true;
+    this.isPointerDown = true;
     const position = this.calculateCanvasPosition(event);
     if (!position) {
       this.startedClickOnCanvas = false;
       return
     }
-    this.startedClickOnCanvas = true;
     const { x, y } = position;
-    const message = new DrawMessage(
-      this.tool,
-      this.color,
-      this.thickness,
-      x,
-      y,
-      x,
-      y
-    );
-    this.processDrawMessage(message.getPayload());
-    this.communication.send(message);
+    if (this.tool === 'eyedropper') {
+      this.startedClickOnCanvas = false;
+      this.pickColor(x, y);
+      return;
+    }
+    this.startedClickOnCanvas = true;
+    this.flushStroke();
+    this.strokeId = this.generateStrokeId();
+    if (this.tool !== 'eraser') {
+      this.colors.useColor(this.color);
+    }
+    if (Shapes.isShape(this.tool)) {
+      this.shape = this.createDrawMessage(x, y, x, y).getPayload();
+      this.previewShape();
+      return;
+    }
+    event.preventDefault();
+    const thickness = this.getPointerThickness(event);
+    this.processDrawMessage(this.createDrawMessage(x, y, x, y, thickness).getPayload());
+    this.strokeFrame = {
+      start: StrokeFrames.START_DOT,
+      points: [{ x, y, thickness }],
+      header: this.getStrokeHeader(),
+      isPen: event.pointerType === 'pen'
+    };
+    this.lastStrokePoint = { x, y };
+    this.scheduleStrokeFlush();
   }
 
-  onMouseUp(event: MouseEvent) {
+  onPointerUp(event: PointerEvent) {
+    if (!event.isPrimary) {
+      return;
+    }
+    const skipped = this.skippedPoint;
+    this.skippedPoint = null;
+    if (skipped && this.lastStrokePoint && this.canDraw) {
+      this.drawStrokePoint(skipped.x, skipped.y, this.prevX, this.prevY, skipped.thickness, skipped.isPen);
+    }
+    this.flushStroke();
+    this.commitShape();
+    this.lastStrokePoint = null;
     this.prevX = null;
     this.prevY = null;
-    this.isMouseDown = false;
+    this.isPointerDown = false;
   }
 
-  onMouseMove(event: MouseEvent) {
-    if (this.startedClickOnCanvas) {
+  onPointerMove(event: PointerEvent) {
+    if (this.startedClickOnCanvas && event.isPrimary) {
       event.preventDefault();
     } else {
       return;
@@ -323,18 +416,106 @@ export class GameComponent implements OnInit, OnDestroy {
       if (!this.canDraw) {
         return;
       }
-      const message = new DrawMessage(
-        this.tool,
-        this.color,
-        this.thickness,
-        x,
-        y,
-        prevX,
-        prevY
-      );
-      this.processDrawMessage(message.getPayload());
-      this.communication.send(message);
+      if (this.shape) {
+        this.shape = { ...this.shape, x, y };
+        this.previewShape();
+        return;
+      }
+      const thickness = this.getPointerThickness(event);
+      const isPen = event.pointerType === 'pen';
+      if (this.isOverCanvas && Smoothing.isTooClose({ x: prevX, y: prevY }, { x, y })) {
+        // the next point is joined to the last one drawn
+        this.prevX = prevX;
+        this.prevY = prevY;
+        this.skippedPoint = x !== prevX || y !== prevY ? { x, y, thickness, isPen } : null;
+        return;
+      }
+      this.drawStrokePoint(x, y, prevX, prevY, thickness, isPen);
+    }
+  }
+
+  // the drawer paints the same points other players get
+  drawStrokePoint(x: number, y: number, prevX: number, prevY: number, thickness: number, isPen: boolean) {
+    this.skippedPoint = null;
+    this.processDrawMessage(this.createDrawMessage(x, y, prevX, prevY, thickness).getPayload());
+    this.queueStrokePoint(x, y, prevX, prevY, thickness, isPen);
+  }
+
+  // points are sent in frames every STROKE_FLUSH_INTERVAL ms instead of a message per pointer move
+  queueStrokePoint(x: number, y: number, prevX: number, prevY: number, thickness: number, isPen: boolean) {
+    const last = this.lastStrokePoint;
+    if (!last || last.x !== prevX || last.y !== prevY) {
+      this.flushStroke();
+      this.strokeFrame = { start: StrokeFrames.START_MOVE, points: [{ x: prevX, y: prevY, thickness }], isPen };
+    } else if (!this.strokeFrame) {
+      this.strokeFrame = { start: StrokeFrames.START_LINE, points: [], isPen };
+    }
+    this.strokeFrame.points.push({ x, y, thickness });
+    this.lastStrokePoint = { x, y };
+    if (this.strokeFrame.points.length >= StrokeFrames.MAX_FRAME_POINTS) {
+      this.flushStroke();
+    } else {
+      this.scheduleStrokeFlush();
+    }
+  }
+
+  scheduleStrokeFlush() {
+    if (!this.strokeFlushTimeout) {
+      this.strokeFlushTimeout = setTimeout(() => this.flushStroke(), STROKE_FLUSH_INTERVAL);
+    }
+  }
+
+  flushStroke() {
+    clearTimeout(this.strokeFlushTimeout);
+    this.strokeFlushTimeout = null;
+    const frame = this.strokeFrame;
+    this.strokeFrame = null;
+    if (!frame || !frame.points.length) {
+      return;
+    }
+    const thicknesses = frame.isPen ? StrokeFrames.encodeThicknesses(frame.points.map(point => point.thickness)) : undefined;
+    this.communication.send(new StrokeMessage(
+      this.strokeId,
+      frame.start,
+      StrokeFrames.encodePoints(frame.points),
+      frame.header,
+      thicknesses
+    ));
+  }
+
+  previewShape() {
+    this.previewPainter.erase();
+    this.previewPainter.paint(this.shape);
+  }
+
+  // other players only get the finished shape
+  commitShape() {
+    const shape = this.shape;
+    this.shape = null;
+    this.previewPainter.erase();
+    if (!shape || !this.canDraw) {
+      return;
     }
+    this.processDrawMessage(shape);
+    this.communication.send(new DrawMessage(
+      shape.tool,
+      shape.color,
+      shape.thickness,
+      shape.x,
+      shape.y,
+      shape.prevX,
+      shape.prevY,
+      shape.stroke,
+      shape.opacity
+    ));
+  }
+
+  onRoomSettingsChange(settings) {
+    this.communication.send(new RoomSettingsMessage(settings));
+  }
+
+  onStartGame() {
+    this.communication.send(new StartGameMessage());
   }
 
   onWordChoice(wordChoice: string) {
@@ -345,7 +526,8 @@ export class GameComponent implements OnInit, OnDestroy {
     if (!this.canDraw) {
       return;
     }
-    const message = new DrawMessage('clear');
+    this.flushStroke();
+    const message = new DrawMessage('clear', null, null, null, null, null, null, this.generateStrokeId());
     this.processDrawMessage(message.getPayload());
     this.communication.send(message);
   }
@@ -357,7 +539,7 @@ export class GameComponent implements OnInit, OnDestroy {
       return;
     }
     this.lastShared = now;
-    this.discord.shareImage(this.context.canvas)
+    this.discord.shareImage(this.communication.room.id)
       .subscribe(
         () => this.chat.addSystemMessage('Image shared on discord!', 'green'),
         err => {
@@ -367,56 +549,46 @@ export class GameComponent implements OnInit, OnDestroy {
       )
   }
 
+  // undo and redo are only applied once the server sends them back, so that every canvas stays the same
   undo() {
     if (!this.canDraw) {
       return;
     }
-    const message = new DrawMessage('undo');
-    this.processDrawMessage(message.getPayload());
-    this.communication.send(message);
+    this.flushStroke();
+    this.communication.send(new DrawMessage('undo'));
+  }
+
+  redo() {
+    if (!this.canDraw) {
+      return;
+    }
+    this.flushStroke();
+    this.communication.send(new DrawMessage('redo'));
   }
 
-  processDrawMessage(data, addToHistory = true) {
-    this.context.strokeStyle = data.color;
-    let { tool, x, y, prevX, prevY, thickness } = data;
-    this.context.lineWidth = thickness;
-    const isContinuous = this.isDrawContinuous(data);
-    switch (tool) {
-      case 'brush':
-        this.context.beginPath();
-        if (isContinuous) {
-          this.context.lineCap = 'round';
-          this.context.moveTo(prevX, prevY);
-          this.context.lineTo(x, y);
-        } else {
-          this.context.ellipse(x - thickness, y, thickness, thickness, 0, 0, 0);
+  processIncomingDrawing(type: string, data) {
+    if (type === StrokeMessage.type) {
+      StrokeFrames.toDrawMessages(data, this.strokeList.find(data.stroke)).forEach(message => this.processDrawMessage(message));
+    } else {
+      this.processDrawMessage(data);
+    }
+  }
+
+  processDrawMessage(data) {
+    switch (data.tool) {
+      case 'undo':
+        if (this.strokeList.undo(data.stroke)) {
+          this.redrawCanvas();
         }
-        this.context.stroke();
         break;
-      case 'bucket':
-        this.bucketTool(x, y, data.color);
-        break;
-      case 'eraser':
-        this.processDrawMessage({ ...data, color: 'white', tool: 'brush' }, false);
-        break;
-      case 'clear':
-        this.drawHistory = [];
-        this.clearCanvas();
-        break;
-      case 'undo':
-        this.clearCanvas();
-        let isLastContinuous;
-        do {
-          isLastContinuous = this.isDrawContinuous(this.drawHistory[this.drawHistory.length - 1]);
-          this.drawHistory.pop();
-        } while (isLastContinuous);
-        this.drawHistory.forEach(data => this.processDrawMessage(data, false));
-        addToHistory = false;
+      case 'redo':
+        if (this.strokeList.redo(data.stroke)) {
+          this.redrawCanvas();
+        }
         break;
-    }
-
-    if (addToHistory) {
-      this.drawHistory.push(data);
+      default:
+        this.strokeList.add(data);
+        this.painter.paint(data);
     }
   }
 
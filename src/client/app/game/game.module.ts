@@ -1,6 +1,7 @@
 import { NgModule } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { ReactiveFormsModule, FormsModule } from '@angular/forms';
+import { RouterModule } from '@angular/router';
 import {
   MatButtonModule,
   MatButtonToggleModule
@@ -12,6 +13,7 @@ import { PlayerListComponent } from './player-list/player-list.component';
 import { ColorPickerComponent } from './color-picker/color-picker.component';
 import { ToolbarComponent } from './toolbar/toolbar.component';
 import { ThicknessPickerComponent } from './thickness-picker/thickness-picker.component';
+import { LobbyComponent } from './lobby/lobby.component';
 
 @NgModule({
   imports: [
@@ -19,7 +21,8 @@ import { ThicknessPickerComponent } from './thickness-picker/thickness-picker.co
     FormsModule,
     MatButtonModule,
     MatButtonToggleModule,
-    ReactiveFormsModule
+    ReactiveFormsModule,
+    RouterModule
   ],
   declarations: [
     GameComponent,
@@ -27,7 +30,8 @@ import { ThicknessPickerComponent } from './thickness-picker/thickness-picker.co
     PlayerListComponent,
     ColorPickerComponent,
     ToolbarComponent,
-    ThicknessPickerComponent
+    ThicknessPickerComponent,
+    LobbyComponent
   ]
 })
 export class GameModule { }
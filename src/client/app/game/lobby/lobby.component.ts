@@ -0,0 +1,88 @@
+import { Component, EventEmitter, Input, OnChanges, OnDestroy, OnInit, Output } from '@angular/core';
+import { FormBuilder, FormGroup } from '@angular/forms';
+import { Subscription } from 'rxjs/Subscription';
+import 'rxjs/add/operator/debounceTime';
+
+import { WordsService } from '../../words/words.service';
+import * as Languages from '../../../../shared/languages';
+
+@Component({
+  selector: 'app-lobby',
+  templateUrl: './lobby.component.html',
+  styleUrls: ['./lobby.component.css']
+})
+export class LobbyComponent implements OnInit, OnChanges, OnDestroy {
+
+  @Input() room;
+  @Input() isHost = false;
+  @Output() settingsChange = new EventEmitter<any>();
+  @Output() start = new EventEmitter<void>();
+
+  form: FormGroup;
+  wordLists: string[] = [];
+  categories: string[] = [];
+  languages = Languages.CODES.map(code => ({ code, name: Languages.LANGUAGES[code].name }));
+  formSubscription: Subscription;
+
+  constructor(private fb: FormBuilder, private words: WordsService) {
+  }
+
+  // private rooms only let in players with the invite code
+  get inviteLink() {
+    const link = `${window.location.origin}/game/${this.room.id}`;
+    return this.room.isPrivate ? `${link}?invite=${this.room.inviteCode}` : link;
+  }
+
+  ngOnInit() {
+    this.form = this.fb.group({
+      rounds: 2,
+      drawTime: 80,
+      wordChoices: 0,
+      hintTime: 30,
+      hintPercentage: 33,
+      wordLists: [[]],
+      categories: [[]],
+      language: Languages.DEFAULT_LANGUAGE
+    });
+    this.updateForm();
+    this.formSubscription = this.form.valueChanges
+      .debounceTime(500)
+      .subscribe(settings => {
+        if (this.isHost) {
+          this.form.markAsPristine();
+          this.settingsChange.emit(settings);
+        }
+      });
+    this.words.getLists()
+      .subscribe(lists => this.wordLists = lists);
+    this.words.getCategories()
+      .subscribe(categories => this.categories = categories);
+  }
+
+  ngOnChanges() {
+    this.updateForm();
+  }
+
+  ngOnDestroy() {
+    this.formSubscription.unsubscribe();
+  }
+
+  onStart() {
+    this.start.emit();
+  }
+
+  private updateForm() {
+    if (!this.form || !this.room || !this.room.settings) {
+      return;
+    }
+    // room updates would overwrite what the host changed but did not send yet
+    if (!this.isHost || this.form.pristine) {
+      this.form.patchValue(this.room.settings, { emitEvent: false });
+    }
+    if (this.isHost) {
+      this.form.enable({ emitEvent: false });
+    } else {
+      this.form.disable({ emitEvent: false });
+    }
+  }
+}
@@ -1,5 +1,7 @@
 import { Component, OnInit, Output, EventEmitter, Input } from '@angular/core';
 
+import * as Shapes from '../../../../shared/drawing/shapes';
+
 @Component({
   selector: 'toolbar',
   templateUrl: './toolbar.component.html',
@@ -11,7 +13,9 @@ export class ToolbarComponent implements OnInit{
   tools = [
     'brush',
     'bucket',
-    'eraser'
+    'eraser',
+    'eyedropper',
+    ...Shapes.TOOLS
   ];
 
   private _tool: string = 'brush';
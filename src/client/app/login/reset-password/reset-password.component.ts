@@ -0,0 +1,53 @@
+import { Component, OnInit } from '@angular/core';
+import { Router } from '@angular/router';
+import { FormBuilder, FormGroup, Validators } from '@angular/forms';
+
+import { AuthService } from '../../core/auth/auth.service';
+
+@Component({
+  selector: 'app-reset-password',
+  templateUrl: './reset-password.component.html',
+  styleUrls: ['./reset-password.component.css']
+})
+export class ResetPasswordComponent implements OnInit {
+
+  requestForm: FormGroup;
+  resetForm: FormGroup;
+  codeSent = false;
+  error: string;
+
+  constructor(private auth: AuthService,
+              private fb: FormBuilder,
+              private router: Router) {
+  }
+
+  ngOnInit() {
+    this.error = '';
+    this.requestForm = this.fb.group({
+      login: ['', Validators.pattern(/^[a-zA-Z0-9]+$/)]
+    });
+    this.resetForm = this.fb.group({
+      code: '',
+      password: ''
+    });
+  }
+
+  onRequestCode() {
+    this.error = '';
+    this.auth.requestPasswordReset(this.requestForm.value.login)
+      .subscribe(
+        () => this.codeSent = true,
+        data => this.error = data.error.message
+      );
+  }
+
+  onReset() {
+    this.error = '';
+    const { code, password } = this.resetForm.value;
+    this.auth.resetPassword(this.requestForm.value.login, code, password)
+      .subscribe(
+        () => this.router.navigate(['/']),
+        data => this.error = data.error.message
+      );
+  }
+}
@@ -0,0 +1,69 @@
+import { Component, OnInit } from '@angular/core';
+import { Router } from '@angular/router';
+import { FormBuilder, FormGroup } from '@angular/forms';
+
+import { AuthService } from '../../core/auth/auth.service';
+
+@Component({
+  selector: 'app-account',
+  templateUrl: './account.component.html',
+  styleUrls: ['./account.component.css']
+})
+export class AccountComponent implements OnInit {
+
+  passwordForm: FormGroup;
+  deleteForm: FormGroup;
+  message: string;
+  error: string;
+
+  constructor(private auth: AuthService,
+              private fb: FormBuilder,
+              private router: Router) {
+  }
+
+  get name() {
+    return this.auth.loginName;
+  }
+
+  ngOnInit() {
+    this.passwordForm = this.fb.group({
+      currentPassword: '',
+      password: '',
+      passwordAgain: ''
+    });
+    this.deleteForm = this.fb.group({
+      password: ''
+    });
+  }
+
+  onChangePassword() {
+    this.message = null;
+    this.error = null;
+    const { currentPassword, password, passwordAgain } = this.passwordForm.value;
+    if (password !== passwordAgain) {
+      this.error = 'Passwords do not match!';
+      return;
+    }
+    this.auth.changePassword(currentPassword, password)
+      .subscribe(
+        () => {
+          this.passwordForm.reset({ currentPassword: '', password: '', passwordAgain: '' });
+          this.message = 'Password changed, other devices were logged out';
+        },
+        err => this.error = err.error.message
+      );
+  }
+
+  onDeleteAccount() {
+    this.message = null;
+    this.error = null;
+    if (!window.confirm(`Delete account ${this.name}? Words you added stay in the game without your name.`)) {
+      return;
+    }
+    this.auth.deleteAccount(this.deleteForm.value.password)
+      .subscribe(
+        () => this.router.navigate(['/login']),
+        err => this.error = err.error.message
+      );
+  }
+}
@@ -1,7 +1,11 @@
 import { Component, OnInit } from '@angular/core';
 import { Router } from '@angular/router';
+import { FormBuilder, FormGroup, Validators } from '@angular/forms';
 
 import { AuthService } from '../core/auth/auth.service';
+import { RoomsService } from '../core/rooms/rooms.service';
+import * as Roles from '../../../shared/roles';
+import * as Languages from '../../../shared/languages';
 
 @Component({
   selector: 'app-menu',
@@ -10,13 +14,68 @@ import { AuthService } from '../core/auth/auth.service';
 })
 export class MenuComponent implements OnInit {
 
-  constructor(private auth: AuthService, private router: Router) { }
+  rooms = [];
+  form: FormGroup;
+  inviteForm: FormGroup;
+  error: string;
+  languages = Languages.LANGUAGES;
+  languageCodes = Languages.CODES;
+
+  constructor(private auth: AuthService,
+              private fb: FormBuilder,
+              private roomsService: RoomsService,
+              private router: Router) { }
 
   get name(): string {
     return this.auth.loginName;
   }
 
+  get isAdmin(): boolean {
+    return this.auth.hasRole(Roles.ADMIN);
+  }
+
   ngOnInit() {
+    this.form = this.fb.group({
+      name: ['', Validators.required],
+      isPrivate: false,
+      language: Languages.DEFAULT_LANGUAGE
+    });
+    this.inviteForm = this.fb.group({
+      code: ['', Validators.required]
+    });
+    this.refreshRooms();
+  }
+
+  refreshRooms() {
+    this.roomsService.getRooms()
+      .subscribe(
+        rooms => this.rooms = rooms,
+        err => this.error = err.error.message
+      );
+  }
+
+  onCreateRoom() {
+    this.error = null;
+    const { name, isPrivate, language } = this.form.value;
+    this.roomsService.createRoom(name, isPrivate, language)
+      .subscribe(
+        room => this.onJoinRoom(room.id),
+        err => this.error = err.error.message
+      );
+  }
+
+  onJoinByInviteCode() {
+    this.error = null;
+    const code = this.inviteForm.value.code.trim();
+    this.roomsService.getRoomByInviteCode(code)
+      .subscribe(
+        room => this.router.navigate(['/game', room.id], { queryParams: { invite: code } }),
+        err => this.error = err.error.message
+      );
+  }
+
+  onJoinRoom(id: string) {
+    this.router.navigate(['/game', id]);
   }
 
   onLogout() {
@@ -0,0 +1,41 @@
+import { Component, OnInit } from '@angular/core';
+import { ProfilesService } from '../profiles.service';
+
+@Component({
+  selector: 'app-leaderboard',
+  templateUrl: './leaderboard.component.html',
+  styleUrls: ['./leaderboard.component.css']
+})
+export class LeaderboardComponent implements OnInit {
+
+  periods = [{ value: 'all', label: 'All time' }, { value: 'week', label: 'This week' }];
+  columns = [{ value: 'wins', label: 'Wins' }, { value: 'gamesPlayed', label: 'Games' }, { value: 'wordsGuessed', label: 'Words guessed' }];
+  period = 'all';
+  sort = 'wins';
+  rows = [];
+
+  constructor(private service: ProfilesService) {
+  }
+
+  ngOnInit() {
+    this.refresh();
+  }
+
+  onPeriodChange(period: string) {
+    this.period = period;
+    this.refresh();
+  }
+
+  onSortChange(sort: string) {
+    this.sort = sort;
+    this.refresh();
+  }
+
+  refresh() {
+    this.service.getLeaderboard(this.period, this.sort)
+      .subscribe(
+        rows => this.rows = rows,
+        error => window.alert(`Error occured!\n${error.message}`)
+      );
+  }
+}
@@ -0,0 +1,14 @@
+import { Injectable } from '@angular/core';
+
+import { ProfilesService } from './profiles.service';
+import { ActivatedRouteSnapshot, Resolve } from '@angular/router';
+
+@Injectable()
+export class ProfileResolver implements Resolve<any> {
+  constructor(private profiles: ProfilesService) {
+  }
+
+  resolve(route: ActivatedRouteSnapshot) {
+    return this.profiles.getProfile(route.paramMap.get('login'));
+  }
+}
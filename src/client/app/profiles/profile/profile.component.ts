@@ -0,0 +1,63 @@
+import { Component, OnInit } from '@angular/core';
+import { ActivatedRoute } from '@angular/router';
+import { ProfilesService } from '../profiles.service';
+
+@Component({
+  selector: 'app-profile',
+  templateUrl: './profile.component.html',
+  styleUrls: ['./profile.component.css']
+})
+export class ProfileComponent implements OnInit {
+
+  profile;
+  games;
+  gameDetails = {};
+  openGameId: string = null;
+
+  constructor(private route: ActivatedRoute, private service: ProfilesService) {
+  }
+
+  get averageGuessTime() {
+    const time = this.profile.stats.averageGuessTime;
+    return time === null ? '-' : `${(time / 1000).toFixed(1)}s`;
+  }
+
+  ngOnInit() {
+    this.route.data.forEach((data) => {
+      this.profile = data.profile;
+      this.games = null;
+      this.gameDetails = {};
+      this.openGameId = null;
+      this.onPageChange(1);
+    });
+  }
+
+  getPlace(game) {
+    const standing = game.standings.find(({ name }) => name === this.profile.login);
+    return standing ? `${standing.place}. of ${game.standings.length}` : '-';
+  }
+
+  onPageChange(p: number) {
+    this.service.getGames(this.profile.login, p)
+      .subscribe(
+        games => this.games = games,
+        error => window.alert(`Error occured!\n${error.message}`)
+      );
+  }
+
+  onToggleGame(gameId: string) {
+    if (this.openGameId === gameId) {
+      this.openGameId = null;
+      return;
+    }
+    this.openGameId = gameId;
+    if (this.gameDetails[gameId]) {
+      return;
+    }
+    this.service.getGame(gameId)
+      .subscribe(
+        details => this.gameDetails[gameId] = details,
+        error => window.alert(`Error occured!\n${error.message}`)
+      );
+  }
+}
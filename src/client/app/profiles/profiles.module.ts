@@ -0,0 +1,38 @@
+import { NgModule } from '@angular/core';
+import { CommonModule } from '@angular/common';
+
+import { ProfileComponent } from './profile/profile.component';
+import { LeaderboardComponent } from './leaderboard/leaderboard.component';
+import { ProfileResolver } from './profile.resolver';
+import { ProfilesService } from './profiles.service';
+import { RouterModule } from '@angular/router';
+import { MatButtonModule } from '@angular/material';
+import { LoggedInGuard } from '../core/auth/logged-in.guard';
+
+
+const profilesRoutes = [
+  {
+    path: 'players',
+    canActivateChild: [LoggedInGuard],
+    children: [
+      { path: ':login', component: ProfileComponent, resolve: { profile: ProfileResolver } }
+    ]
+  },
+  { path: 'leaderboard', component: LeaderboardComponent, canActivate: [LoggedInGuard] }
+];
+
+
+@NgModule({
+  imports: [
+    CommonModule,
+    MatButtonModule,
+    RouterModule.forChild(profilesRoutes)
+  ],
+  declarations: [ProfileComponent, LeaderboardComponent],
+  providers: [
+    ProfileResolver,
+    ProfilesService
+  ]
+})
+export class ProfilesModule {
+}
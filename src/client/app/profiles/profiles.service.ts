@@ -0,0 +1,27 @@
+import { Injectable } from '@angular/core';
+import { Observable } from 'rxjs/Observable';
+
+import { ApiService } from '../core/api.service';
+
+@Injectable()
+export class ProfilesService {
+
+  constructor(private api: ApiService) {
+  }
+
+  getProfile(login: string): Observable<any> {
+    return this.api.get(`players/${login}`);
+  }
+
+  getGames(login: string, page = 1): Observable<any> {
+    return this.api.get('games', { player: login, p: page });
+  }
+
+  getGame(gameId: string): Observable<any> {
+    return this.api.get(`games/${gameId}`);
+  }
+
+  getLeaderboard(period: string, sort: string): Observable<any[]> {
+    return this.api.get('leaderboard', { period, sort });
+  }
+}
@@ -1,5 +1,6 @@
 import { Component, ElementRef, OnInit, ViewChild } from '@angular/core';
-import { WordsService } from '../words.service';
+import { DIFFICULTY_LABELS, WordsService } from '../words.service';
+import * as Languages from '../../../../shared/languages';
 
 @Component({
   selector: 'app-add-words',
@@ -8,10 +9,16 @@ import { WordsService } from '../words.service';
 })
 export class AddWordsComponent implements OnInit {
   @ViewChild('input') private input: ElementRef;
+  @ViewChild('list') private list: ElementRef;
+  @ViewChild('categories') private categories: ElementRef;
+  @ViewChild('difficulty') private difficulty: ElementRef;
+  @ViewChild('language') private language: ElementRef;
 
   results;
   error: string;
   loading = false;
+  languages = Languages.CODES.map(code => ({ code, name: Languages.LANGUAGES[code].name }));
+  difficulties = Object.keys(DIFFICULTY_LABELS).map(value => ({ value, label: DIFFICULTY_LABELS[value] }));
 
   constructor(private service: WordsService) {
   }
@@ -28,7 +35,13 @@ export class AddWordsComponent implements OnInit {
     this.loading = true;
     this.error = null;
     this.results = null;
-    this.service.addWords(data)
+    this.service.addWords(
+      data,
+      this.list.nativeElement.value,
+      this.categories.nativeElement.value,
+      Number(this.difficulty.nativeElement.value),
+      this.language.nativeElement.value
+    )
       .subscribe(
         results => {
           this.loading = false;
@@ -0,0 +1,67 @@
+import { Component } from '@angular/core';
+import { WordsService } from '../words.service';
+
+@Component({
+  selector: 'app-import-words',
+  templateUrl: './import-words.component.html',
+  styleUrls: ['./import-words.component.css']
+})
+export class ImportWordsComponent {
+
+  fileName: string;
+  format: string;
+  content: string;
+  results;
+  // the shown results are only a preview, nothing was imported yet
+  isPreview = false;
+  error: string;
+  loading = false;
+
+  constructor(private service: WordsService) {
+  }
+
+  onFileChange(files: FileList) {
+    const file = files[0];
+    this.results = null;
+    this.error = null;
+    this.content = null;
+    if (!file) {
+      return;
+    }
+    this.fileName = file.name;
+    this.format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    const reader = new FileReader();
+    reader.onload = () => this.content = reader.result;
+    reader.onerror = () => this.error = `Could not read ${file.name}`;
+    reader.readAsText(file);
+  }
+
+  onPreview() {
+    this.send(true);
+  }
+
+  onImport() {
+    this.send(false);
+  }
+
+  private send(dryRun: boolean) {
+    this.loading = true;
+    this.error = null;
+    this.results = null;
+    this.service.importWords(this.format, this.content, dryRun)
+      .subscribe(
+        results => {
+          this.loading = false;
+          this.isPreview = dryRun;
+          this.results = results;
+          if (!dryRun) {
+            this.content = null;
+          }
+        },
+        err => {
+          this.loading = false;
+          this.error = err.error.message;
+        }
+      );
+  }
+}
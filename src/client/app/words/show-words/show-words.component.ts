@@ -1,6 +1,9 @@
 import { Component, OnInit } from '@angular/core';
 import { ActivatedRoute } from '@angular/router';
-import { WordsService } from '../words.service';
+import { DIFFICULTY_LABELS, WordQuery, WordsService } from '../words.service';
+import { AuthService } from '../../core/auth/auth.service';
+import * as Roles from '../../../../shared/roles';
+import * as Languages from '../../../../shared/languages';
 
 @Component({
   selector: 'app-show-words',
@@ -10,19 +13,37 @@ import { WordsService } from '../words.service';
 export class ShowWordsComponent implements OnInit {
 
   data;
+  query: WordQuery = { match: 'contains' };
+  categories: string[] = [];
+  languages = Languages.CODES.map(code => ({ code, name: Languages.LANGUAGES[code].name }));
+  statuses = [
+    { label: 'All', value: null },
+    { label: 'Waiting for approval', value: 'pending' },
+    { label: 'Rejected', value: 'rejected' }
+  ];
+  expanded = new Set<string>();
+  difficultyLabels = DIFFICULTY_LABELS;
+  difficulties = Object.keys(DIFFICULTY_LABELS).map(Number);
   error: string;
   pageLinks = 3;
   loading: number = null;
+  exporting = false;
   pageNumDiffs = Array.from({ length: 2 * this.pageLinks + 1 }, (v, k) => k - this.pageLinks);
 
 
-  constructor(private route: ActivatedRoute, private service: WordsService) {
+  constructor(private route: ActivatedRoute, private service: WordsService, private auth: AuthService) {
+  }
+
+  get canModerate() {
+    return this.auth.hasRole(Roles.MODERATOR);
   }
 
   ngOnInit() {
     this.route.data.forEach((data) => {
       this.data = data.words;
     });
+    this.service.getCategories()
+      .subscribe(categories => this.categories = categories);
   }
 
   getPageLinks(): number[] {
@@ -30,22 +51,111 @@ export class ShowWordsComponent implements OnInit {
       .filter(pageNum => pageNum > 0 && pageNum <= this.data.pages)
   }
 
+  onExport(format: string) {
+    this.exporting = true;
+    this.service.exportWords(format)
+      .subscribe(
+        blob => {
+          const url = URL.createObjectURL(blob);
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = `words.${format}`;
+          document.body.appendChild(link);
+          link.click();
+          document.body.removeChild(link);
+          URL.revokeObjectURL(url);
+          this.exporting = false;
+        },
+        error => {
+          window.alert(`Export failed!\n${error.message}`);
+          this.exporting = false;
+        }
+      );
+  }
+
   onDeleteClick(index: number) {
     const entry = this.data.docs[index];
     if (window.confirm(`Are you sure you want to delete "${entry.word}"`)) {
-      this.service.deleteWord(entry.word)
-        .subscribe(
-          updatedWord => this.data.docs[index] = updatedWord,
-          error => window.alert(`Error occured!\n${error}`)
-        )
+      this.updateWord(index, this.service.deleteWord(entry.word));
     }
   }
 
+  onRestoreClick(index: number) {
+    this.updateWord(index, this.service.restoreWord(this.data.docs[index].word));
+  }
+
+  onApproveClick(index: number) {
+    this.updateWord(index, this.service.approveWord(this.data.docs[index].word));
+  }
+
+  onRejectClick(index: number) {
+    this.updateWord(index, this.service.rejectWord(this.data.docs[index].word));
+  }
+
+  onDifficultyChange(index: number, difficulty: string) {
+    this.updateWord(index, this.service.updateWord(this.data.docs[index].word, { difficulty: Number(difficulty) }));
+  }
+
+  onLanguageChange(index: number, language: string) {
+    this.updateWord(index, this.service.updateWord(this.data.docs[index].word, { language }));
+  }
+
+  onCategoriesChange(index: number, categories: string) {
+    this.updateWord(index, this.service.updateWord(this.data.docs[index].word, { categories }));
+  }
+
+  getPlayStats(entry): string {
+    const stats = entry.stats || {};
+    const parts = [`drawn ${stats.rounds || 0} times`, `chosen ${stats.chosen || 0} of ${stats.offered || 0} times offered`];
+    if (entry.guessRatio !== null && entry.guessRatio !== undefined) {
+      parts.push(`${Math.round(entry.guessRatio * 100)}% of players guessed it`);
+    }
+    if (entry.averageGuessTime) {
+      parts.push(`in ${Math.round(entry.averageGuessTime / 1000)} s on average`);
+    }
+    return parts.join(', ');
+  }
+
+  onLogToggle(word: string) {
+    if (!this.expanded.delete(word)) {
+      this.expanded.add(word);
+    }
+  }
+
+  onStatusChange(status: string) {
+    this.onQueryChange({ status });
+  }
+
+  onQueryChange(change: WordQuery) {
+    this.query = { ...this.query, ...change };
+    this.onPageChange(1);
+  }
+
+  // clicking the sorted column again reverses the order
+  onSortClick(sort: string) {
+    const isSorted = (this.query.sort || 'word') === sort;
+    this.onQueryChange({ sort, order: isSorted && this.query.order !== 'desc' ? 'desc' : 'asc' });
+  }
+
+  getSortMark(sort: string): string {
+    if ((this.query.sort || 'word') !== sort) {
+      return '';
+    }
+    return this.query.order === 'desc' ? '\u25BC' : '\u25B2';
+  }
+
   onPageChange(p: number) {
-    this.service.getWords(p)
+    this.service.getWords(p, this.query)
       .subscribe(
         data => this.data = data,
         error => this.error = error
       )
   }
+
+  private updateWord(index: number, request) {
+    request.subscribe(
+      updatedWord => this.data.docs[index] = updatedWord,
+      error => window.alert(`Error occured!\n${error.error.message}`)
+    );
+  }
 }
@@ -3,6 +3,7 @@ import { CommonModule } from '@angular/common';
 
 import { ShowWordsComponent } from './show-words/show-words.component';
 import { AddWordsComponent } from './add-words/add-words.component';
+import { ImportWordsComponent } from './import-words/import-words.component';
 import { WordsResolver } from './words.resolver';
 import { WordsService } from './words.service';
 import { RouterModule } from '@angular/router';
@@ -16,6 +17,7 @@ const wordsRoutes = [
     canActivateChild: [LoggedInGuard],
     children: [
       { path: 'add', component: AddWordsComponent },
+      { path: 'import', component: ImportWordsComponent },
       { path: 'show', component: ShowWordsComponent, resolve: { words: WordsResolver }  },
       { path: '**', component: ShowWordsComponent, resolve: { words: WordsResolver }  },
     ]
@@ -29,7 +31,7 @@ const wordsRoutes = [
     MatButtonModule,
     RouterModule.forChild(wordsRoutes)
   ],
-  declarations: [ShowWordsComponent, AddWordsComponent],
+  declarations: [ShowWordsComponent, AddWordsComponent, ImportWordsComponent],
   providers: [
     WordsResolver,
     WordsService
@@ -4,21 +4,71 @@ import { Observable } from 'rxjs/Observable';
 import { ApiService } from '../core/api.service';
 import { AuthService } from '../core/auth/auth.service';
 
+export const DIFFICULTY_LABELS = { 1: 'easy', 2: 'medium', 3: 'hard' };
+
+export interface WordQuery {
+  status?: string;
+  q?: string;
+  match?: string;
+  author?: string;
+  deleted?: string;
+  category?: string;
+  language?: string;
+  sort?: string;
+  order?: string;
+}
+
 @Injectable()
 export class WordsService {
 
   constructor(private api: ApiService, private auth: AuthService) {
   }
 
-  addWords(words): Observable<any> {
-    return this.api.post('words', { words, author: this.auth.loginName })
+  addWords(words, list?: string, categories?: string, difficulty?: number, language?: string): Observable<any> {
+    return this.api.post('words', { words, list, categories, difficulty, language, author: this.auth.loginName })
+  }
+
+  updateWord(word, changes: { categories?: string, difficulty?: number, language?: string }): Observable<any> {
+    return this.api.post(`word/${encodeURIComponent(word)}`, changes);
   }
 
   deleteWord(word): Observable<any> {
-    return this.api.delete(`word/${word}`);
+    return this.api.delete(`word/${encodeURIComponent(word)}`);
+  }
+
+  restoreWord(word): Observable<any> {
+    return this.api.post(`word/${encodeURIComponent(word)}/restore`, {});
+  }
+
+  approveWord(word): Observable<any> {
+    return this.api.post(`word/${encodeURIComponent(word)}/approve`, {});
+  }
+
+  rejectWord(word): Observable<any> {
+    return this.api.post(`word/${encodeURIComponent(word)}/reject`, {});
+  }
+
+  getWords(page = 1, query: WordQuery = {}): Observable<any> {
+    const params = { p: page };
+    Object.keys(query)
+      .filter(key => query[key])
+      .forEach(key => params[key] = query[key]);
+    return this.api.get('words', params);
+  }
+
+  exportWords(format: string): Observable<Blob> {
+    return this.api.getBlob('words/export', { format });
+  }
+
+  importWords(format: string, content: string, dryRun: boolean): Observable<any> {
+    return this.api.post('words/import', { format, content, dryRun });
+  }
+
+  getLists(): Observable<string[]> {
+    return this.api.get('words/lists');
   }
 
-  getWords(page = 1): Observable<any> {
-    return this.api.get('words', { p: page });
+  getCategories(): Observable<string[]> {
+    return this.api.get('words/categories');
   }
 }
@@ -0,0 +1,36 @@
+const fs = require('fs');
+
+/**
+ * Delivers account messages like password reset codes. Users leave no contact details yet,
+ * so these stand-ins hand the message to whoever runs the server. Anything with
+ * a `notify(user, subject, text)` method returning a promise can take their place.
+ */
+class ConsoleNotifier {
+
+  notify(user, subject, text) {
+    console.log(`Message for ${user.login}, ${subject}: ${text}`);
+    return Promise.resolve();
+  }
+}
+
+class FileNotifier {
+
+  constructor(path) {
+    this.path = path;
+  }
+
+  notify(user, subject, text) {
+    const line = `${new Date().toISOString()} ${user.login} ${subject}: ${text}\n`;
+    return new Promise((resolve, reject) => {
+      fs.appendFile(this.path, line, err => err ? reject(err) : resolve());
+    });
+  }
+}
+
+const createNotifier = (path = process.env.NOTIFIER_FILE) => path ? new FileNotifier(path) : new ConsoleNotifier();
+
+module.exports = {
+  ConsoleNotifier,
+  FileNotifier,
+  createNotifier
+};
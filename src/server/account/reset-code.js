@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+const RESET_CODE_LENGTH = 8;
+const RESET_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RESET_CODE_LIFETIME = 15 * 60 * 1000;
+// wrong guesses after which the code stops working and a new one has to be requested
+const MAX_RESET_ATTEMPTS = 5;
+// a new code can be requested this long after the last one, it starts without wrong guesses
+const RESET_REQUEST_COOLDOWN = 60 * 1000;
+
+const hash = code => crypto.createHash('sha256').update(code.trim().toUpperCase()).digest('hex');
+
+/**
+ * One-time code for resetting a forgotten password. Only the hash is stored on the user,
+ * the code itself goes to the user through a notifier.
+ */
+const create = (now = Date.now()) => {
+  const code = [...crypto.randomBytes(RESET_CODE_LENGTH)]
+    .map(byte => RESET_CODE_CHARACTERS[byte % RESET_CODE_CHARACTERS.length])
+    .join('');
+  return { code, hash: hash(code), expiresAt: new Date(now + RESET_CODE_LIFETIME) };
+};
+
+// reset is what was stored on the user, { hash, expiresAt, attempts }
+const isValid = (reset, code, now = Date.now()) => {
+  if (!reset || !reset.hash || typeof code !== 'string') {
+    return false;
+  }
+  if ((reset.attempts || 0) >= MAX_RESET_ATTEMPTS || reset.expiresAt.getTime() <= now) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(hash(code)), Buffer.from(reset.hash));
+};
+
+// codes are requested RESET_CODE_LIFETIME before they expire
+const canRequest = (reset, now = Date.now()) => {
+  if (!reset || !reset.hash || !reset.expiresAt) {
+    return true;
+  }
+  return reset.expiresAt.getTime() - RESET_CODE_LIFETIME + RESET_REQUEST_COOLDOWN <= now;
+};
+
+module.exports = {
+  RESET_CODE_LIFETIME,
+  MAX_RESET_ATTEMPTS,
+  RESET_REQUEST_COOLDOWN,
+  create,
+  isValid,
+  canRequest
+};
@@ -0,0 +1,54 @@
+const ResetCode = require('./reset-code');
+
+describe('ResetCode', () => {
+
+  const NOW = 1000000;
+
+  it('should accept the code it created', () => {
+    const { code, hash, expiresAt } = ResetCode.create(NOW);
+
+    expect(code).toMatch(/^[A-Z0-9]{8}$/);
+    expect(hash).not.toContain(code);
+    expect(ResetCode.isValid({ hash, expiresAt, attempts: 0 }, code, NOW)).toBe(true);
+  });
+
+  it('should not care about case and whitespace of the typed code', () => {
+    const { code, hash, expiresAt } = ResetCode.create(NOW);
+
+    expect(ResetCode.isValid({ hash, expiresAt }, ` ${code.toLowerCase()} `, NOW)).toBe(true);
+  });
+
+  it('should reject other codes', () => {
+    const { hash, expiresAt } = ResetCode.create(NOW);
+
+    expect(ResetCode.isValid({ hash, expiresAt, attempts: 0 }, 'ABCDEFGH', NOW)).toBe(false);
+    expect(ResetCode.isValid({ hash, expiresAt, attempts: 0 }, undefined, NOW)).toBe(false);
+  });
+
+  it('should reject expired codes', () => {
+    const { code, hash, expiresAt } = ResetCode.create(NOW);
+
+    expect(ResetCode.isValid({ hash, expiresAt, attempts: 0 }, code, NOW + ResetCode.RESET_CODE_LIFETIME)).toBe(false);
+  });
+
+  it('should reject codes guessed too many times', () => {
+    const { code, hash, expiresAt } = ResetCode.create(NOW);
+
+    expect(ResetCode.isValid({ hash, expiresAt, attempts: ResetCode.MAX_RESET_ATTEMPTS }, code, NOW)).toBe(false);
+  });
+
+  it('should only let a new code be requested once the last one is old enough', () => {
+    const { hash, expiresAt } = ResetCode.create(NOW);
+    const reset = { hash, expiresAt, attempts: ResetCode.MAX_RESET_ATTEMPTS };
+
+    expect(ResetCode.canRequest(reset, NOW + ResetCode.RESET_REQUEST_COOLDOWN - 1)).toBe(false);
+    expect(ResetCode.canRequest(reset, NOW + ResetCode.RESET_REQUEST_COOLDOWN)).toBe(true);
+    expect(ResetCode.canRequest(undefined, NOW)).toBe(true);
+    expect(ResetCode.canRequest({}, NOW)).toBe(true);
+  });
+
+  it('should reject users without a reset', () => {
+    expect(ResetCode.isValid(undefined, 'ABCDEFGH', NOW)).toBe(false);
+    expect(ResetCode.isValid({}, 'ABCDEFGH', NOW)).toBe(false);
+  });
+});
@@ -0,0 +1,10 @@
+// rejected authentication (401) or permission (403), answered with the status by the express error handler
+class AuthError extends Error {
+
+  constructor(message = 'You must be logged in', status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = AuthError;
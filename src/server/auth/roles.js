@@ -0,0 +1,12 @@
+const AuthError = require('./auth-error');
+const Roles = require('../../shared/roles');
+
+// express middleware for routes only some roles may use, expects req.user to be filled in already
+const requireRole = role => (req, res, next) => {
+  if (!Roles.hasRole(req.user, role)) {
+    return next(new AuthError('You are not allowed to do that!', 403));
+  }
+  next();
+};
+
+module.exports = Object.assign({ requireRole }, Roles);
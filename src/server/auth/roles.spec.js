@@ -0,0 +1,31 @@
+const Roles = require('./roles');
+
+describe('Roles', () => {
+
+  it('should let higher roles do what lower roles can', () => {
+    const admin = { role: Roles.ADMIN };
+
+    expect(Roles.hasRole(admin, Roles.PLAYER)).toBe(true);
+    expect(Roles.hasRole(admin, Roles.MODERATOR)).toBe(true);
+    expect(Roles.hasRole(admin, Roles.ADMIN)).toBe(true);
+    expect(Roles.hasRole({ role: Roles.MODERATOR }, Roles.ADMIN)).toBe(false);
+  });
+
+  it('should treat users without a role as players', () => {
+    expect(Roles.hasRole({}, Roles.PLAYER)).toBe(true);
+    expect(Roles.hasRole({}, Roles.MODERATOR)).toBe(false);
+    expect(Roles.hasRole(null, Roles.PLAYER)).toBe(false);
+  });
+
+  it('should only let allowed roles through the middleware', () => {
+    const middleware = Roles.requireRole(Roles.MODERATOR);
+    const next = jasmine.createSpy('next');
+
+    middleware({ user: { role: Roles.MODERATOR } }, {}, next);
+    expect(next).toHaveBeenCalledWith();
+
+    next.calls.reset();
+    middleware({ user: { role: Roles.PLAYER } }, {}, next);
+    expect(next.calls.mostRecent().args[0].status).toBe(403);
+  });
+});
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// sessions that are not used for this long expire, every auto login extends them again
+const SESSION_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+
+const toBase64Url = buffer => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const sign = (payload, secret) => toBase64Url(crypto.createHmac('sha256', secret).update(payload).digest());
+
+/**
+ * Tokens are `<payload>.<signature>` where the payload carries the login, session id and expiry time,
+ * so forged and expired tokens are turned away without asking the database whether the session was revoked.
+ */
+const create = (login, session, expires, secret) => {
+  const payload = toBase64Url(Buffer.from(JSON.stringify({ login, session, expires })));
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+// returns { login, session, expires } of a valid token, null otherwise
+const verify = (token, secret, now = Date.now()) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length) {
+    return null;
+  }
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+  } catch (e) {
+    return null;
+  }
+  if (!data || typeof data.login !== 'string' || typeof data.session !== 'string' || !(data.expires > now)) {
+    return null;
+  }
+  return data;
+};
+
+module.exports = {
+  SESSION_LIFETIME,
+  create,
+  verify
+};
@@ -0,0 +1,39 @@
+const SessionToken = require('./session-token');
+
+describe('SessionToken', () => {
+
+  const SECRET = 'secret';
+  const NOW = 1000000;
+
+  it('should read back what was signed', () => {
+    const token = SessionToken.create('alice', 'abc', NOW + 1000, SECRET);
+
+    expect(SessionToken.verify(token, SECRET, NOW)).toEqual({ login: 'alice', session: 'abc', expires: NOW + 1000 });
+  });
+
+  it('should reject expired tokens', () => {
+    const token = SessionToken.create('alice', 'abc', NOW + 1000, SECRET);
+
+    expect(SessionToken.verify(token, SECRET, NOW + 1000)).toBe(null);
+  });
+
+  it('should reject tokens signed with another secret', () => {
+    const token = SessionToken.create('alice', 'abc', NOW + 1000, 'another secret');
+
+    expect(SessionToken.verify(token, SECRET, NOW)).toBe(null);
+  });
+
+  it('should reject tokens with a changed payload', () => {
+    const [, signature] = SessionToken.create('alice', 'abc', NOW + 1000, SECRET).split('.');
+    const [payload] = SessionToken.create('mallory', 'abc', NOW + 1000, 'another secret').split('.');
+
+    expect(SessionToken.verify(`${payload}.${signature}`, SECRET, NOW)).toBe(null);
+  });
+
+  it('should reject garbage', () => {
+    expect(SessionToken.verify(undefined, SECRET, NOW)).toBe(null);
+    expect(SessionToken.verify('', SECRET, NOW)).toBe(null);
+    expect(SessionToken.verify('a.b.c', SECRET, NOW)).toBe(null);
+    expect(SessionToken.verify('4f5c0a4e-8c1d-4b7a-9e57-0d8a6b1c2d3e', SECRET, NOW)).toBe(null);
+  });
+});
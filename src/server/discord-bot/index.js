@@ -1,8 +1,13 @@
 const Discord = require("discord.js");
+const UserModel = require('../models/user');
+const Roles = require('../auth/roles');
 const token = process.env.DISCORD_BOT_TOKEN || require('./bot-token');
 
 const CHANNEL_NAME = 'avocadoodle';
 
+// the only commands the bot answers, other messages starting with the prefix are left alone
+const COMMANDS = ['purge'];
+
 const client = new Discord.Client();
 
 if (!token) {
@@ -59,14 +64,23 @@ client.on("message", async message => {
     })
   }
 
-  if (message.author.username != 'Jožo'){
-    return;
-  }
-
   if (message.content.indexOf(config.prefix) !== 0) return;
 
   const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
   const command = args.shift().toLowerCase();
+  if (!COMMANDS.includes(command)) return;
+
+  // commands are for moderators whose Discord account an admin linked to their login
+  let user;
+  try {
+    user = await UserModel.findOne({ discordId: message.author.id });
+  } catch (err) {
+    console.error(err);
+    return;
+  }
+  if (!Roles.hasRole(user, Roles.MODERATOR)) {
+    return message.reply("Sorry, you don't have permissions to use this!");
+  }
 
   // if (command === "ping") {
   //   // Calculates ping between sending a message and editing it, giving a nice round-trip latency.
@@ -149,7 +163,7 @@ client.on("message", async message => {
   }
 });
 
-const shareImage = (text, data) => mainChannel.send(text, new Discord.Attachment(new Buffer(data, 'binary'), 'image.png'));
+const shareImage = (text, image) => mainChannel.send(text, new Discord.Attachment(image, 'image.png'));
 
 
 client.login(config.token);
@@ -0,0 +1,10 @@
+// Real time clock, games in tests get a fake one with the same interface
+const systemClock = {
+  now: () => Date.now(),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: id => clearInterval(id),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: id => clearTimeout(id)
+};
+
+module.exports = systemClock;
@@ -0,0 +1,102 @@
+const ChatMessage = require('../../shared/messages/chat-message');
+
+// Clock and transport of games in specs, time only moves when the spec ticks it
+
+class FakeClock {
+
+  constructor() {
+    this.time = 0;
+    this.lastId = 0;
+    this.intervals = new Map();
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setInterval(callback, ms) {
+    const id = ++this.lastId;
+    this.intervals.set(id, { callback, ms, next: this.time + ms });
+    return id;
+  }
+
+  clearInterval(id) {
+    this.intervals.delete(id);
+  }
+
+  setTimeout(callback, ms) {
+    const id = this.setInterval(() => {
+      this.clearInterval(id);
+      callback();
+    }, ms);
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.clearInterval(id);
+  }
+
+  tick(ms) {
+    const end = this.time + ms;
+    for (; ;) {
+      let nextId = null;
+      this.intervals.forEach((interval, id) => {
+        if (interval.next <= end && (nextId === null || interval.next < this.intervals.get(nextId).next)) {
+          nextId = id;
+        }
+      });
+      if (nextId === null) {
+        break;
+      }
+      const interval = this.intervals.get(nextId);
+      this.time = interval.next;
+      interval.next += interval.ms;
+      interval.callback();
+    }
+    this.time = end;
+  }
+
+  tickSeconds(seconds) {
+    this.tick(seconds * 1000);
+  }
+}
+
+class FakeTransport {
+
+  constructor() {
+    this.messages = [];
+  }
+
+  broadcast(message) {
+    this.messages.push({ to: null, except: null, type: message.getType(), payload: message.getPayload() });
+  }
+
+  broadcastExcept(playerName, message) {
+    this.messages.push({ to: null, except: playerName, type: message.getType(), payload: message.getPayload() });
+  }
+
+  send(playerName, message) {
+    this.messages.push({ to: playerName, except: null, type: message.getType(), payload: message.getPayload() });
+  }
+
+  received(playerName, type) {
+    return this.messages
+      .filter(message => message.type === type)
+      .filter(message => message.to === playerName || (message.to === null && message.except !== playerName))
+      .map(message => message.payload);
+  }
+
+  last(playerName, type) {
+    const received = this.received(playerName, type);
+    return received[received.length - 1];
+  }
+
+  chatTexts(playerName) {
+    return this.received(playerName, ChatMessage.type).map(({ text }) => text);
+  }
+}
+
+module.exports = {
+  FakeClock,
+  FakeTransport
+};
@@ -0,0 +1,536 @@
+const EventEmitter = require('events');
+const uuid = require('uuid/v4');
+const leven = require('leven');
+const colorString = require('color-string');
+
+const systemClock = require('./clock');
+const { DEFAULT_SETTINGS, sanitizeSettings } = require('./settings');
+const WordText = require('./word-text');
+
+const GameOverMessage = require('../../shared/messages/game-over-message');
+const ChatMessage = require('../../shared/messages/chat-message');
+const StartRoundMessage = require('../../shared/messages/start-round-message');
+const EndRoundMessage = require('../../shared/messages/end-round-message');
+const PlayerMessage = require('../../shared/messages/player-message');
+const TimerMessage = require('../../shared/messages/timer-message');
+const WordMessage = require('../../shared/messages/word-message');
+const WordChoicesMessage = require('../../shared/messages/word-choices-message');
+
+const STATE_IDLE = 'IDLE';
+const STATE_PLAYING = 'PLAYING';
+const STATE_COOLDOWN = 'COOLDOWN';
+const STATE_CHOOSING_WORD = 'CHOOSING_WORD';
+
+const SERVER_NAME = '/server';
+
+const TIME_ROUND_REDUCTION = 5;
+const TIME_ROUND_MINIMUM = 10;
+const TIME_WORD_CHOOSE = 20;
+const TIME_COOLDOWN = 5;
+
+const SCORE_NO_CORRECT_GUESSES = -10;
+const SCORE_BONUS_FIRST = 4;
+const SCORE_BONUS_MAX = 6;
+const SCORE_BONUS_REDUCTION = 1;
+const SCORE_TIME_MULTIPLIER = 0.5;
+const SCORE_TIME_MAXIMUM = 30;
+const SCORE_BASE = 10;
+// guessing and drawing harder words is worth more, words of unknown difficulty count as medium
+const SCORE_DIFFICULTY_MULTIPLIERS = { 1: 0.75, 2: 1, 3: 1.5 };
+const DEFAULT_DIFFICULTY = 2;
+
+const MIN_PLAYERS = 2;
+
+/**
+ * Game state machine of a single room.
+ *
+ * Knows nothing about sockets or the database, everything goes through the injected collaborators:
+ * - transport: broadcast(message), send(playerName, message), broadcastExcept(playerName, message)
+ * - wordSource: getRandomWords(count, settings) returning a promise of { word, difficulty } entries
+ * - clock: now(), setInterval(callback, ms), clearInterval(id)
+ *
+ * Emits 'start' (gameId, playerNames), 'round-start' (drawingPlayerName, word, wordChoices),
+ * 'guess' (playerName, score, time in ms since the round started), 'score' (playerName, score),
+ * 'round-end' (drawingPlayerName, word, roundScores) and 'end' (gameId, standings, turnsPlayed)
+ * so the owner can persist whatever it needs.
+ */
+class Game extends EventEmitter {
+
+  constructor(transport, wordSource, clock = systemClock) {
+    super();
+    this.transport = transport;
+    this.wordSource = wordSource;
+    this.clock = clock;
+    this.settings = Object.assign({}, DEFAULT_SETTINGS);
+
+    this.players = {};
+    // players whose connection dropped keep their seat, but get no turn until they are back
+    this.away = new Set();
+
+    this.state = STATE_IDLE;
+    this.gameId = null;
+    this.drawingPlayerName = null;
+    this.lastDrawingPlayerName = null;
+    this.word = null;
+    this.wordChoices = [];
+    this.wordDifficulties = {};
+    this.difficulty = DEFAULT_DIFFICULTY;
+    this.wordCharLength = 0;
+    this.wordHint = null;
+    this.hintsShown = new Set();
+    this.guessingTime = 0;
+    this.roundStartTime = 0;
+    this.remainingTime = 0;
+    this.roundScores = {};
+    this.scoreBonus = 0;
+    this.winnerScore = 0;
+    this.drawnThisRound = new Set();
+    this.roundsPlayed = 0;
+    // turns that ran until the end, a game without any is not counted
+    this.turnsPlayed = 0;
+    this.timer = null;
+    this.roundPreparation = 0;
+  }
+
+  get playerNames() {
+    return Object.keys(this.players);
+  }
+
+  isIdle() {
+    return this.state === STATE_IDLE;
+  }
+
+  canDraw(playerName) {
+    return this.state !== STATE_PLAYING || playerName === this.drawingPlayerName;
+  }
+
+  updateSettings(settings) {
+    this.settings = sanitizeSettings(settings, this.settings);
+    return this.settings;
+  }
+
+  addPlayer(name, score = 0, rating) {
+    this.players[name] = { score, guessed: false, rating };
+    if (this.state === STATE_PLAYING) {
+      this.roundScores[name] = 0;
+    }
+    this.syncPlayer(name);
+    this.transport.broadcastExcept(name, new PlayerMessage(name, this.players[name]));
+  }
+
+  setAway(name) {
+    if (this.players[name]) {
+      this.away.add(name);
+    }
+  }
+
+  // a player coming back to their seat keeps their score, guess and turn
+  resumePlayer(name) {
+    if (!this.players[name]) {
+      return false;
+    }
+    this.away.delete(name);
+    this.syncPlayer(name);
+    return true;
+  }
+
+  // sends everything a player needs to catch up with the game
+  syncPlayer(name) {
+    if (this.state === STATE_PLAYING) {
+      const word = name === this.drawingPlayerName ? this.word : this.wordHint;
+      this.transport.send(name, new StartRoundMessage(this.drawingPlayerName, word, this.roundsPlayed + 1));
+      this.transport.send(name, new TimerMessage(this.remainingTime));
+    } else if (this.state === STATE_CHOOSING_WORD && this.drawingPlayerName) {
+      if (name === this.drawingPlayerName && this.wordChoices.length) {
+        this.transport.send(name, this.createWordChoicesMessage());
+      } else {
+        this.transport.send(name, new ChatMessage(SERVER_NAME, `${this.drawingPlayerName} is choosing a word`, 'gray'));
+      }
+      this.transport.send(name, new TimerMessage(this.remainingTime));
+    }
+
+    this.playerNames.forEach(playerName => {
+      this.transport.send(name, new PlayerMessage(playerName, this.players[playerName]));
+    });
+  }
+
+  updateRating(name, rating) {
+    const player = this.players[name];
+    if (player) {
+      player.rating = rating;
+      this.transport.broadcast(new PlayerMessage(name, player));
+    }
+  }
+
+  // average rating of the players in the game, null when nobody is rated
+  get rating() {
+    const ratings = this.playerNames.map(name => this.players[name].rating).filter(rating => typeof rating === 'number');
+    return ratings.length ? Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) : null;
+  }
+
+  removePlayer(name) {
+    if (!this.players[name]) {
+      return;
+    }
+    delete this.players[name];
+    this.away.delete(name);
+
+    if (this.state === STATE_IDLE) {
+      return;
+    }
+    if (this.playerNames.length < MIN_PLAYERS) {
+      this.end();
+    } else if (name !== this.drawingPlayerName) {
+      if (this.state === STATE_PLAYING && this.checkEveryoneGuessed()) {
+        this.endRound();
+      }
+    } else if (this.state === STATE_CHOOSING_WORD) {
+      this.drawnThisRound.add(name);
+      this.prepareRound();
+    } else if (this.state === STATE_PLAYING) {
+      this.endRound();
+    }
+  }
+
+  start() {
+    const playerNames = this.playerNames;
+    if (this.state !== STATE_IDLE || playerNames.length < MIN_PLAYERS) {
+      return false;
+    }
+
+    this.roundsPlayed = 0;
+    this.turnsPlayed = 0;
+    this.drawnThisRound = new Set();
+    this.gameId = uuid();
+    this.state = STATE_CHOOSING_WORD;
+
+    playerNames.forEach(name => {
+      this.players[name].score = 0;
+      this.players[name].guessed = false;
+      this.transport.broadcast(new PlayerMessage(name, this.players[name]));
+    });
+    this.sendChatMessageToAllPlayers('Starting new game');
+    this.emit('start', this.gameId, playerNames);
+
+    this.prepareRound();
+    return true;
+  }
+
+  end() {
+    this.stopTimer();
+    this.roundPreparation++;
+
+    const gameId = this.gameId;
+    this.state = STATE_IDLE;
+    this.drawingPlayerName = null;
+
+    this.sendChatMessageToAllPlayers('Game over!');
+    this.transport.broadcast(new GameOverMessage());
+    this.emit('end', gameId, this.getStandings(), this.turnsPlayed);
+  }
+
+  // players ordered by score, players with the same score share the place
+  getStandings() {
+    const standings = this.playerNames
+      .map(name => ({ name, score: this.players[name].score }))
+      .sort((a, b) => b.score - a.score);
+    standings.forEach((standing, i) => {
+      standing.place = i > 0 && standings[i - 1].score === standing.score ? standings[i - 1].place : i + 1;
+    });
+    return standings;
+  }
+
+  dispose() {
+    this.stopTimer();
+    this.roundPreparation++;
+    this.removeAllListeners();
+  }
+
+  prepareRound() {
+    this.stopTimer();
+
+    if (this.playerNames.length < MIN_PLAYERS) {
+      this.end();
+      return;
+    }
+
+    this.state = STATE_CHOOSING_WORD;
+    this.drawingPlayerName = this.playerNames.find(name => !this.drawnThisRound.has(name) && !this.away.has(name)) || null;
+
+    if (!this.drawingPlayerName) {
+      this.drawnThisRound.clear();
+      this.roundsPlayed++;
+      if (this.roundsPlayed >= this.settings.rounds) {
+        this.end();
+      } else {
+        this.prepareRound();
+      }
+      return;
+    }
+
+    const preparation = ++this.roundPreparation;
+    const drawingPlayerName = this.drawingPlayerName;
+    const count = this.settings.wordChoices || 3 + Math.round(Math.random() * 6);
+    this.wordSource.getRandomWords(count, this.settings)
+      .then(words => {
+        if (preparation !== this.roundPreparation) {
+          // the game moved on while we were waiting for words
+          return;
+        }
+        if (!words.length) {
+          this.end();
+          this.sendChatMessageToAllPlayers('There are no words in the selected word lists!', 'red');
+          return;
+        }
+        this.offerWords(drawingPlayerName, words);
+      })
+      .catch(err => {
+        console.log(err);
+        if (preparation !== this.roundPreparation) {
+          return;
+        }
+        this.end();
+        this.sendChatMessageToAllPlayers('Error occured');
+      });
+  }
+
+  offerWords(drawingPlayerName, entries) {
+    const words = entries.map(({ word }) => word);
+    this.wordChoices = words;
+    this.wordDifficulties = {};
+    entries.forEach(({ word, difficulty }) => this.wordDifficulties[word] = difficulty || DEFAULT_DIFFICULTY);
+    this.transport.send(drawingPlayerName, this.createWordChoicesMessage());
+    this.sendChatMessageToAllPlayers(`${drawingPlayerName} is choosing a word`);
+
+    this.startTimer(
+      (elapsedTime) => {
+        this.remainingTime = TIME_WORD_CHOOSE - elapsedTime;
+        this.transport.broadcast(new TimerMessage(this.remainingTime));
+        return this.remainingTime <= 0;
+      },
+      () => this.startRound(words[0])
+    );
+  }
+
+  createWordChoicesMessage() {
+    return new WordChoicesMessage(this.wordChoices, this.wordChoices.map(word => this.wordDifficulties[word]));
+  }
+
+  chooseWord(playerName, word) {
+    if (playerName !== this.drawingPlayerName || this.state !== STATE_CHOOSING_WORD || !this.wordChoices.includes(word)) {
+      return false;
+    }
+    this.startRound(word);
+    return true;
+  }
+
+  startRound(word) {
+    this.stopTimer();
+
+    const wordChoices = this.wordChoices;
+    this.word = word;
+    this.difficulty = this.wordDifficulties[word] || DEFAULT_DIFFICULTY;
+    this.wordChoices = [];
+    this.lastDrawingPlayerName = this.drawingPlayerName;
+
+    this.wordCharLength = WordText.countLetters(word);
+
+    this.hintsShown = new Set();
+    this.wordHint = this.generateWordHint();
+
+    this.roundScores = {};
+    this.playerNames.forEach(name => {
+      this.players[name].guessed = false;
+      this.roundScores[name] = 0;
+      this.transport.send(name, new StartRoundMessage(
+        this.drawingPlayerName,
+        name === this.drawingPlayerName ? word : this.wordHint,
+        this.roundsPlayed + 1
+      ));
+    });
+    this.emit('round-start', this.drawingPlayerName, word, wordChoices);
+    this.sendChatMessageToAllPlayers(`${this.drawingPlayerName} is drawing now!`);
+
+    this.state = STATE_PLAYING;
+    this.roundStartTime = this.clock.now();
+    this.guessingTime = this.settings.drawTime;
+    this.remainingTime = this.guessingTime;
+    this.winnerScore = 0;
+    this.scoreBonus = SCORE_BONUS_MAX;
+    this.startTimer(
+      (elapsedTime) => {
+        this.remainingTime = this.guessingTime - elapsedTime;
+        this.transport.broadcast(new TimerMessage(this.remainingTime));
+        this.checkWordHintAvailable(this.remainingTime);
+        return this.remainingTime <= 0;
+      },
+      () => {
+        this.sendChatMessageToAllPlayers(`Round over, the word was "${this.word}"`);
+        this.endRound();
+      }
+    );
+  }
+
+  endRound() {
+    this.stopTimer();
+    this.state = STATE_COOLDOWN;
+
+    const drawingPlayerName = this.drawingPlayerName;
+    this.drawnThisRound.add(drawingPlayerName);
+    let playersGuessing = 0;
+    let playersGuessed = 0;
+    this.playerNames.forEach(name => {
+      if (name === drawingPlayerName) {
+        return;
+      }
+      playersGuessing++;
+      if (this.players[name].guessed) {
+        playersGuessed++;
+      }
+    });
+
+    const ratioGuessed = playersGuessing ? playersGuessed / playersGuessing : 0;
+    const drawingPlayerScore = playersGuessed > 0 ? Math.round(this.winnerScore * ratioGuessed) : SCORE_NO_CORRECT_GUESSES;
+    this.roundScores[drawingPlayerName] = drawingPlayerScore;
+    if (this.players[drawingPlayerName]) {
+      this.addScore(drawingPlayerName, drawingPlayerScore);
+    }
+
+    this.drawingPlayerName = null;
+    this.sendChatMessageToAllPlayers(
+      `The word was ${this.word}. ${playersGuessed}/${playersGuessing} guessed`,
+      colorString.to.hex([200 - 100 * ratioGuessed, 100 + 100 * ratioGuessed, 0])
+    );
+    this.transport.broadcast(new EndRoundMessage(this.word, this.roundScores));
+    this.turnsPlayed++;
+    this.emit('round-end', drawingPlayerName, this.word, this.roundScores);
+    this.startTimer(
+      (elapsedTime) => {
+        const remainingTime = TIME_COOLDOWN - elapsedTime;
+        this.transport.broadcast(new TimerMessage(remainingTime));
+        return remainingTime <= 0;
+      },
+      () => this.prepareRound()
+    );
+  }
+
+  guess(playerName, text) {
+    const word = this.word;
+    const player = this.players[playerName];
+    if (this.state !== STATE_PLAYING || !word || !text || !player || playerName === this.drawingPlayerName) {
+      return false;
+    }
+
+    const guess = WordText.normalizeGuess(text);
+    const answer = WordText.normalizeGuess(word);
+    if (guess === answer) {
+      if (player.guessed) {
+        return true;
+      }
+      const score = Math.round(SCORE_DIFFICULTY_MULTIPLIERS[this.difficulty] * (
+        SCORE_BASE + Math.round(Math.min(SCORE_TIME_MAXIMUM, this.remainingTime * SCORE_TIME_MULTIPLIER)) + this.scoreBonus + (this.winnerScore ? 0 : SCORE_BONUS_FIRST)
+      ));
+      this.winnerScore = this.winnerScore || score;
+      this.scoreBonus -= SCORE_BONUS_REDUCTION;
+      this.roundScores[playerName] = score;
+      player.guessed = true;
+      this.transport.send(playerName, new ChatMessage(SERVER_NAME, `You guessed the word! +${score} points`, '#00cc00'));
+      this.transport.broadcastExcept(playerName, new ChatMessage(SERVER_NAME, `${playerName} guessed the word! +${score} points`, '#007700'));
+      this.emit('guess', playerName, score, this.clock.now() - this.roundStartTime);
+      this.addScore(playerName, score);
+      if (this.remainingTime > 10)
+        this.guessingTime = this.guessingTime - Math.min(TIME_ROUND_REDUCTION, Math.max(0, this.remainingTime - TIME_ROUND_MINIMUM));
+
+      if (this.checkEveryoneGuessed()) {
+        this.endRound();
+      }
+      return true;
+    }
+
+    const lDistance = leven(guess, answer);
+    if (lDistance == 1) {
+      this.transport.send(playerName, new ChatMessage(SERVER_NAME, `${text} is really close!`, '#3153ff'));
+    } else if (lDistance == 2 && this.remainingTime <= TIME_ROUND_MINIMUM) {
+      this.transport.send(playerName, new ChatMessage(SERVER_NAME, `${text} is kinda close!`, '#5078cc'));
+    }
+    return false;
+  }
+
+  addScore(playerName, score) {
+    this.players[playerName].score += score;
+    this.transport.broadcast(new PlayerMessage(playerName, this.players[playerName]));
+    this.emit('score', playerName, this.players[playerName].score);
+  }
+
+  checkEveryoneGuessed() {
+    return this.playerNames
+      .every(name => this.players[name].guessed || name === this.drawingPlayerName);
+  }
+
+  checkWordHintAvailable(time) {
+    const { hintTime, hintPercentage } = this.settings;
+    const maxHints = Math.ceil(this.wordCharLength * hintPercentage / 100);
+    if (maxHints > 0 && this.hintsShown.size < maxHints && time <= hintTime * (maxHints - this.hintsShown.size) / maxHints)
+      this.wordHint = this.generateWordHint(true);
+    this.transport.broadcastExcept(this.drawingPlayerName, new WordMessage(this.wordHint));
+  }
+
+  generateWordHint(addHint = false) {
+    const chars = WordText.splitCharacters(this.word);
+    if (addHint && this.hintsShown.size < this.wordCharLength) {
+      let newHintIndex;
+      do {
+        newHintIndex = Math.floor(Math.random() * chars.length);
+      } while (!WordText.isLetter(chars[newHintIndex]) || this.hintsShown.has(newHintIndex));
+      this.hintsShown.add(newHintIndex);
+    }
+    let result = '';
+    chars.forEach((char, i) => {
+      if (this.hintsShown.has(i)) {
+        result += `${char}\u00A0`;
+      }
+      else if (WordText.isLetter(char)) {
+        result += '＿\u00A0'
+      } else if (char === ' ') {
+        result += '\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0';
+      } else {
+        result += `${char}\u00A0`;
+      }
+    });
+
+    return result;
+  }
+
+  sendChatMessageToAllPlayers(text, color = 'gray') {
+    this.transport.broadcast(new ChatMessage(SERVER_NAME, text, color));
+  }
+
+  startTimer(updateCallback, doneCallback) {
+    this.stopTimer();
+    const startTime = this.clock.now();
+    updateCallback(0);
+    this.timer = this.clock.setInterval(() => {
+      if (updateCallback(Math.round((this.clock.now() - startTime) / 1000))) {
+        this.stopTimer();
+        doneCallback();
+      }
+    }, 1000);
+  }
+
+  stopTimer() {
+    if (this.timer !== null) {
+      this.clock.clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+Object.assign(Game, {
+  STATE_IDLE,
+  STATE_PLAYING,
+  STATE_COOLDOWN,
+  STATE_CHOOSING_WORD,
+  SERVER_NAME
+});
+
+module.exports = Game;
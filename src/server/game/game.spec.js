@@ -0,0 +1,368 @@
+const Game = require('./game');
+const { FakeClock, FakeTransport } = require('./fakes');
+
+const ChatMessage = require('../../shared/messages/chat-message');
+const EndRoundMessage = require('../../shared/messages/end-round-message');
+const GameOverMessage = require('../../shared/messages/game-over-message');
+const PlayerMessage = require('../../shared/messages/player-message');
+const StartRoundMessage = require('../../shared/messages/start-round-message');
+const TimerMessage = require('../../shared/messages/timer-message');
+const WordMessage = require('../../shared/messages/word-message');
+const WordChoicesMessage = require('../../shared/messages/word-choices-message');
+
+const WORDS = ['avocado', 'banana', 'cherry', 'durian'];
+const toEntries = words => words.map(word => ({ word, difficulty: 2 }));
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Game', () => {
+  let clock;
+  let transport;
+  let wordSource;
+  let game;
+
+  const startGame = (...players) => {
+    players.forEach(name => game.addPlayer(name));
+    game.start();
+    return flush();
+  };
+
+  const startRound = (word = WORDS[0]) => {
+    game.chooseWord(game.drawingPlayerName, word);
+  };
+
+  beforeEach(() => {
+    clock = new FakeClock();
+    transport = new FakeTransport();
+    wordSource = {
+      getRandomWords: jasmine.createSpy('getRandomWords').and.callFake(count => Promise.resolve(toEntries(WORDS.slice(0, count))))
+    };
+    game = new Game(transport, wordSource, clock);
+    game.updateSettings({ wordChoices: 3 });
+  });
+
+  afterEach(() => {
+    game.dispose();
+  });
+
+  it('should not start with a single player', () => {
+    game.addPlayer('alice');
+
+    expect(game.start()).toBe(false);
+    expect(game.state).toBe(Game.STATE_IDLE);
+  });
+
+  it('should offer word choices to the first player', async () => {
+    await startGame('alice', 'bob');
+
+    expect(game.state).toBe(Game.STATE_CHOOSING_WORD);
+    expect(game.drawingPlayerName).toBe('alice');
+    expect(wordSource.getRandomWords).toHaveBeenCalledWith(3, game.settings);
+    expect(transport.last('alice', WordChoicesMessage.type)).toEqual({ words: ['avocado', 'banana', 'cherry'], difficulties: [2, 2, 2] });
+    expect(transport.received('bob', WordChoicesMessage.type)).toEqual([]);
+    expect(transport.chatTexts('bob')).toContain('alice is choosing a word');
+  });
+
+  it('should pick the first word when the drawing player does not choose in time', async () => {
+    await startGame('alice', 'bob');
+
+    clock.tickSeconds(19);
+    expect(game.state).toBe(Game.STATE_CHOOSING_WORD);
+
+    clock.tickSeconds(1);
+    expect(game.state).toBe(Game.STATE_PLAYING);
+    expect(game.word).toBe('avocado');
+    expect(transport.last('alice', StartRoundMessage.type).word).toBe('avocado');
+    expect(transport.last('bob', StartRoundMessage.type).word).not.toContain('a');
+  });
+
+  it('should tell which words were offered when the round starts', async () => {
+    const roundStarted = jasmine.createSpy('round-start');
+    game.on('round-start', roundStarted);
+    await startGame('alice', 'bob');
+    startRound('banana');
+
+    expect(roundStarted).toHaveBeenCalledWith('alice', 'banana', ['avocado', 'banana', 'cherry']);
+  });
+
+  it('should only accept an offered word from the drawing player', async () => {
+    await startGame('alice', 'bob');
+
+    expect(game.chooseWord('bob', 'banana')).toBe(false);
+    expect(game.chooseWord('alice', 'elderberry')).toBe(false);
+    expect(game.chooseWord('alice', 'banana')).toBe(true);
+    expect(game.word).toBe('banana');
+  });
+
+  it('should score a correct guess and end the round when everyone guessed', async () => {
+    const scores = [];
+    const roundEnded = jasmine.createSpy('round-end');
+    const guessed = jasmine.createSpy('guess');
+    game.on('score', (name, score) => scores.push([name, score]));
+    game.on('round-end', roundEnded);
+    game.on('guess', guessed);
+    await startGame('alice', 'bob');
+    startRound();
+
+    clock.tickSeconds(20);
+    expect(game.guess('bob', 'Avocado')).toBe(true);
+
+    // base 10 + 30 for 60 seconds left + 6 bonus + 4 for being first
+    expect(transport.received('bob', PlayerMessage.type)).toContain({ name: 'bob', score: 50, guessed: true });
+    expect(transport.chatTexts('bob')).toContain('You guessed the word! +50 points');
+    expect(transport.chatTexts('alice')).toContain('bob guessed the word! +50 points');
+    expect(game.state).toBe(Game.STATE_COOLDOWN);
+    expect(transport.last('alice', EndRoundMessage.type)).toEqual({ word: 'avocado', results: { alice: 50, bob: 50 } });
+    expect(scores).toEqual([['bob', 50], ['alice', 50]]);
+    expect(roundEnded).toHaveBeenCalledWith('alice', 'avocado', { alice: 50, bob: 50 });
+    expect(guessed).toHaveBeenCalledWith('bob', 50, 20000);
+  });
+
+  it('should award more points for harder words', async () => {
+    wordSource.getRandomWords.and.returnValue(Promise.resolve([
+      { word: 'avocado', difficulty: 3 },
+      { word: 'banana', difficulty: 1 }
+    ]));
+    await startGame('alice', 'bob');
+
+    expect(transport.last('alice', WordChoicesMessage.type)).toEqual({ words: ['avocado', 'banana'], difficulties: [3, 1] });
+
+    startRound('avocado');
+    clock.tickSeconds(20);
+    game.guess('bob', 'avocado');
+
+    expect(transport.last('alice', EndRoundMessage.type)).toEqual({ word: 'avocado', results: { alice: 75, bob: 75 } });
+  });
+
+  it('should not score the same player twice in a round', async () => {
+    await startGame('alice', 'bob', 'carol');
+    startRound();
+
+    game.guess('bob', 'avocado');
+    game.guess('bob', 'avocado');
+
+    expect(game.players.bob.score).toBe(50);
+    expect(game.state).toBe(Game.STATE_PLAYING);
+  });
+
+  it('should let the drawing player and wrong guesses through as chat', async () => {
+    await startGame('alice', 'bob');
+    startRound();
+
+    expect(game.guess('alice', 'avocado')).toBe(false);
+    expect(game.guess('bob', 'avocada')).toBe(false);
+    expect(transport.chatTexts('bob')).toContain('avocada is really close!');
+  });
+
+  it('should reveal letters as the round runs out', async () => {
+    await startGame('alice', 'bob');
+    startRound();
+    const revealed = () => transport.last('bob', WordMessage.type).word.replace(/[＿\s]/g, '').length;
+
+    clock.tickSeconds(49);
+    expect(revealed()).toBe(0);
+
+    clock.tickSeconds(1);
+    expect(revealed()).toBe(1);
+
+    // 33% of 7 letters
+    clock.tickSeconds(29);
+    expect(revealed()).toBe(3);
+    expect(transport.received('alice', WordMessage.type)).toEqual([]);
+  });
+
+  it('should accept guesses without accents and hint letters with them', async () => {
+    wordSource.getRandomWords.and.returnValue(Promise.resolve(toEntries(['čučoriedka', 'jahoda'])));
+    await startGame('alice', 'bob', 'carol');
+    startRound('čučoriedka');
+
+    expect(transport.last('bob', StartRoundMessage.type).word.split('＿').length - 1).toBe(10);
+
+    clock.tickSeconds(79);
+    const hint = transport.last('bob', WordMessage.type).word.replace(/\u00A0/g, '');
+    expect(hint.length).toBe(10);
+    expect([...hint].every((char, i) => char === '＿' || char === 'čučoriedka'[i])).toBe(true);
+
+    expect(game.guess('bob', 'CUCORIEDKA')).toBe(true);
+    expect(game.guess('carol', 'čučoriedka')).toBe(true);
+  });
+
+  it('should penalize the drawing player when nobody guessed', async () => {
+    await startGame('alice', 'bob');
+    startRound();
+
+    clock.tickSeconds(80);
+
+    expect(game.state).toBe(Game.STATE_COOLDOWN);
+    expect(transport.last('bob', EndRoundMessage.type).results.alice).toBe(-10);
+    expect(game.players.alice.score).toBe(-10);
+  });
+
+  it('should end the game without any turn played when there are no words', async () => {
+    const ended = jasmine.createSpy('end');
+    game.on('end', ended);
+    wordSource.getRandomWords.and.returnValue(Promise.resolve([]));
+    await startGame('alice', 'bob');
+
+    expect(game.state).toBe(Game.STATE_IDLE);
+    expect(ended).toHaveBeenCalledWith(game.gameId, [
+      { name: 'alice', score: 0, place: 1 },
+      { name: 'bob', score: 0, place: 1 }
+    ], 0);
+  });
+
+  it('should rotate the drawing player and end the game after the last round', async () => {
+    const ended = jasmine.createSpy('end');
+    game.on('end', ended);
+    game.updateSettings({ rounds: 1 });
+    await startGame('alice', 'bob');
+    startRound();
+    game.guess('bob', 'avocado');
+
+    clock.tickSeconds(5);
+    await flush();
+    expect(game.drawingPlayerName).toBe('bob');
+    expect(transport.last('bob', WordChoicesMessage.type)).toBeDefined();
+
+    startRound('banana');
+    game.guess('alice', 'banana');
+    clock.tickSeconds(5);
+
+    expect(game.state).toBe(Game.STATE_IDLE);
+    expect(transport.received('alice', GameOverMessage.type).length).toBe(1);
+    expect(ended).toHaveBeenCalledWith(game.gameId, [
+      { name: 'alice', score: 100, place: 1 },
+      { name: 'bob', score: 100, place: 1 }
+    ], 2);
+  });
+
+  it('should rank players by score sharing places on ties', () => {
+    [['alice', 10], ['bob', 30], ['carol', 10], ['dave', 5]].forEach(([name, score]) => game.addPlayer(name, score));
+
+    expect(game.getStandings()).toEqual([
+      { name: 'bob', score: 30, place: 1 },
+      { name: 'alice', score: 10, place: 2 },
+      { name: 'carol', score: 10, place: 2 },
+      { name: 'dave', score: 5, place: 4 }
+    ]);
+  });
+
+  it('should share ratings of players', () => {
+    game.addPlayer('alice', 0, 1300);
+    game.addPlayer('bob', 0, 1100);
+    game.addPlayer('carol');
+
+    expect(game.rating).toBe(1200);
+    game.updateRating('bob', 1150);
+    expect(transport.last('carol', PlayerMessage.type)).toEqual({ name: 'bob', score: 0, guessed: false, rating: 1150 });
+  });
+
+  it('should end the round when the drawing player leaves', async () => {
+    await startGame('alice', 'bob', 'carol');
+    startRound();
+
+    game.removePlayer('alice');
+
+    expect(game.state).toBe(Game.STATE_COOLDOWN);
+    expect(transport.last('bob', EndRoundMessage.type).word).toBe('avocado');
+  });
+
+  it('should move on to the next player when the drawing player leaves while choosing', async () => {
+    await startGame('alice', 'bob', 'carol');
+
+    game.removePlayer('alice');
+    await flush();
+
+    expect(game.drawingPlayerName).toBe('bob');
+    expect(transport.last('bob', WordChoicesMessage.type)).toBeDefined();
+  });
+
+  it('should not give a turn to players whose seat is held until they are back', async () => {
+    await startGame('alice', 'bob', 'carol');
+    startRound();
+    game.setAway('bob');
+
+    clock.tickSeconds(80 + 5);
+    await flush();
+    expect(game.drawingPlayerName).toBe('carol');
+
+    game.resumePlayer('bob');
+    startRound('banana');
+    clock.tickSeconds(80 + 5);
+    await flush();
+    expect(game.drawingPlayerName).toBe('bob');
+  });
+
+  it('should end the round when the last guessing player leaves', async () => {
+    await startGame('alice', 'bob', 'carol');
+    startRound();
+
+    game.guess('bob', 'avocado');
+    game.removePlayer('carol');
+
+    expect(game.state).toBe(Game.STATE_COOLDOWN);
+  });
+
+  it('should end the game when not enough players are left', async () => {
+    await startGame('alice', 'bob');
+    startRound();
+
+    game.removePlayer('bob');
+
+    expect(game.state).toBe(Game.STATE_IDLE);
+    expect(transport.received('alice', GameOverMessage.type).length).toBe(1);
+  });
+
+  it('should ignore words that arrive after the game ended', async () => {
+    let resolveWords;
+    wordSource.getRandomWords.and.returnValue(new Promise(resolve => resolveWords = resolve));
+    ['alice', 'bob'].forEach(name => game.addPlayer(name));
+    game.start();
+
+    game.removePlayer('bob');
+    resolveWords(toEntries(WORDS));
+    await flush();
+
+    expect(game.state).toBe(Game.STATE_IDLE);
+    expect(transport.received('alice', WordChoicesMessage.type)).toEqual([]);
+  });
+
+  it('should catch up a player joining mid round', async () => {
+    await startGame('alice', 'bob');
+    startRound();
+
+    transport.messages = [];
+    game.addPlayer('carol');
+
+    expect(transport.last('carol', StartRoundMessage.type)).toEqual({ drawing: 'alice', word: game.wordHint, round: 1 });
+    expect(transport.received('carol', PlayerMessage.type).map(({ name }) => name)).toEqual(['alice', 'bob', 'carol']);
+  });
+
+  it('should catch up a drawing player coming back mid round', async () => {
+    await startGame('alice', 'bob', 'carol');
+    startRound();
+    game.guess('bob', 'avocado');
+    clock.tickSeconds(10);
+
+    transport.messages = [];
+    expect(game.resumePlayer('alice')).toBe(true);
+
+    expect(transport.last('alice', StartRoundMessage.type)).toEqual({ drawing: 'alice', word: 'avocado', round: 1 });
+    expect(transport.last('alice', TimerMessage.type)).toEqual({ time: game.remainingTime });
+    expect(transport.received('alice', PlayerMessage.type)).toContain({ name: 'bob', score: 50, guessed: true });
+    expect(transport.received('bob', PlayerMessage.type)).toEqual([]);
+  });
+
+  it('should offer the words again to a drawing player coming back while choosing', async () => {
+    await startGame('alice', 'bob');
+
+    transport.messages = [];
+    game.resumePlayer('alice');
+
+    expect(transport.last('alice', WordChoicesMessage.type)).toEqual({ words: ['avocado', 'banana', 'cherry'], difficulties: [2, 2, 2] });
+  });
+
+  it('should not resume players who left', () => {
+    expect(game.resumePlayer('alice')).toBe(false);
+  });
+});
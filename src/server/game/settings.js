@@ -0,0 +1,48 @@
+const Languages = require('../../shared/languages');
+
+const DEFAULT_SETTINGS = {
+  rounds: 2,
+  drawTime: 80,
+  wordChoices: 0, // 0 picks a random amount between 3 and 9
+  hintTime: 30,
+  hintPercentage: 33,
+  wordLists: [], // word packs, empty means all of them
+  categories: [], // empty means all categories
+  language: Languages.DEFAULT_LANGUAGE
+};
+
+const LIMITS = {
+  rounds: [1, 10],
+  drawTime: [20, 240],
+  wordChoices: [0, 9],
+  hintTime: [0, 240],
+  hintPercentage: [0, 100]
+};
+
+const clamp = (value, [min, max], fallback) => {
+  const number = Math.round(Number(value));
+  if (isNaN(number)) {
+    return fallback;
+  }
+  return Math.max(min, Math.min(max, number));
+};
+
+const sanitizeSettings = (settings, previous = DEFAULT_SETTINGS) => {
+  // settings come straight from the host's socket
+  settings = settings && typeof settings === 'object' ? settings : {};
+  const result = {};
+  Object.keys(LIMITS).forEach(key => {
+    result[key] = typeof settings[key] === 'undefined' ? previous[key] : clamp(settings[key], LIMITS[key], previous[key]);
+  });
+  result.hintTime = Math.min(result.hintTime, result.drawTime);
+
+  ['wordLists', 'categories'].forEach(key => {
+    const values = Array.isArray(settings[key]) ? settings[key] : previous[key] || [];
+    result[key] = values.filter(value => typeof value === 'string' && value.length);
+  });
+  result.language = Languages.isLanguage(settings.language) ? settings.language : previous.language || Languages.DEFAULT_LANGUAGE;
+
+  return result;
+};
+
+module.exports = { DEFAULT_SETTINGS, LIMITS, sanitizeSettings };
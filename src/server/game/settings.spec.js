@@ -0,0 +1,20 @@
+const { DEFAULT_SETTINGS, sanitizeSettings } = require('./settings');
+
+describe('sanitizeSettings', () => {
+
+  it('should clamp numbers and keep the previous value of invalid ones', () => {
+    const settings = sanitizeSettings({ rounds: 50, drawTime: 'long', hintTime: 100 }, DEFAULT_SETTINGS);
+
+    expect(settings.rounds).toBe(10);
+    expect(settings.drawTime).toBe(DEFAULT_SETTINGS.drawTime);
+    expect(settings.hintTime).toBe(DEFAULT_SETTINGS.drawTime);
+  });
+
+  it('should keep the previous settings when given something else than an object', () => {
+    const previous = sanitizeSettings({ rounds: 5 });
+
+    [null, undefined, 'rounds', 42, true].forEach(settings => {
+      expect(sanitizeSettings(settings, previous)).toEqual(previous);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Letter handling that works for any alphabet. A character is a base code point
+ * with the combining marks following it, so a decomposed "č" is still one letter.
+ */
+const CHARACTER = /\P{M}\p{M}*/gu;
+const LETTER = /^\p{L}/u;
+const MARKS = /\p{M}/gu;
+
+const splitCharacters = word => word.normalize('NFC').match(CHARACTER) || [];
+
+const isLetter = char => LETTER.test(char);
+
+const countLetters = word => splitCharacters(word).filter(isLetter).length;
+
+// guesses match regardless of case, accents and extra spaces, "cesta" guesses "Cesta" and "česta"
+const normalizeGuess = text => typeof text !== 'string' ? '' : text
+  .normalize('NFD')
+  .replace(MARKS, '')
+  .toLowerCase()
+  .trim()
+  .replace(/\s+/g, ' ');
+
+module.exports = {
+  splitCharacters,
+  isLetter,
+  countLetters,
+  normalizeGuess
+};
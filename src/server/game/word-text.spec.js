@@ -0,0 +1,33 @@
+const WordText = require('./word-text');
+
+describe('WordText', () => {
+
+  it('should keep letters with diacritics whole', () => {
+    expect(WordText.splitCharacters('čučoriedka')).toEqual(['č', 'u', 'č', 'o', 'r', 'i', 'e', 'd', 'k', 'a']);
+    expect(WordText.splitCharacters('čap')).toEqual(['č', 'a', 'p']);
+  });
+
+  it('should count only letters', () => {
+    expect(WordText.countLetters('ďatelina štvorlístok')).toBe(19);
+    expect(WordText.countLetters('t-rex 2')).toBe(4);
+    expect(WordText.countLetters('straße')).toBe(6);
+  });
+
+  it('should tell letters from other characters', () => {
+    expect(WordText.isLetter('ô')).toBe(true);
+    expect(WordText.isLetter('ж')).toBe(true);
+    expect(WordText.isLetter('-')).toBe(false);
+    expect(WordText.isLetter(' ')).toBe(false);
+    expect(WordText.isLetter('7')).toBe(false);
+  });
+
+  it('should ignore case, accents and spaces in guesses', () => {
+    expect(WordText.normalizeGuess('  Ďateľina   ŠTVORLÍSTOK ')).toBe('datelina stvorlistok');
+    expect(WordText.normalizeGuess('crème brûlée')).toBe(WordText.normalizeGuess('creme brulee'));
+  });
+
+  it('should treat guesses that are not text as empty', () => {
+    expect(WordText.normalizeGuess(undefined)).toBe('');
+    expect(WordText.normalizeGuess({ text: 'cesta' })).toBe('');
+  });
+});
@@ -0,0 +1,115 @@
+const GameModel = require('../models/game');
+const RoundModel = require('../models/round');
+
+const logError = err => console.error(err);
+
+/**
+ * Writes games and their rounds to the database as they are played, from the events of a game.
+ */
+class GameHistory {
+
+  constructor(game, roomName, models = { GameModel, RoundModel }) {
+    this.game = game;
+    this.roomName = roomName;
+    this.models = models;
+    this.record = null;
+    this.round = null;
+    this.turn = 0;
+
+    game.on('start', (gameId, playerNames) => this.onStart(gameId, playerNames));
+    game.on('round-start', (drawingPlayerName, word, wordChoices) => this.onRoundStart(drawingPlayerName, word, wordChoices));
+    game.on('guess', (playerName, score, time) => this.onGuess(playerName, score, time));
+    game.on('round-end', (drawingPlayerName, word, roundScores) => this.onRoundEnd(roundScores));
+    game.on('end', (gameId, standings, turnsPlayed) => this.onEnd(standings, turnsPlayed));
+  }
+
+  // the round being played or the last one played, so drawings can refer to it
+  get roundId() {
+    return this.round ? this.round._id : null;
+  }
+
+  onStart(gameId, playerNames) {
+    const { GameModel } = this.models;
+    this.turn = 0;
+    this.round = null;
+    this.record = new GameModel({
+      gameId,
+      room: this.roomName,
+      settings: Object.assign({}, this.game.settings),
+      players: playerNames
+    });
+    this.record.save().catch(logError);
+  }
+
+  onRoundStart(drawingPlayerName, word, wordChoices) {
+    if (!this.record) {
+      return;
+    }
+    const { RoundModel } = this.models;
+    this.round = new RoundModel({
+      gameId: this.record.gameId,
+      turn: ++this.turn,
+      round: this.game.roundsPlayed + 1,
+      drawer: drawingPlayerName,
+      word,
+      wordChoices
+    });
+    this.addPlayers([drawingPlayerName]);
+  }
+
+  onGuess(playerName, score, time) {
+    if (!this.round || this.round.endedAt) {
+      return;
+    }
+    this.round.guesses.push({ name: playerName, score, time });
+    this.addPlayers([playerName]);
+  }
+
+  onRoundEnd(roundScores) {
+    if (!this.round || this.round.endedAt) {
+      return;
+    }
+    this.round.scores = Object.assign({}, roundScores);
+    this.saveRound();
+  }
+
+  onEnd(standings, turnsPlayed) {
+    if (this.round && !this.round.endedAt) {
+      // the game ended in the middle of a round
+      this.saveRound();
+    }
+    const record = this.record;
+    this.record = null;
+    if (!record) {
+      return;
+    }
+    if (!turnsPlayed) {
+      // a game that ended before any turn did has no standings to keep
+      record.remove().catch(logError);
+      return;
+    }
+    record.standings = standings;
+    record.endedAt = new Date();
+    this.addPlayers(standings.map(({ name }) => name), record);
+    record.save().catch(logError);
+  }
+
+  saveRound() {
+    this.round.endedAt = new Date();
+    this.round.save().catch(logError);
+  }
+
+  // players joining after the start still took part in the game
+  addPlayers(names, record = this.record) {
+    if (!record) {
+      return;
+    }
+    names.forEach(name => {
+      if (!record.players.includes(name)) {
+        record.players.push(name);
+      }
+    });
+  }
+}
+
+module.exports = GameHistory;
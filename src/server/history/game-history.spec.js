@@ -0,0 +1,100 @@
+const EventEmitter = require('events');
+
+const GameHistory = require('./game-history');
+
+const createModel = (saved) => class {
+
+  constructor(data) {
+    Object.assign(this, { _id: `id${saved.length}`, players: [], guesses: [] }, data);
+  }
+
+  save() {
+    saved.push(JSON.parse(JSON.stringify(this)));
+    return Promise.resolve(this);
+  }
+
+  remove() {
+    this.removed = true;
+    saved.push(JSON.parse(JSON.stringify(this)));
+    return Promise.resolve(this);
+  }
+};
+
+describe('GameHistory', () => {
+  let game;
+  let savedGames;
+  let savedRounds;
+  let history;
+
+  beforeEach(() => {
+    game = new EventEmitter();
+    game.settings = { rounds: 2 };
+    game.roundsPlayed = 0;
+    savedGames = [];
+    savedRounds = [];
+    history = new GameHistory(game, 'Room', { GameModel: createModel(savedGames), RoundModel: createModel(savedRounds) });
+  });
+
+  it('should record the game with its standings', () => {
+    game.emit('start', 'game1', ['alice', 'bob']);
+    game.emit('end', 'game1', [{ name: 'carol', score: 10, place: 1 }, { name: 'alice', score: 0, place: 2 }], 2);
+
+    expect(savedGames.length).toBe(2);
+    expect(savedGames[0]).toEqual(jasmine.objectContaining({ gameId: 'game1', room: 'Room', players: ['alice', 'bob'], settings: { rounds: 2 } }));
+    expect(savedGames[1].standings.length).toBe(2);
+    expect(savedGames[1].players).toEqual(['alice', 'bob', 'carol']);
+    expect(savedGames[1].endedAt).toBeDefined();
+  });
+
+  it('should record every round with its guesses', () => {
+    game.emit('start', 'game1', ['alice', 'bob', 'carol']);
+    game.emit('round-start', 'alice', 'avocado', ['avocado', 'banana']);
+    game.emit('guess', 'bob', 50, 12000);
+    game.emit('round-end', 'alice', 'avocado', { alice: 50, bob: 50, carol: 0 });
+    game.roundsPlayed = 1;
+    game.emit('round-start', 'bob', 'cherry', ['cherry']);
+    game.emit('round-end', 'bob', 'cherry', { alice: 0, bob: -10, carol: 0 });
+
+    expect(savedRounds.length).toBe(2);
+    expect(savedRounds[0]).toEqual(jasmine.objectContaining({
+      gameId: 'game1',
+      turn: 1,
+      round: 1,
+      drawer: 'alice',
+      word: 'avocado',
+      wordChoices: ['avocado', 'banana'],
+      guesses: [{ name: 'bob', score: 50, time: 12000 }],
+      scores: { alice: 50, bob: 50, carol: 0 }
+    }));
+    expect(savedRounds[1]).toEqual(jasmine.objectContaining({ turn: 2, round: 2, drawer: 'bob' }));
+  });
+
+  it('should save a round cut short by the end of the game', () => {
+    game.emit('start', 'game1', ['alice', 'bob']);
+    game.emit('round-start', 'alice', 'avocado', ['avocado']);
+
+    expect(history.roundId).toBe('id0');
+
+    game.emit('end', 'game1', [], 1);
+
+    expect(savedRounds.length).toBe(1);
+    expect(savedRounds[0].endedAt).toBeDefined();
+  });
+
+  it('should drop a game that ended before any turn did', () => {
+    game.emit('start', 'game1', ['alice', 'bob']);
+    game.emit('end', 'game1', [{ name: 'alice', score: 0, place: 1 }, { name: 'bob', score: 0, place: 1 }], 0);
+
+    expect(savedGames.length).toBe(2);
+    expect(savedGames[1].removed).toBe(true);
+    expect(savedGames[1].standings).toBeUndefined();
+  });
+
+  it('should ignore rounds outside of a recorded game', () => {
+    game.emit('round-start', 'alice', 'avocado', ['avocado']);
+    game.emit('round-end', 'alice', 'avocado', {});
+
+    expect(savedRounds).toEqual([]);
+    expect(history.roundId).toBe(null);
+  });
+});
@@ -0,0 +1,66 @@
+const EventEmitter = require('events');
+
+const { calculateRatings } = require('./rating');
+
+const MIN_PLAYERS_FOR_WIN = 2;
+
+const logError = err => console.error(err);
+
+/**
+ * Keeps lifetime statistics and ratings of players up to date from the events of a game.
+ * Emits 'ratings' (newRatings, previousRatings) once ratings are updated after a game.
+ */
+class PlayerStats extends EventEmitter {
+
+  constructor(game, UserModel) {
+    super();
+    this.UserModel = UserModel;
+
+    game.on('guess', (playerName, score, time) => this.onGuess(playerName, time));
+    game.on('round-end', (drawingPlayerName, word, roundScores) => this.onRoundEnd(drawingPlayerName, roundScores));
+    game.on('end', (gameId, standings, turnsPlayed) => this.onEnd(standings, turnsPlayed));
+  }
+
+  increment(filter, stats) {
+    const $inc = {};
+    Object.keys(stats).forEach(key => $inc[`stats.${key}`] = stats[key]);
+    this.UserModel.updateMany(filter, { $inc }).exec().catch(logError);
+  }
+
+  onGuess(playerName, time) {
+    this.increment({ login: playerName }, { wordsGuessed: 1, guessTime: time });
+  }
+
+  onRoundEnd(drawingPlayerName, roundScores) {
+    const guessed = Object.keys(roundScores).some(name => name !== drawingPlayerName && roundScores[name] > 0);
+    this.increment({ login: drawingPlayerName }, guessed ? { drawings: 1, drawingsGuessed: 1 } : { drawings: 1, failedDrawings: 1 });
+  }
+
+  // nobody won anything in a game that ended before any turn did, e.g. when there were no words to draw
+  onEnd(standings, turnsPlayed) {
+    if (!standings.length || !turnsPlayed) {
+      return;
+    }
+    this.increment({ login: { $in: standings.map(({ name }) => name) } }, { gamesPlayed: 1 });
+    if (standings.length >= MIN_PLAYERS_FOR_WIN) {
+      const winners = standings.filter(({ place }) => place === 1).map(({ name }) => name);
+      this.increment({ login: { $in: winners } }, { wins: 1 });
+      this.updateRatings(standings);
+    }
+  }
+
+  updateRatings(standings) {
+    const { UserModel } = this;
+    return UserModel.find({ login: { $in: standings.map(({ name }) => name) } }, 'login rating').exec()
+      .then(users => {
+        const previousRatings = {};
+        users.forEach(({ login, rating }) => previousRatings[login] = rating);
+        const ratings = calculateRatings(standings.filter(({ name }) => name in previousRatings), previousRatings);
+        return Promise.all(Object.keys(ratings).map(login => UserModel.updateOne({ login }, { $set: { rating: ratings[login] } }).exec()))
+          .then(() => this.emit('ratings', ratings, previousRatings));
+      })
+      .catch(logError);
+  }
+}
+
+module.exports = PlayerStats;
@@ -0,0 +1,92 @@
+const EventEmitter = require('events');
+
+const PlayerStats = require('./player-stats');
+
+describe('PlayerStats', () => {
+  let game;
+  let updates;
+  let ratingUpdates;
+  let stats;
+
+  beforeEach(() => {
+    game = new EventEmitter();
+    updates = [];
+    ratingUpdates = [];
+    const UserModel = {
+      updateMany: (filter, update) => {
+        updates.push([filter, update]);
+        return { exec: () => Promise.resolve() };
+      },
+      updateOne: (filter, update) => {
+        ratingUpdates.push([filter, update]);
+        return { exec: () => Promise.resolve() };
+      },
+      find: () => ({ exec: () => Promise.resolve([{ login: 'alice', rating: 1200 }, { login: 'bob', rating: 1200 }]) })
+    };
+    stats = new PlayerStats(game, UserModel);
+  });
+
+  it('should count guessed words and the time it took', () => {
+    game.emit('guess', 'bob', 50, 12000);
+
+    expect(updates).toEqual([[{ login: 'bob' }, { $inc: { 'stats.wordsGuessed': 1, 'stats.guessTime': 12000 } }]]);
+  });
+
+  it('should count drawings that were guessed and that were not', () => {
+    game.emit('round-end', 'alice', 'avocado', { alice: 40, bob: 50 });
+    game.emit('round-end', 'bob', 'banana', { alice: 0, bob: -10 });
+
+    expect(updates).toEqual([
+      [{ login: 'alice' }, { $inc: { 'stats.drawings': 1, 'stats.drawingsGuessed': 1 } }],
+      [{ login: 'bob' }, { $inc: { 'stats.drawings': 1, 'stats.failedDrawings': 1 } }]
+    ]);
+  });
+
+  it('should count played games and wins shared on ties', () => {
+    game.emit('end', 'game1', [
+      { name: 'alice', score: 90, place: 1 },
+      { name: 'bob', score: 90, place: 1 },
+      { name: 'carol', score: 10, place: 3 }
+    ], 3);
+
+    expect(updates).toEqual([
+      [{ login: { $in: ['alice', 'bob', 'carol'] } }, { $inc: { 'stats.gamesPlayed': 1 } }],
+      [{ login: { $in: ['alice', 'bob'] } }, { $inc: { 'stats.wins': 1 } }]
+    ]);
+  });
+
+  it('should not count a win for the last player left', () => {
+    game.emit('end', 'game1', [{ name: 'alice', score: 90, place: 1 }], 2);
+
+    expect(updates.length).toBe(1);
+    expect(ratingUpdates).toEqual([]);
+  });
+
+  it('should not count a game that ended before any turn did', () => {
+    game.emit('end', 'game1', [{ name: 'alice', score: 0, place: 1 }, { name: 'bob', score: 0, place: 1 }], 0);
+
+    expect(updates).toEqual([]);
+  });
+
+  it('should not change ratings after a game that ended before any turn did', async () => {
+    spyOn(stats, 'updateRatings').and.callThrough();
+    game.emit('end', 'game1', [{ name: 'alice', score: 0, place: 1 }, { name: 'bob', score: 0, place: 1 }], 0);
+    await Promise.resolve();
+
+    expect(stats.updateRatings).not.toHaveBeenCalled();
+    expect(ratingUpdates).toEqual([]);
+  });
+
+  it('should update ratings from the final standings', async () => {
+    const ratingsChanged = jasmine.createSpy('ratings');
+    stats.on('ratings', ratingsChanged);
+
+    await stats.updateRatings([{ name: 'alice', score: 90, place: 1 }, { name: 'bob', score: 10, place: 2 }]);
+
+    expect(ratingUpdates).toEqual([
+      [{ login: 'alice' }, { $set: { rating: 1216 } }],
+      [{ login: 'bob' }, { $set: { rating: 1184 } }]
+    ]);
+    expect(ratingsChanged).toHaveBeenCalledWith({ alice: 1216, bob: 1184 }, { alice: 1200, bob: 1200 });
+  });
+});
@@ -0,0 +1,38 @@
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+
+const expectedScore = (rating, opponentRating) => 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+
+/**
+ * Multiplayer Elo, every pair of players in the final standings counts as a game of its own
+ * with the K factor split between the opponents so a game moves ratings as much as a duel.
+ * Returns the new ratings by player name.
+ */
+const calculateRatings = (standings, ratings) => {
+  const getRating = name => ratings[name] || DEFAULT_RATING;
+  const opponents = standings.length - 1;
+  const result = {};
+  standings.forEach(player => {
+    const rating = getRating(player.name);
+    if (!opponents) {
+      result[player.name] = rating;
+      return;
+    }
+    const change = standings.reduce((sum, opponent) => {
+      if (opponent === player) {
+        return sum;
+      }
+      const actual = player.place < opponent.place ? 1 : player.place === opponent.place ? 0.5 : 0;
+      return sum + actual - expectedScore(rating, getRating(opponent.name));
+    }, 0);
+    result[player.name] = Math.round(rating + K_FACTOR * change / opponents);
+  });
+  return result;
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  K_FACTOR,
+  expectedScore,
+  calculateRatings
+};
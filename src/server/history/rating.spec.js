@@ -0,0 +1,37 @@
+const { DEFAULT_RATING, calculateRatings, expectedScore } = require('./rating');
+
+describe('Rating', () => {
+
+  it('should expect even players to draw', () => {
+    expect(expectedScore(1500, 1500)).toBe(0.5);
+    expect(expectedScore(1600, 1200)).toBeCloseTo(0.909, 3);
+  });
+
+  it('should move ratings like a duel between two players', () => {
+    const ratings = calculateRatings([{ name: 'alice', place: 1 }, { name: 'bob', place: 2 }], { alice: 1200, bob: 1200 });
+
+    expect(ratings).toEqual({ alice: 1216, bob: 1184 });
+  });
+
+  it('should reward beating stronger players more', () => {
+    const ratings = calculateRatings([{ name: 'alice', place: 1 }, { name: 'bob', place: 2 }], { alice: 1000, bob: 1400 });
+
+    expect(ratings.alice - 1000).toBe(29);
+    expect(ratings.bob - 1400).toBe(-29);
+  });
+
+  it('should rank every pair of players in bigger games', () => {
+    const ratings = calculateRatings([
+      { name: 'alice', place: 1 },
+      { name: 'bob', place: 2 },
+      { name: 'carol', place: 2 },
+      { name: 'dave', place: 4 }
+    ], {});
+
+    expect(ratings).toEqual({ alice: 1216, bob: 1200, carol: 1200, dave: 1184 });
+  });
+
+  it('should start new players at the default rating', () => {
+    expect(calculateRatings([{ name: 'alice', place: 1 }], {})).toEqual({ alice: DEFAULT_RATING });
+  });
+});
@@ -0,0 +1,31 @@
+// until a word was drawn this many times its statistics say little
+const MIN_ROUNDS = 3;
+// guessing takes this long or more for the hardest words
+const GUESS_TIME_REFERENCE = 60 * 1000;
+const GUESS_RATIO_WEIGHT = 0.7;
+
+const getGuessRatio = stats => stats && stats.guessers ? stats.guesses / stats.guessers : null;
+
+const getAverageGuessTime = stats => stats && stats.guesses ? Math.round(stats.guessTime / stats.guesses) : null;
+
+/**
+ * How hard a word turned out to be in played rounds, from 0 for words everyone guesses right away
+ * to 100 for words nobody guesses. Mostly the share of players who did not guess it, partly the time it took.
+ * Null until the word was drawn often enough.
+ */
+const difficultyScore = (stats) => {
+  if (!stats || stats.rounds < MIN_ROUNDS || !stats.guessers) {
+    return null;
+  }
+  const guessRatio = getGuessRatio(stats);
+  const averageGuessTime = stats.guesses ? getAverageGuessTime(stats) : GUESS_TIME_REFERENCE;
+  const timeFactor = Math.min(1, averageGuessTime / GUESS_TIME_REFERENCE);
+  return Math.round(100 * (GUESS_RATIO_WEIGHT * (1 - guessRatio) + (1 - GUESS_RATIO_WEIGHT) * timeFactor));
+};
+
+module.exports = {
+  MIN_ROUNDS,
+  getGuessRatio,
+  getAverageGuessTime,
+  difficultyScore
+};
@@ -0,0 +1,32 @@
+const { MIN_ROUNDS, difficultyScore, getAverageGuessTime, getGuessRatio } = require('./word-difficulty');
+
+describe('WordDifficulty', () => {
+
+  const stats = (rounds, guessers, guesses, guessTime) => ({ rounds, guessers, guesses, guessTime });
+
+  it('should not rate words that were barely played', () => {
+    expect(difficultyScore(undefined)).toBe(null);
+    expect(difficultyScore(stats(MIN_ROUNDS - 1, 4, 0, 0))).toBe(null);
+  });
+
+  it('should rate words nobody guesses as the hardest', () => {
+    expect(difficultyScore(stats(5, 10, 0, 0))).toBe(100);
+  });
+
+  it('should rate words everyone guesses right away as the easiest', () => {
+    expect(difficultyScore(stats(5, 10, 10, 0))).toBe(0);
+  });
+
+  it('should make slow guesses count', () => {
+    // half guessed and it took them half of the reference time
+    expect(difficultyScore(stats(5, 10, 5, 5 * 30000))).toBe(50);
+    expect(difficultyScore(stats(5, 10, 5, 5 * 10000))).toBeLessThan(50);
+  });
+
+  it('should summarize guesses', () => {
+    expect(getGuessRatio(stats(5, 10, 5, 50000))).toBe(0.5);
+    expect(getAverageGuessTime(stats(5, 10, 5, 50000))).toBe(10000);
+    expect(getGuessRatio(stats(0, 0, 0, 0))).toBe(null);
+    expect(getAverageGuessTime(stats(1, 2, 0, 0))).toBe(null);
+  });
+});
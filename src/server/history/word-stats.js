@@ -0,0 +1,67 @@
+const FLAGGED_BY = 'server';
+
+const logError = err => console.error(err);
+
+/**
+ * Keeps play statistics of words up to date from the events of a game:
+ * how often they were offered and chosen, and how many players guessed them and how fast.
+ * Words drawn flagAfterRounds times without anyone guessing them go back to moderators
+ * for review, 0 turns that off.
+ */
+class WordStats {
+
+  constructor(game, WordModel, flagAfterRounds = 0) {
+    this.WordModel = WordModel;
+    this.flagAfterRounds = flagAfterRounds;
+    this.guesses = 0;
+    this.guessTime = 0;
+
+    game.on('round-start', (drawingPlayerName, word, wordChoices) => this.onRoundStart(word, wordChoices));
+    game.on('guess', (playerName, score, time) => this.onGuess(time));
+    game.on('round-end', (drawingPlayerName, word, roundScores) => this.onRoundEnd(drawingPlayerName, word, roundScores));
+  }
+
+  increment(filter, stats) {
+    const $inc = {};
+    Object.keys(stats).forEach(key => $inc[`stats.${key}`] = stats[key]);
+    return this.WordModel.updateMany(filter, { $inc }).exec();
+  }
+
+  onRoundStart(word, wordChoices) {
+    this.guesses = 0;
+    this.guessTime = 0;
+    this.increment({ word: { $in: wordChoices.length ? wordChoices : [word] } }, { offered: 1 }).catch(logError);
+    this.increment({ word }, { chosen: 1 }).catch(logError);
+  }
+
+  onGuess(time) {
+    this.guesses++;
+    this.guessTime += time;
+  }
+
+  onRoundEnd(drawingPlayerName, word, roundScores) {
+    const guessers = Object.keys(roundScores).filter(name => name !== drawingPlayerName).length;
+    this.increment({ word }, { rounds: 1, guessers, guesses: this.guesses, guessTime: this.guessTime })
+      .then(() => this.flagUnguessed(word))
+      .catch(logError);
+  }
+
+  // a word is flagged once at most, moderators approving it again have the final say
+  flagUnguessed(word) {
+    if (!this.flagAfterRounds) {
+      return Promise.resolve();
+    }
+    const { WordModel } = this;
+    return WordModel.updateOne({
+      word,
+      'stats.rounds': { $gte: this.flagAfterRounds },
+      'stats.guesses': 0,
+      'log.action': { $ne: 'flagged' }
+    }, {
+      $set: { status: WordModel.STATUS_PENDING },
+      $push: { log: { action: 'flagged', by: FLAGGED_BY, at: new Date() } }
+    }).exec();
+  }
+}
+
+module.exports = WordStats;
@@ -0,0 +1,85 @@
+const EventEmitter = require('events');
+
+const WordStats = require('./word-stats');
+
+describe('WordStats', () => {
+  let game;
+  let updates;
+  let flags;
+  let WordModel;
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    game = new EventEmitter();
+    updates = [];
+    flags = [];
+    WordModel = {
+      STATUS_PENDING: 'pending',
+      updateMany: (filter, update) => {
+        updates.push([filter, update]);
+        return { exec: () => Promise.resolve() };
+      },
+      updateOne: (filter, update) => {
+        flags.push([filter, update]);
+        return { exec: () => Promise.resolve() };
+      }
+    };
+  });
+
+  it('should count offered and chosen words', () => {
+    new WordStats(game, WordModel);
+    game.emit('round-start', 'alice', 'avocado', ['avocado', 'banana']);
+
+    expect(updates).toEqual([
+      [{ word: { $in: ['avocado', 'banana'] } }, { $inc: { 'stats.offered': 1 } }],
+      [{ word: 'avocado' }, { $inc: { 'stats.chosen': 1 } }]
+    ]);
+  });
+
+  it('should count guesses of a round', () => {
+    new WordStats(game, WordModel);
+    game.emit('round-start', 'alice', 'avocado', ['avocado']);
+    game.emit('guess', 'bob', 50, 12000);
+    game.emit('guess', 'carol', 40, 20000);
+    updates = [];
+    game.emit('round-end', 'alice', 'avocado', { alice: 45, bob: 50, carol: 40, dave: 0 });
+
+    expect(updates).toEqual([[{ word: 'avocado' }, {
+      $inc: { 'stats.rounds': 1, 'stats.guessers': 3, 'stats.guesses': 2, 'stats.guessTime': 32000 }
+    }]]);
+  });
+
+  it('should start counting guesses again every round', () => {
+    new WordStats(game, WordModel);
+    game.emit('round-start', 'alice', 'avocado', ['avocado']);
+    game.emit('guess', 'bob', 50, 12000);
+    game.emit('round-start', 'bob', 'banana', ['banana']);
+    updates = [];
+    game.emit('round-end', 'bob', 'banana', { alice: 0, bob: -10 });
+
+    expect(updates[0][1].$inc['stats.guesses']).toBe(0);
+  });
+
+  it('should flag words nobody guesses once they were drawn enough', async () => {
+    new WordStats(game, WordModel, 5);
+    game.emit('round-start', 'alice', 'avocado', ['avocado']);
+    game.emit('round-end', 'alice', 'avocado', { alice: -10, bob: 0 });
+    await flush();
+
+    expect(flags.length).toBe(1);
+    const [filter, update] = flags[0];
+    expect(filter).toEqual(jasmine.objectContaining({ word: 'avocado', 'stats.rounds': { $gte: 5 }, 'stats.guesses': 0 }));
+    expect(update.$set).toEqual({ status: 'pending' });
+    expect(update.$push.log.action).toBe('flagged');
+  });
+
+  it('should not flag words when turned off', async () => {
+    new WordStats(game, WordModel);
+    game.emit('round-start', 'alice', 'avocado', ['avocado']);
+    game.emit('round-end', 'alice', 'avocado', { alice: -10, bob: 0 });
+    await flush();
+
+    expect(flags).toEqual([]);
+  });
+});
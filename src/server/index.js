@@ -1,489 +1,200 @@
 const mongoose = require('mongoose');
 const uuid = require('uuid/v4');
+const crypto = require('crypto');
 const path = require('path');
 const express = require('express');
 const app = express();
 const server = require('http').createServer(app);
 const io = require('socket.io')(server);
-const leven = require('leven');
-const colorString = require('color-string');
-const checkWord = (require('check-word')('en'));
+const checkWord = require('check-word');
 
 const DiscordBot = require('./discord-bot');
+const Room = require('./rooms/room');
 
 const UserModel = require('./models/user');
 const WordModel = require('./models/word');
+const DrawingModel = require('./models/drawing');
+const GameModel = require('./models/game');
+const RoundModel = require('./models/round');
+const Timelapse = require('./renderer/timelapse');
+const Rating = require('./history/rating');
+const SessionToken = require('./auth/session-token');
+const AuthError = require('./auth/auth-error');
+const Roles = require('./auth/roles');
+const ResetCode = require('./account/reset-code');
+const { createNotifier } = require('./account/notifier');
+const WordFile = require('./words/word-file');
+const WordReview = require('./words/word-review');
+const WordQuery = require('./words/word-query');
+const WordText = require('./game/word-text');
+const Languages = require('../shared/languages');
+const Colors = require('../shared/drawing/colors');
 
 const HandshakeMessage = require('../shared/messages/handshake-message');
 const DrawMessage = require('../shared/messages/draw-message');
-const GameOverMessage = require('../shared/messages/game-over-message');
+const StrokeMessage = require('../shared/messages/stroke-message');
 const ChatMessage = require('../shared/messages/chat-message');
-const StartRoundMessage = require('../shared/messages/start-round-message');
-const EndRoundMessage = require('../shared/messages/end-round-message');
-const PlayerMessage = require('../shared/messages/player-message');
-const PlayerDisconnectedMessage = require('../shared/messages/player-disconnected-message');
-const TimerMessage = require('../shared/messages/timer-message');
 const WordMessage = require('../shared/messages/word-message');
-const WordChoicesMessage = require('../shared/messages/word-choices-message');
+const ErrorMessage = require('../shared/messages/error-message');
+const RoomSettingsMessage = require('../shared/messages/room-settings-message');
+const StartGameMessage = require('../shared/messages/start-game-message');
 
-const incomingMessages = [HandshakeMessage, DrawMessage, ChatMessage, WordMessage, 'disconnect'];
+const incomingMessages = [HandshakeMessage, DrawMessage, StrokeMessage, ChatMessage, WordMessage, RoomSettingsMessage, StartGameMessage];
 
 const PORT = process.env.PORT || 3000;
 const DATABASE_URI = process.env.MONGODB_URI || 'mongodb://localhost/my_database';
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+// logins made admins on start, how the first admin gets to manage the others
+const ADMINS = (process.env.ADMINS || '').split(',').map(login => login.trim()).filter(login => login);
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set, everyone will be logged out when the server restarts');
+}
 
 if (process.env.NODE_ENV === 'production') {
   const distPath = path.resolve(__dirname, '../../dist');
   app.use(express.static(distPath));
 }
 
-const STATE_IDLE = 'IDLE';
-const STATE_PLAYING = 'PLAYING';
-const STATE_COOLDOWN = 'COOLDOWN';
-const STATE_CHOOSING_WORD = 'CHOOSING_WORD';
-
-const SERVER_NAME = '/server';
-
-const TIME_ROUND_BASE = 80;
-const TIME_ROUND_REDUCTION = 5;
-const TIME_ROUND_MINIMUM = 10;
-const TIME_ROUND_HINT_START = 30;
-const TIME_WORD_CHOOSE = 20;
-const TIME_COOLDOWN = 5;
-
-const SCORE_NO_CORRECT_GUESSES = -10;
-const SCORE_BONUS_FIRST = 4;
-const SCORE_BONUS_MAX = 6;
-const SCORE_BONUS_REDUCTION = 1;
-const SCORE_TIME_MULTIPLIER = 0.5;
-const SCORE_TIME_MAXIMUM = 30;
-const SCORE_BASE = 10;
-
-const MAX_ROUNDS = 2;
-
-const players = {};
-const drawHistory = [];
-const chatHistory = [];
-
-let gameState = STATE_IDLE;
-let drawingPlayerName = '';
-let lastDrawingPlayerName;
-let word;
-let wordCharLength;
-let wordHint;
-let hintsShown;
-let guessingTime;
-let timerUpdateInterval;
-let roundScores;
-let remainingTime;
-let scoreBonus;
-let winnerScore;
-let drawnThisRound;
-let roundsPlayed;
-let gameId;
-
-const startGame = () => {
-  roundsPlayed = 0;
-  gameId = uuid();
-  const playerNames = Object.keys(players);
-
-  console.log(`Starting new game ${gameId}`);
-
-  if (playerNames.length < 2) {
-    return;
-  }
-
-  playerNames.forEach(name => {
-    players[name].score = 0;
-    sendToAllPlayers(new PlayerMessage(name, players[name]));
-  });
-  sendChatMessageToAllPlayers('Starting new game');
-
-  UserModel.where({ login: { $in: playerNames } })
-    .updateMany({ $set: { lastGameId: gameId, score: 0 } })
-    .then(() => {
-    }); // :(
+const ROOM_NAME_MAX_LENGTH = 32;
+// rooms are kept in memory, so a user can only host a few at a time
+const MAX_ROOMS_PER_HOST = 3;
 
-  prepareRound();
-};
-
-const endGame = () => {
-  clearInterval(timerUpdateInterval);
-
-  gameState = STATE_IDLE;
-
-  sendChatMessageToAllPlayers('Game over!');
-  sendToAllPlayers(new GameOverMessage());
-  console.log('Game over');
-
-  timerUpdateInterval = startTimer(
-    (elapsedTime) => {
-      remainingTime = 20 - elapsedTime;
-      sendToAllPlayers(new TimerMessage(remainingTime));
-      return remainingTime <= 0;
-    },
-    () => {
-      if (Object.keys(players).length >= 2) {
-        startGame();
-      } else {
-        console.log('Not enough players to start a new game')
-      }
-    }
-  );
-};
+// rooms whose players are rated within this range from the user are suggested to them
+const ROOM_SUGGESTION_RATING_RANGE = 150;
 
-const prepareRound = () => {
-  clearInterval(timerUpdateInterval);
+const LEADERBOARD_SIZE = 20;
+const LEADERBOARD_SORTS = ['wins', 'gamesPlayed', 'wordsGuessed'];
+const WEEK = 7 * 24 * 60 * 60 * 1000;
 
-  drawnThisRound = drawnThisRound || new Set();
+const RECENT_COLORS_LIMIT = 10;
 
-  const playerNames = Object.keys(players);
-  if (playerNames.length < 2) {
-    gameState = STATE_IDLE;
-    return;
-  }
+// one import is inserted in a single request, bigger lists have to be split
+const MAX_IMPORT_WORDS = 10000;
 
-  drawingPlayerName = null;
-  playerNames.forEach(name => {
-    if (drawingPlayerName) {
-      return;
-    }
-    if (!drawnThisRound.has(name)) {
-      drawingPlayerName = name;
-    }
-  });
+const rooms = {};
+const notifier = createNotifier();
 
-  if (!drawingPlayerName) {
-    drawnThisRound.clear();
-    roundsPlayed++;
-    if (roundsPlayed == MAX_ROUNDS) {
-      endGame();
-    } else {
-      prepareRound();
-    }
-    return;
-  }
-
-  WordModel.findRandom({ $or: [{ deleted: false }, { deleted: null }] }, {}, { limit: 3 + Math.round(Math.random() * 6) }, function(err, randomWords) { // dooes't work with promises :(
-    if (err) {
-      endGame();
-      sendChatMessageToAllPlayers('Error occured');
-      console.log(err);
-      return;
-    }
-    const words = randomWords.map(({ word }) => word);
-    console.log(`Preparing round, drawing ${drawingPlayerName}, choices: ${words.join(', ')}`);
-    players[drawingPlayerName].socket.emit(WordChoicesMessage.type, new WordChoicesMessage(words).getPayload());
-    sendChatMessageToAllPlayers(`${drawingPlayerName} is choosing a word`);
-
-    gameState = STATE_CHOOSING_WORD;
-
-    timerUpdateInterval = startTimer(
-      (elapsedTime) => {
-        remainingTime = TIME_WORD_CHOOSE - elapsedTime;
-        sendToAllPlayers(new TimerMessage(remainingTime));
-        return remainingTime <= 0;
-      },
-      () => {
-        word = words[0];
-        startRound();
-      }
-    );
-  });
+const getUnixTime = () => {
+  return Math.round((new Date()).getTime() / 1000);
 };
 
-const startRound = () => {
-  clearInterval(timerUpdateInterval);
-
-  lastDrawingPlayerName = drawingPlayerName;
-
-  wordCharLength = word.split('').reduce((length, char) => {
-    if (char.match(/[a-zA-Z]/)) {
-      return length + 1
-    }
-    return length;
-  }, 0);
-
-  wordHint = word.replace(/[ ]/g, '\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0');
-  wordHint = wordHint.replace(/[a-zA-Z]/g, '_ ');
-  hintsShown = new Set();
-  wordHint = generateWordHint();
-
-  roundScores = {};
-  Object.keys(players).forEach(name => {
-    const message = new StartRoundMessage(
-      drawingPlayerName,
-      name === drawingPlayerName ? word : wordHint,
-      roundsPlayed + 1
-    );
-    players[name].guessed = false;
-    players[name].socket.emit(message.getType(), message.getPayload());
-    roundScores[name] = 0;
-  });
-  drawHistory.splice(0, drawHistory.length);
-  sendChatMessageToAllPlayers(`${drawingPlayerName} is drawing now!`);
-
-  guessingTime = TIME_ROUND_BASE;
-  remainingTime = guessingTime;
-  winnerScore = 0;
-  scoreBonus = SCORE_BONUS_MAX;
-  timerUpdateInterval = startTimer(
-    (elapsedTime) => {
-      remainingTime = guessingTime - elapsedTime;
-      sendToAllPlayers(new TimerMessage(remainingTime));
-      checkWordHintAvailable(remainingTime);
-      return remainingTime <= 0;
-    },
-    () => {
-      sendChatMessageToAllPlayers(`Round over, the word was "${word}"`);
-      endRound();
-    }
-  );
-  console.log(`Starting round, word: ${word}, player ${drawingPlayerName} drawing`);
-  gameState = STATE_PLAYING;
+// starts a new session of the user, or extends the given one, and resolves with its token
+const issueToken = (user, session = uuid()) => {
+  const now = Date.now();
+  const expires = now + SessionToken.SESSION_LIFETIME;
+  user.sessions = user.sessions.filter(({ id, expiresAt }) => id !== session && expiresAt.getTime() > now);
+  user.sessions.push({ id: session, expiresAt: new Date(expires) });
+  return user.save()
+    .then(() => SessionToken.create(user.login, session, expires, SESSION_SECRET));
 };
 
-const endRound = () => {
-  gameState = STATE_COOLDOWN;
-
-  drawnThisRound.add(drawingPlayerName);
-  let playersGuessing = 0;
-  let playersGuessed = 0;
-  Object.keys(players).forEach(name => {
-    if (name === drawingPlayerName) {
-      return;
-    }
-    playersGuessing++;
-    if (players[name].guessed) {
-      playersGuessed++;
-    }
-  });
-
-  const ratioGuessed = playersGuessed / playersGuessing;
-  const drawingPlayerScore = playersGuessed > 0 ? Math.round(winnerScore * ratioGuessed) : SCORE_NO_CORRECT_GUESSES;
-  roundScores[drawingPlayerName] = drawingPlayerScore;
-  if (players[drawingPlayerName]) {
-    players[drawingPlayerName].score += drawingPlayerScore;
-    updatePlayerScoreInDb(drawingPlayerName);
-    sendToAllPlayers(new PlayerMessage(drawingPlayerName, players[drawingPlayerName]));
-  }
-
-  drawingPlayerName = null;
-  sendChatMessageToAllPlayers(
-    `The word was ${word}. ${playersGuessed}/${playersGuessing} guessed`,
-    colorString.to.hex([200 - 100 * ratioGuessed, 100 + 100 * ratioGuessed, 0])
-  );
-  sendToAllPlayers(new EndRoundMessage(word, roundScores));
-  clearInterval(timerUpdateInterval);
-  timerUpdateInterval = startTimer(
-    (elapsedTime) => {
-      const remainingTime = TIME_COOLDOWN - elapsedTime;
-      sendToAllPlayers(new TimerMessage(remainingTime));
-      return remainingTime <= 0;
-    },
-    () => {
-      if (Object.keys(players).length >= 2) {
-        prepareRound();
-      } else {
-        endGame();
+// resolves with the user and session of a valid token that was not revoked by logging out
+const authenticate = (token) => {
+  const data = SessionToken.verify(token, SESSION_SECRET);
+  if (!data) {
+    return Promise.reject(new AuthError());
+  }
+  return UserModel.findOne({ login: data.login, 'sessions.id': data.session })
+    .then(user => {
+      if (!user) {
+        throw new AuthError();
       }
-    }
-  );
-};
-
-const checkEveryoneGuessed = () => {
-  let result = true;
-  Object.keys(players).forEach(name => {
-    if (!players[name].guessed && name != drawingPlayerName) {
-      result = false;
-    }
-  });
-  return result;
-};
-
-const checkWordHintAvailable = (time) => {
-  const maxHints = Math.ceil(wordCharLength / 3);
-  if (time <= TIME_ROUND_HINT_START * (maxHints - hintsShown.size) / maxHints)
-    wordHint = generateWordHint(true);
-  players[drawingPlayerName].socket.broadcast.emit(WordMessage.type, new WordMessage(wordHint).getPayload());
-};
-
-const updatePlayerScoreInDb = (login) => {
-  UserModel.findOne({ login })
-    .update({ $set: { score: players[login].score } })
-    .then(() => {
+      return { user, session: data.session };
     });
 };
 
-const getUnixTime = () => {
-  return Math.round((new Date()).getTime() / 1000);
+// closes game connections, e.g. of sessions that were revoked
+const disconnectSockets = (filter) => {
+  const sockets = io.sockets.connected;
+  Object.keys(sockets)
+    .map(id => sockets[id])
+    .filter(socket => socket.user && filter(socket))
+    .forEach(socket => socket.disconnect());
 };
 
-const startTimer = (updateCallback, doneCallback) => {
-  const startTime = getUnixTime();
-  updateCallback(0);
-  const intervalId = setInterval(() => {
-      if (updateCallback(getUnixTime() - startTime)) {
-        doneCallback();
-        clearInterval(intervalId);
-      }
-    },
-    1000);
-  return intervalId;
+const checkNewPassword = (password) => {
+  if (typeof password !== 'string' || !password.length) {
+    throw 'Password can not be empty!';
+  }
 };
 
-const sendChatMessageToAllPlayers = (text, color = 'gray') => {
-  const message = new ChatMessage(SERVER_NAME, text, color);
-  sendToAllPlayers(message);
-  chatHistory.push(message.getPayload());
-};
+const getSessionInfo = (user, token) => ({ token, login: user.login, role: user.role || Roles.PLAYER });
 
-const sendToAllPlayers = (message) => {
-  io.sockets.emit(message.getType(), message.getPayload());
+const createRoom = (name, host, isPrivate, language) => {
+  const room = new Room(io, { UserModel, WordModel, DrawingModel }, name, host, isPrivate);
+  room.game.updateSettings({ language });
+  room.on('empty', () => removeRoom(room));
+  rooms[room.id] = room;
+  console.log(`Created room ${name} (${room.id})`);
+  return room;
 };
 
-const generateWordHint = (addHint = false) => {
-  if (addHint && hintsShown.size < wordCharLength) {
-    let newHintIndex;
-    do {
-      newHintIndex = Math.floor(Math.random() * word.length);
-    } while (!word[newHintIndex].match(/[a-zA-Z]/) || hintsShown.has(newHintIndex));
-    hintsShown.add(newHintIndex);
-  }
-  let result = '';
-  word.split('').forEach((char, i) => {
-    if (hintsShown.has(i)) {
-      result += `${char}\u00A0`;
-    }
-    else if (char.match(/[a-zA-Z]/)) {
-      result += '＿\u00A0'
-    } else if (char === ' ') {
-      result += '\u00A0\u00A0\u00A0\u00A0\u00A0\u00A0';
-    } else {
-      result += `${char}\u00A0`;
-    }
-  });
-
-  return result;
+const removeRoom = (room) => {
+  room.dispose();
+  delete rooms[room.id];
+  console.log(`Removed room ${room.name} (${room.id})`);
 };
 
 const wsHandlers = {
   [HandshakeMessage.type]: (socket, data) => {
-    const { token } = data;
-    UserModel.findOne({ token })
-      .then(user => {
-        let { login, score, lastGameId } = user;
-        const newPlayerName = login;
-        if (!newPlayerName) {
-          console.error(`Unknown player token ${token}!`);
-          return;
-        }
-        console.log(`Identified player ${newPlayerName}`);
-        socket.emit(HandshakeMessage.type, { name: newPlayerName });
-
-        if (lastGameId !== gameId) {
-          score = 0;
-          user.lastGameId = gameId;
-          user.save().then(() => {
-          });
-        }
-
-        if (players[newPlayerName]) {
-          players[newPlayerName].socket.disconnect();
-        }
-
-        players[newPlayerName] = { socket, score, guessed: false };
-
-        const playerNames = Object.keys(players);
-
-        if (gameState == STATE_PLAYING) {
-          roundScores[newPlayerName] = 0;
-          socket.emit(StartRoundMessage.type, new StartRoundMessage(drawingPlayerName, wordHint, roundsPlayed + 1).getPayload());
-        } else if (gameState == STATE_CHOOSING_WORD) {
-          socket.emit(ChatMessage.type, new ChatMessage(SERVER_NAME, `${drawingPlayerName} is choosing a word`, 'gray').getPayload());
-        }
-
-        drawHistory.forEach((data) => socket.emit(DrawMessage.type, data));
-        chatHistory.forEach((data) => socket.emit(ChatMessage.type, data));
-
-        playerNames.forEach(oldPlayerName => {
-          players[oldPlayerName].socket.emit(PlayerMessage.type, new PlayerMessage(newPlayerName, players[newPlayerName]).getPayload());
-          if (oldPlayerName == newPlayerName) {
-            return;
-          }
-          players[newPlayerName].socket.emit(PlayerMessage.type, new PlayerMessage(oldPlayerName, players[oldPlayerName]).getPayload());
-        });
-
-        sendChatMessageToAllPlayers(`${login} connected`);
-
-        if (gameState == STATE_IDLE && playerNames.length >= 2) {
-          startGame();
-        }
-      })
-  },
-  [DrawMessage.type]: (socket, data, playerName) => {
-    if (gameState == STATE_PLAYING && playerName !== drawingPlayerName) {
-      return;
+    if (data.protocol !== HandshakeMessage.protocol) {
+      socket.emit(ErrorMessage.type, new ErrorMessage('Your game is outdated, reload the page!').getPayload());
+      socket.disconnect();
+      return Promise.resolve();
     }
-    socket.broadcast.emit(DrawMessage.type, data);
-    if (data.tool == 'clear') {
-      drawHistory.splice(0, drawHistory.length);
-    } else {
-      drawHistory.push(data)
+    const newRoom = typeof data.room === 'string' && rooms.hasOwnProperty(data.room) ? rooms[data.room] : null;
+    if (!newRoom) {
+      socket.emit(ErrorMessage.type, new ErrorMessage('Room does not exist!').getPayload());
+      socket.disconnect();
+      return Promise.resolve();
     }
-  },
-  [ChatMessage.type]: (socket, data, playerName) => {
-    if (playerName !== data.sender) {
-      console.error(`${playerName} is trying to send chat message under name ${data.sender}`);
+    const { user } = socket;
+    if (!newRoom.isInvited(user.login, data.inviteCode)) {
+      socket.emit(ErrorMessage.type, new ErrorMessage('This room is private, join it with its invite code!').getPayload());
+      socket.disconnect();
+      return Promise.resolve();
     }
-    data.sender = playerName;
-    if (gameState == STATE_PLAYING && word && data.text && playerName != drawingPlayerName && data.text.toLowerCase() === word.toLowerCase()) {
-      const score = SCORE_BASE + Math.round(Math.min(SCORE_TIME_MAXIMUM, remainingTime * SCORE_TIME_MULTIPLIER)) + scoreBonus + (winnerScore ? 0 : SCORE_BONUS_FIRST);
-      winnerScore = winnerScore || score;
-      scoreBonus -= SCORE_BONUS_REDUCTION;
-      roundScores[playerName] = score;
-      players[playerName].score += score;
-      players[playerName].guessed = true;
-      socket.emit(ChatMessage.type, new ChatMessage(SERVER_NAME, `You guessed the word! +${score} points`, '#00cc00').getPayload());
-      socket.broadcast.emit(ChatMessage.type, new ChatMessage(SERVER_NAME, `${data.sender} guessed the word! +${score} points`, '#007700').getPayload());
-      sendToAllPlayers(new PlayerMessage(playerName, players[playerName]));
-      if (remainingTime > 10)
-        guessingTime = guessingTime - Math.min(TIME_ROUND_REDUCTION, Math.max(0, remainingTime - TIME_ROUND_MINIMUM));
-
-      updatePlayerScoreInDb(playerName);
-
-      if (checkEveryoneGuessed()) {
-        endRound();
-      }
-
-
-      return;
-    } else if (data.text && word) {
-      const lDistance = leven(data.text, word);
-      if (lDistance == 1) {
-        socket.emit(ChatMessage.type, new ChatMessage(SERVER_NAME, `${data.text} is really close!`, '#3153ff').getPayload());
-      } else if (lDistance == 2 && remainingTime <= TIME_ROUND_MINIMUM) {
-        socket.emit(ChatMessage.type, new ChatMessage(SERVER_NAME, `${data.text} is kinda close!`, '#5078cc').getPayload());
-      }
-    }
-    socket.broadcast.emit(ChatMessage.type, data);
-    while (chatHistory.length >= 20) {
-      chatHistory.shift();
-    }
-    chatHistory.push(data)
+    console.log(`Identified player ${user.login} joining room ${newRoom.name}`);
+    socket.emit(HandshakeMessage.type, { name: user.login, room: newRoom.getDetails() });
+    newRoom.addPlayer(socket, user);
+    return Promise.resolve(newRoom);
   },
-  [WordMessage.type]: (socket, data, playerName) => {
-    if (playerName != drawingPlayerName || gameState != STATE_CHOOSING_WORD) {
-      return;
-    }
-    clearInterval(timerUpdateInterval);
-    word = data.word;
-    startRound();
+  [DrawMessage.type]: (socket, data, room, playerName) => {
+    room.onDrawMessage(socket, data, playerName);
+  },
+  [StrokeMessage.type]: (socket, data, room, playerName) => {
+    room.onStrokeMessage(socket, data, playerName);
+  },
+  [ChatMessage.type]: (socket, data, room, playerName) => {
+    room.onChatMessage(socket, data, playerName);
+  },
+  [WordMessage.type]: (socket, data, room, playerName) => {
+    room.onWordMessage(socket, data, playerName);
+  },
+  [RoomSettingsMessage.type]: (socket, data, room, playerName) => {
+    room.onRoomSettingsMessage(socket, data, playerName);
+  },
+  [StartGameMessage.type]: (socket, data, room, playerName) => {
+    room.onStartGameMessage(socket, data, playerName);
   }
 };
 
 
+// sockets are only let in with a valid session, the user is looked up once per connection
+io.use((socket, next) => {
+  authenticate(socket.handshake.query.token)
+    .then(({ user, session }) => {
+      socket.user = user;
+      socket.session = session;
+      next();
+    })
+    .catch(err => next(err));
+});
+
 io.on('connection', (socket) => {
   console.log('New websocket connection.');
+  let room = null;
   incomingMessages.forEach(msg => {
     socket.on(msg.type, data => {
       // console.log(`${msg.type}: ${JSON.stringify(data)}`);
@@ -492,38 +203,33 @@ io.on('connection', (socket) => {
         console.warn(`No websocket handler for ${msg.type} message type!`);
         return;
       }
-      let playerName;
-      Object.keys(players).forEach(name => {
-        if (players[name].socket === socket) {
-          playerName = name;
-        }
-      });
-      handler(socket, data, playerName);
-    });
-    socket.on('disconnect', () => {
-      const playerNames = Object.keys(players);
-      playerNames.forEach(name => {
-        if (players[name].socket == socket) {
-          socket.broadcast.emit(PlayerDisconnectedMessage.type, { name });
-          delete players[name];
-          console.log(`Player ${name} disconnected!`);
-          sendChatMessageToAllPlayers(`${name} disconnected`);
-
-          if (name === drawingPlayerName) {
-            if (playerNames.length < 2) {
-              endGame();
-            } else {
-              endRound();
-            }
-          }
+      // handlers read fields of data, anything else than an object is not a message
+      if (!data || typeof data !== 'object') {
+        return;
+      }
+      if (msg.type === HandshakeMessage.type) {
+        if (room) {
+          console.warn('Repeated handshake on the same connection!');
           return;
         }
-        if (checkEveryoneGuessed()) {
-          endRound();
-        }
-      })
+        Promise.resolve()
+          .then(() => handler(socket, data))
+          .then(newRoom => room = newRoom || null)
+          .catch(err => console.error(err));
+        return;
+      }
+      if (!room) {
+        return;
+      }
+      handler(socket, data, room, room.getPlayerName(socket));
     });
   });
+  socket.on('disconnect', (reason) => {
+    if (!room) {
+      return;
+    }
+    room.disconnectPlayer(socket, reason);
+  });
 });
 
 
@@ -533,6 +239,10 @@ mongoose.connect(DATABASE_URI, (err) => {
     process.exit(1);
   }
   console.log('Connected to database!')
+  if (ADMINS.length) {
+    UserModel.updateMany({ login: { $in: ADMINS } }, { $set: { role: Roles.ADMIN } })
+      .catch(err => console.error(err));
+  }
 });
 
 
@@ -548,8 +258,6 @@ app.use(express.json({ type: 'application/json', limit: '10mb' }));
 
 
 app.post('/api/login', (req, res, next) => {
-  console.log(req.body);
-
   const { login, password, newAccount } = req.body;
 
   UserModel.findOne({ login })
@@ -563,7 +271,7 @@ app.post('/api/login', (req, res, next) => {
               return Promise.resolve(savedUser);
             })
         }
-        throw `User ${login} not found`;
+        throw new AuthError(`User ${login} not found`);
       }
 
       if (newAccount) {
@@ -575,50 +283,186 @@ app.post('/api/login', (req, res, next) => {
           if (passwordCorrect) {
             return Promise.resolve(user);
           }
-          throw 'Incorrect password!';
+          throw new AuthError('Incorrect password!');
         });
     })
+    .then(user => issueToken(user).then(token => res.json(getSessionInfo(user, token))))
+    .catch(err => next(err));
+});
+
+// answers the same for unknown users, the code only goes to the owner of the account,
+// codes requested again too soon are not sent, so the wrong guesses of the last one still count
+app.post('/api/password/reset', (req, res, next) => {
+  const { login } = req.body;
+
+  UserModel.findOne({ login })
+    .then(user => {
+      if (!user || !ResetCode.canRequest(user.passwordReset)) {
+        return;
+      }
+      const { code, hash, expiresAt } = ResetCode.create();
+      user.passwordReset = { hash, expiresAt, attempts: 0 };
+      return user.save()
+        .then(() => notifier.notify(user, 'Password reset',
+          `Use code ${code} to set a new password, it expires in ${ResetCode.RESET_CODE_LIFETIME / 60000} minutes`));
+    })
+    .then(() => res.json({}))
+    .catch(err => next(err));
+});
+
+// logs out everywhere and starts a new session with the new password
+app.post('/api/password/reset/confirm', (req, res, next) => {
+  const { login, code, password } = req.body;
+  checkNewPassword(password);
+
+  UserModel.findOne({ login })
     .then(user => {
-      const token = uuid();
-      user.token = token;
-      return user.save();
+      if (!user || !user.passwordReset || !user.passwordReset.hash) {
+        throw new AuthError('Invalid or expired code!');
+      }
+      if (!ResetCode.isValid(user.passwordReset, code)) {
+        user.passwordReset.attempts += 1;
+        return user.save()
+          .then(() => {
+            throw new AuthError('Invalid or expired code!');
+          });
+      }
+      user.password = password;
+      user.passwordReset = undefined;
+      user.sessions = [];
+      disconnectSockets(socket => socket.user.login === user.login);
+      return issueToken(user).then(token => res.json(getSessionInfo(user, token)));
     })
-    .then(({ token, login }) => res.json({ token, login }))
     .catch(err => next(err));
 });
 
+// exchanges a token for a fresh one of the same session, so sessions in use do not expire
 app.post('/api/autoLogin', (req, res, next) => {
-  const { token } = req.body;
+  authenticate(req.body.token)
+    .then(({ user, session }) => issueToken(user, session).then(token => res.json(getSessionInfo(user, token))))
+    .catch(err => next(err));
+});
 
-  UserModel.findOne({ token })
-    .then(user => {
-      if (!user) {
-        throw 'Login token invalid!'
+app.use((req, res, next) => {
+  authenticate(req.headers.authorization)
+    .then(({ user, session }) => {
+      req.user = user;
+      req.session = session;
+      next();
+    })
+    .catch(err => next(err));
+});
+
+app.post('/api/logout', (req, res, next) => {
+  const { session } = req;
+  UserModel.updateOne({ _id: req.user._id }, { $pull: { sessions: { id: session } } })
+    .then(() => {
+      disconnectSockets(socket => socket.session === session);
+      res.json({});
+    })
+    .catch(err => next(err));
+});
+
+// other devices are logged out, the one changing the password stays
+app.post('/api/password', (req, res, next) => {
+  const { user, session } = req;
+  const { currentPassword, password } = req.body;
+  checkNewPassword(password);
+
+  user.comparePassword(currentPassword)
+    .then(passwordCorrect => {
+      if (!passwordCorrect) {
+        throw 'Incorrect password!';
       }
-      const token = uuid();
-      user.token = token;
+      user.password = password;
+      user.sessions = user.sessions.filter(({ id }) => id === session);
       return user.save();
     })
-    .then(({ token, login }) => {
-      res.json({ token, login });
+    .then(() => {
+      disconnectSockets(socket => socket.user.login === user.login && socket.session !== session);
+      res.json({});
     })
     .catch(err => next(err));
 });
 
-app.use((req, res, next) => {
-  const token = req.headers.authorization;
-  if (!token) {
-    throw 'You must be logged in';
-  }
+// words the user added stay in the game without their name
+app.post('/api/account/delete', (req, res, next) => {
+  const { user } = req;
 
-  UserModel.findOne({ token })
-    .then(user => {
-      if (!user) {
-        throw 'You must be logged in';
+  user.comparePassword(req.body.password)
+    .then(passwordCorrect => {
+      if (!passwordCorrect) {
+        throw 'Incorrect password!';
       }
-      req.user = user;
-      next();
+      return Promise.all([
+        WordModel.updateMany({ addedBy: user.login }, { $set: { addedBy: WordModel.ANONYMOUS_AUTHOR } }),
+        WordModel.updateMany({ deletedBy: user.login }, { $set: { deletedBy: WordModel.ANONYMOUS_AUTHOR } }),
+        WordModel.updateMany(
+          { 'log.by': user.login },
+          { $set: { 'log.$[entry].by': WordModel.ANONYMOUS_AUTHOR } },
+          { arrayFilters: [{ 'entry.by': user.login }] }
+        )
+      ]);
+    })
+    .then(() => user.remove())
+    .then(() => {
+      console.log(`Deleted user ${user.login}`);
+      disconnectSockets(socket => socket.user.login === user.login);
+      res.json({});
     })
+    .catch(err => next(err));
+});
+
+app.get('/api/account/colors', (req, res) => {
+  res.json(req.user.recentColors || []);
+});
+
+// the color moves to the front of the user's recent colors
+app.post('/api/account/colors', (req, res, next) => {
+  const rgb = Colors.hexToRgb(req.body.color);
+  if (!rgb) {
+    throw `Invalid color ${req.body.color}`;
+  }
+  const color = Colors.rgbToHex(rgb);
+  const recentColors = [color, ...(req.user.recentColors || []).filter(recent => recent !== color)].slice(0, RECENT_COLORS_LIMIT);
+  UserModel.updateOne({ _id: req.user._id }, { $set: { recentColors } })
+    .then(() => res.json(recentColors))
+    .catch(err => next(err));
+});
+
+app.get('/api/rooms', (req, res) => {
+  const rating = req.user.rating || Rating.DEFAULT_RATING;
+  const ratingDifference = ({ rating: roomRating }) => roomRating === null ? ROOM_SUGGESTION_RATING_RANGE : Math.abs(roomRating - rating);
+  res.json(Object.keys(rooms)
+    .map(id => rooms[id])
+    .filter(room => !room.isPrivate)
+    .map(room => room.getInfo())
+    .map(info => Object.assign(info, { suggested: info.rating !== null && ratingDifference(info) < ROOM_SUGGESTION_RATING_RANGE }))
+    .sort((a, b) => ratingDifference(a) - ratingDifference(b)));
+});
+
+app.get('/api/rooms/invite/:code', (req, res, next) => {
+  const code = req.params.code.toUpperCase();
+  const id = Object.keys(rooms).find(id => rooms[id].inviteCode === code);
+  if (!id) {
+    throw `There is no room with invite code ${code}!`;
+  }
+  res.json(rooms[id].getInfo());
+});
+
+app.post('/api/rooms', (req, res, next) => {
+  const name = (req.body.name || '').trim();
+  if (!name) {
+    throw 'Room name must not be empty!';
+  }
+  if (name.length > ROOM_NAME_MAX_LENGTH) {
+    throw `Room name must not be longer than ${ROOM_NAME_MAX_LENGTH} characters!`;
+  }
+  const hostedRooms = Object.keys(rooms).filter(id => rooms[id].host === req.user.login);
+  if (hostedRooms.length >= MAX_ROOMS_PER_HOST) {
+    throw `You can not host more than ${MAX_ROOMS_PER_HOST} rooms at a time!`;
+  }
+  res.json(createRoom(name, req.user.login, !!req.body.isPrivate, parseLanguage(req.body.language)).getInfo());
 });
 
 app.get('/api/words', (req, res, next) => {
@@ -629,43 +473,94 @@ app.get('/api/words', (req, res, next) => {
     throw `Invalid page number ${page}`;
   }
 
-  WordModel.paginate({}, { page, limit })
+  const { filter, sort } = WordQuery.parseWordQuery(WordModel, req.query);
+
+  WordModel.paginate(filter, { page, limit, sort })
     .then(result => {
       res.json(result);
     })
     .catch(err => next(err));
 });
 
-app.post('/api/words', (req, res, next) => {
-  const allWords = req.body.words.map(word => word.toLowerCase());
-  const addedBy = req.user.login;
-  const force = req.body.force;
+app.get('/api/words/categories', (req, res, next) => {
+  WordModel.distinct('categories')
+    .then(categories => res.json(categories.filter(category => category).sort()))
+    .catch(err => next(err));
+});
+
+// categories come as an array or a comma separated string
+const parseCategories = (categories) => {
+  return (Array.isArray(categories) ? categories : String(categories || '').split(','))
+    .map(category => String(category).trim().toLowerCase())
+    .filter(category => category.length);
+};
+
+const parseLanguage = (language) => {
+  if (!language) {
+    return Languages.DEFAULT_LANGUAGE;
+  }
+  if (!Languages.isLanguage(language)) {
+    throw `Unsupported language ${language}`;
+  }
+  return language;
+};
+
+// check-word only has dictionaries for some languages, words in the others are left to moderators
+const dictionaries = {};
+const isInDictionary = (word, language = Languages.DEFAULT_LANGUAGE) => {
+  if (!Languages.LANGUAGES[language].dictionary) {
+    return true;
+  }
+  dictionaries[language] = dictionaries[language] || checkWord(language);
+  try {
+    return dictionaries[language].check(word);
+  } catch (err) {
+    return false;
+  }
+};
 
-  const validWords = [];
+const parseDifficulty = (difficulty) => {
+  if (difficulty === undefined || difficulty === null || difficulty === '') {
+    return WordModel.DIFFICULTY_MEDIUM;
+  }
+  if (!WordModel.DIFFICULTIES.includes(Number(difficulty))) {
+    throw `Invalid difficulty ${difficulty}`;
+  }
+  return Number(difficulty);
+};
+
+app.get('/api/words/lists', (req, res, next) => {
+  WordModel.distinct('list')
+    .then(lists => {
+      const result = new Set(lists.map(list => list || WordModel.DEFAULT_LIST));
+      result.add(WordModel.DEFAULT_LIST);
+      res.json([...result].sort());
+    })
+    .catch(err => next(err));
+});
+
+// sorts new words into the ones that can be added, the ones not in the dictionary and too short ones
+const classifyWords = (entries, force) => {
+  const valid = [];
   const invalid = [];
   const short = [];
-  allWords.forEach(word => {
-    let isValid = false;
-    try {
-      isValid = checkWord.check(word);
-    } catch (err) {
-    }
-    if (!word || (!force && !isValid)) {
+  entries.forEach(entry => {
+    const word = entry.word;
+    if (!word || (!force && !isInDictionary(word, entry.language))) {
       invalid.push(word)
-    } else if (word.length < 3) {
+    } else if (WordText.splitCharacters(word).length < 3) {
       short.push(word)
     } else {
-      validWords.push({ word, addedBy })
+      valid.push(entry)
     }
   });
+  return { valid, invalid, short };
+};
 
-  WordModel.insertMany(validWords, { ordered: false })
-    .then((x) => {
-      res.json({
-        added: validWords.map(({ word }) => word),
-        invalid
-      });
-    })
+// inserts all words it can, the rest are either duplicates or failed for another reason
+const insertWords = (entries) => {
+  return WordModel.insertMany(entries, { ordered: false })
+    .then(() => ({ added: entries.map(({ word }) => word), duplicate: [], error: [] }))
     .catch(err => {
       if (!err.writeErrors && err.code == 11000) {
         err.writeErrors = [err];
@@ -673,7 +568,7 @@ app.post('/api/words', (req, res, next) => {
       if (!err.writeErrors) {
         throw err;
       }
-      const addedSet = new Set(validWords.map(({ word }) => word));
+      const addedSet = new Set(entries.map(({ word }) => word));
       const duplicate = [];
       const error = [];
       err.writeErrors.forEach(we => {
@@ -685,23 +580,363 @@ app.post('/api/words', (req, res, next) => {
           error.push(word);
         }
       });
-      const added = [...addedSet];
-      res.json({ added, short, duplicate, error, invalid });
+      return { added: [...addedSet], duplicate, error };
+    });
+};
+
+// same result as insertWords without writing anything
+const previewWords = (entries) => {
+  return WordModel.find({ word: { $in: entries.map(({ word }) => word) } }, 'word')
+    .then(existing => {
+      const seen = new Set(existing.map(({ word }) => word));
+      const added = [];
+      const duplicate = [];
+      entries.forEach(({ word }) => {
+        if (seen.has(word)) {
+          duplicate.push(word);
+        } else {
+          seen.add(word);
+          added.push(word);
+        }
+      });
+      return { added, duplicate, error: [] };
+    });
+};
+
+app.post('/api/words', (req, res, next) => {
+  const allWords = req.body.words.map(word => word.normalize('NFC').toLowerCase());
+  const addedBy = req.user.login;
+  const force = req.body.force;
+  if (force && !Roles.hasRole(req.user, Roles.MODERATOR)) {
+    throw new AuthError('Only moderators can add words missing from the dictionary!', 403);
+  }
+  const list = (req.body.list || '').trim().toLowerCase() || WordModel.DEFAULT_LIST;
+  const categories = parseCategories(req.body.categories);
+  const difficulty = parseDifficulty(req.body.difficulty);
+  const language = parseLanguage(req.body.language);
+  // moderators do not need anyone to approve their words
+  const isModerator = Roles.hasRole(req.user, Roles.MODERATOR);
+  const status = isModerator ? WordModel.STATUS_APPROVED : WordModel.STATUS_PENDING;
+  const log = [{ action: 'added', by: addedBy }];
+  if (isModerator) {
+    log.push({ action: 'approved', by: addedBy });
+  }
+
+  const entries = allWords.map(word => ({ word, addedBy, list, language, categories, difficulty, status, log }));
+  const { valid, invalid, short } = classifyWords(entries, force);
+
+  insertWords(valid)
+    .then(({ added, duplicate, error }) => {
+      res.json({ added, short, duplicate, error, invalid, pending: !isModerator });
     })
     .catch(err => next(err));
 });
 
-app.delete('/api/word/:word', (req, res, next) => {
-  const { word } = req.params;
-  WordModel.findOne({ word })
-    .then(entry => {
-      entry.deleted = true;
-      entry.deletedBy = req.user.login;
-      return entry.save();
+// the whole list with who added and deleted the words and their log, so only moderators get it
+app.get('/api/words/export', Roles.requireRole(Roles.MODERATOR), (req, res, next) => {
+  const format = req.query.format || 'csv';
+  if (!WordFile.FORMATS.includes(format)) {
+    throw `Invalid format ${format}`;
+  }
+  WordModel.find({}, WordFile.COLUMNS.join(' ')).sort({ word: 1 }).lean()
+    .then(words => {
+      const rows = words.map(word => Object.assign({}, word, {
+        list: word.list || WordModel.DEFAULT_LIST,
+        language: word.language || Languages.DEFAULT_LANGUAGE,
+        difficulty: word.difficulty || WordModel.DIFFICULTY_MEDIUM,
+        status: word.status || WordModel.STATUS_APPROVED,
+        deleted: !!word.deleted
+      }));
+      res.attachment(`words.${format}`);
+      if (format === 'csv') {
+        res.type('text/csv').send(WordFile.toCsv(rows));
+      } else {
+        res.json(rows.map(row => WordFile.COLUMNS.reduce((result, column) => {
+          result[column] = row[column];
+          return result;
+        }, {})));
+      }
     })
+    .catch(err => next(err));
+});
+
+// shows what importing a file would do when dryRun is set, imports it otherwise
+app.post('/api/words/import', Roles.requireRole(Roles.MODERATOR), (req, res, next) => {
+  const importedBy = req.user.login;
+  const rows = WordFile.parse(req.body.format, req.body.content);
+  if (rows.length > MAX_IMPORT_WORDS) {
+    throw `Files can have at most ${MAX_IMPORT_WORDS} words!`;
+  }
+  const entries = rows.map(row => {
+    const status = [WordModel.STATUS_PENDING, WordModel.STATUS_APPROVED, WordModel.STATUS_REJECTED].includes(row.status)
+      ? row.status
+      : WordModel.STATUS_APPROVED;
+    return {
+      word: row.word,
+      addedBy: row.addedBy || importedBy,
+      list: (row.list || '').toLowerCase() || WordModel.DEFAULT_LIST,
+      language: parseLanguage(row.language),
+      categories: row.categories,
+      difficulty: parseDifficulty(row.difficulty),
+      status,
+      deleted: row.deleted,
+      deletedBy: row.deleted ? row.deletedBy || importedBy : undefined,
+      log: [{ action: 'imported', by: importedBy }]
+    };
+  });
+  // the file comes from moderators, words missing from the dictionary are fine
+  const { valid, invalid, short } = classifyWords(entries, true);
+
+  (req.body.dryRun ? previewWords(valid) : insertWords(valid))
+    .then(({ added, duplicate, error }) => {
+      res.json({ added, short, duplicate, error, invalid, dryRun: !!req.body.dryRun });
+    })
+    .catch(err => next(err));
+});
+
+app.use('/api', WordReview.createRouter(WordModel));
+
+app.post('/api/word/:word', Roles.requireRole(Roles.MODERATOR), (req, res, next) => {
+  const { categories, difficulty, language } = req.body;
+  WordReview.changeWord(WordModel, req.params.word, req.user.login, 'edited', entry => {
+    if (language !== undefined) {
+      entry.language = parseLanguage(language);
+    }
+    if (categories !== undefined) {
+      entry.categories = parseCategories(categories);
+    }
+    if (difficulty !== undefined) {
+      entry.difficulty = parseDifficulty(difficulty);
+    }
+  })
     .then(result => res.json(result))
     .catch(err => next(err));
+});
 
+app.get('/api/admin/users', Roles.requireRole(Roles.ADMIN), (req, res, next) => {
+  const page = req.query.p || 1;
+  const limit = req.query.pageSize || 50;
+
+  if (page <= 0) {
+    throw `Invalid page number ${page}`;
+  }
+
+  const search = (req.query.search || '').replace(/[^a-zA-Z0-9]/g, '');
+  const filter = search ? { login: { $regex: search, $options: 'i' } } : {};
+  UserModel.paginate(filter, { page, limit, sort: { login: 1 }, select: 'login role discordId rating' })
+    .then(result => res.json(result))
+    .catch(err => next(err));
+});
+
+app.post('/api/admin/users/:login', Roles.requireRole(Roles.ADMIN), (req, res, next) => {
+  const { login } = req.params;
+  const { role, discordId } = req.body;
+  if (role !== undefined && !Roles.ROLES.includes(role)) {
+    throw `Invalid role ${role}`;
+  }
+  // keeps at least the admin doing this around
+  if (login === req.user.login && role !== undefined && role !== req.user.role) {
+    throw 'You can not change your own role!';
+  }
+
+  UserModel.findOne({ login }, 'login role discordId rating')
+    .then(user => {
+      if (!user) {
+        throw 'Player does not exist!';
+      }
+      if (role !== undefined) {
+        user.role = role;
+      }
+      if (discordId !== undefined) {
+        user.discordId = discordId || undefined;
+      }
+      return user.save();
+    })
+    .then(user => {
+      console.log(`${req.user.login} set role of ${user.login} to ${user.role}`);
+      res.json(user);
+    })
+    .catch(err => next(err));
+});
+
+app.get('/api/games', (req, res, next) => {
+  const page = req.query.p || 1;
+  const limit = req.query.pageSize || 20;
+  const player = req.query.player || req.user.login;
+
+  if (page <= 0) {
+    throw `Invalid page number ${page}`;
+  }
+
+  GameModel.paginate({ players: player }, { page, limit, sort: { startedAt: -1 } })
+    .then(result => res.json(result))
+    .catch(err => next(err));
+});
+
+app.get('/api/games/:gameId', (req, res, next) => {
+  const { gameId } = req.params;
+  Promise.all([
+    GameModel.findOne({ gameId }),
+    RoundModel.find({ gameId }).sort({ turn: 1 }),
+    DrawingModel.find({ gameId }, '_id roundId')
+  ])
+    .then(([game, rounds, drawings]) => {
+      if (!game) {
+        throw 'Game does not exist!';
+      }
+      const drawingIds = {};
+      drawings.forEach(({ _id, roundId }) => drawingIds[roundId] = _id);
+      res.json({
+        game,
+        rounds: rounds.map(round => Object.assign(round.toJSON(), { drawing: drawingIds[round._id] || null }))
+      });
+    })
+    .catch(err => next(err));
+});
+
+app.get('/api/players/:login', (req, res, next) => {
+  UserModel.findOne({ login: req.params.login }, 'login rating stats')
+    .then(user => {
+      if (!user) {
+        throw 'Player does not exist!';
+      }
+      const stats = user.toJSON().stats || {};
+      res.json({
+        login: user.login,
+        rating: user.rating,
+        stats: Object.assign(stats, {
+          averageGuessTime: stats.wordsGuessed ? Math.round(stats.guessTime / stats.wordsGuessed) : null
+        })
+      });
+    })
+    .catch(err => next(err));
+});
+
+const getAllTimeLeaderboard = (sort) => {
+  return UserModel.find({ 'stats.gamesPlayed': { $gt: 0 } }, 'login stats')
+    .sort({ [`stats.${sort}`]: -1, login: 1 })
+    .limit(LEADERBOARD_SIZE)
+    .then(users => users.map(user => {
+      const { gamesPlayed, wins, wordsGuessed } = user.toJSON().stats;
+      return { name: user.login, gamesPlayed, wins, wordsGuessed };
+    }));
+};
+
+// weekly numbers come from the game history, lifetime stats can't be split by time
+const getWeeklyLeaderboard = (sort) => {
+  const since = new Date(Date.now() - WEEK);
+  return Promise.all([
+    GameModel.aggregate([
+      { $match: { endedAt: { $gte: since } } },
+      { $addFields: { playerCount: { $size: '$standings' } } },
+      { $unwind: '$standings' },
+      {
+        $group: {
+          _id: '$standings.name',
+          gamesPlayed: { $sum: 1 },
+          wins: { $sum: { $cond: [{ $and: [{ $eq: ['$standings.place', 1] }, { $gte: ['$playerCount', 2] }] }, 1, 0] } }
+        }
+      }
+    ]),
+    RoundModel.aggregate([
+      { $match: { endedAt: { $gte: since } } },
+      { $unwind: '$guesses' },
+      { $group: { _id: '$guesses.name', wordsGuessed: { $sum: 1 } } }
+    ])
+  ])
+    .then(([games, guesses]) => {
+      const rows = {};
+      games.forEach(({ _id, gamesPlayed, wins }) => rows[_id] = { name: _id, gamesPlayed, wins, wordsGuessed: 0 });
+      guesses.forEach(({ _id, wordsGuessed }) => {
+        rows[_id] = rows[_id] || { name: _id, gamesPlayed: 0, wins: 0 };
+        rows[_id].wordsGuessed = wordsGuessed;
+      });
+      return Object.keys(rows)
+        .map(name => rows[name])
+        .sort((a, b) => b[sort] - a[sort] || a.name.localeCompare(b.name))
+        .slice(0, LEADERBOARD_SIZE);
+    });
+};
+
+app.get('/api/leaderboard', (req, res, next) => {
+  const period = req.query.period || 'all';
+  const sort = req.query.sort || LEADERBOARD_SORTS[0];
+  if (!LEADERBOARD_SORTS.includes(sort)) {
+    throw `Invalid leaderboard sort ${sort}`;
+  }
+  if (period !== 'all' && period !== 'week') {
+    throw `Invalid leaderboard period ${period}`;
+  }
+  (period === 'week' ? getWeeklyLeaderboard(sort) : getAllTimeLeaderboard(sort))
+    .then(result => res.json(result))
+    .catch(err => next(err));
+});
+
+app.get('/api/drawings', (req, res, next) => {
+  const page = req.query.p || 1;
+  const limit = req.query.pageSize || 20;
+
+  if (page <= 0) {
+    throw `Invalid page number ${page}`;
+  }
+
+  const filter = req.query.player ? { drawer: req.query.player } : {};
+  DrawingModel.paginate(filter, { page, limit, sort: { createdAt: -1 }, select: '-events' })
+    .then(result => res.json(result))
+    .catch(err => next(err));
+});
+
+app.get('/api/drawings/:id', (req, res, next) => {
+  DrawingModel.findById(req.params.id)
+    .then(drawing => {
+      if (!drawing) {
+        throw 'Drawing does not exist!';
+      }
+      res.json(drawing);
+    })
+    .catch(err => next(err));
+});
+
+// drawings never change once saved, so their timelapses are kept for the next request, the oldest go first
+const TIMELAPSE_CACHE_SIZE = 20;
+const timelapses = new Map();
+
+// onChunk only gets the GIF as it is encoded when the timelapse was not being made already
+const getTimelapse = (id, frames, onChunk) => {
+  const key = `${id}:${frames}`;
+  if (!timelapses.has(key)) {
+    const gif = DrawingModel.findById(id)
+      .then(drawing => {
+        if (!drawing) {
+          throw 'Drawing does not exist!';
+        }
+        return Timelapse.toGif(drawing.events, frames, onChunk);
+      });
+    gif.catch(() => timelapses.delete(key));
+    timelapses.set(key, gif);
+    while (timelapses.size > TIMELAPSE_CACHE_SIZE) {
+      timelapses.delete(timelapses.keys().next().value);
+    }
+  }
+  return timelapses.get(key);
+};
+
+app.get('/api/drawings/:id/timelapse.gif', (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next('Drawing does not exist!');
+  }
+  // the first request of a timelapse gets it frame by frame while it is encoded, the next ones at once
+  let isStreaming = false;
+  const onChunk = (chunk) => {
+    if (!isStreaming) {
+      isStreaming = true;
+      res.type('gif');
+    }
+    res.write(chunk);
+  };
+  getTimelapse(req.params.id, Timelapse.getFrameCount(Number(req.query.frames)), onChunk)
+    .then(gif => isStreaming ? res.end() : res.type('gif').send(gif))
+    .catch(err => isStreaming ? res.destroy(err) : next(err));
 });
 
 let lastSharedTime;
@@ -713,21 +948,13 @@ app.post('/api/discord/share', (req, res, next) => {
   }
   lastSharedTime = getUnixTime();
   lastSharedBy = req.user.login;
-  let text;
-  switch (gameState) {
-    case STATE_PLAYING:
-      text = `${drawingPlayerName} is drawing ${wordHint}. Shared by ${lastSharedBy}`;
-      break;
-    case STATE_COOLDOWN:
-    case STATE_CHOOSING_WORD:
-      text = `${lastDrawingPlayerName} was drawing ${word}. Shared by ${lastSharedBy}`;
-      break;
-    default:
-      text = `Shared by ${lastSharedBy}`;
-  }
-  DiscordBot.shareImage(text, req.body.data)
+  const room = rooms[req.body.room];
+  if (!room) {
+    throw 'Room does not exist!';
+  }
+  DiscordBot.shareImage(room.getShareText(lastSharedBy), room.renderCanvas())
     .then((msg) => {
-      sendChatMessageToAllPlayers(
+      room.sendChatMessageToAllPlayers(
         `${lastSharedBy} shared <a target="_blank" href="${msg.attachments.first().proxyURL}">this image</a> on the discord channel!`,
         '#7586d6');
       res.json({});
@@ -738,7 +965,7 @@ app.post('/api/discord/share', (req, res, next) => {
 
 app.use((error, req, res, next) => {
   console.error(error);
-  res.status(500).send({ message: error.toString() })
+  res.status(error.status || 500).send({ message: error.message || error.toString() })
 });
 
 server.listen(PORT, () => console.log(`Game server is listening on ${PORT}`));
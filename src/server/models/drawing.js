@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate');
+
+// events are { time, data } with time in ms since the round started and data a draw message as the room applied it
+const DrawingSchema = new mongoose.Schema({
+  room: { type: String, required: true },
+  gameId: { type: String },
+  round: { type: Number },
+  roundId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  drawer: { type: String, required: true, index: true },
+  word: { type: String, required: true },
+  duration: { type: Number, required: true, default: 0 },
+  events: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  createdAt: { type: Date, required: true, default: Date.now, index: true }
+});
+
+DrawingSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('Drawing', DrawingSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate');
+
+const StandingSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  score: { type: Number, required: true },
+  place: { type: Number, required: true }
+}, { _id: false });
+
+const GameSchema = new mongoose.Schema({
+  gameId: { type: String, required: true, index: { unique: true } },
+  room: { type: String, required: true },
+  settings: { type: mongoose.Schema.Types.Mixed },
+  players: { type: [String], index: true },
+  standings: { type: [StandingSchema], default: [] },
+  startedAt: { type: Date, required: true, default: Date.now, index: true },
+  endedAt: { type: Date }
+});
+
+GameSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('Game', GameSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// time is in ms since the round started
+const GuessSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  score: { type: Number, required: true },
+  time: { type: Number, required: true }
+}, { _id: false });
+
+const RoundSchema = new mongoose.Schema({
+  gameId: { type: String, required: true, index: true },
+  // turns are counted through the whole game, round is the game round the turn belongs to
+  turn: { type: Number, required: true },
+  round: { type: Number, required: true },
+  drawer: { type: String, required: true },
+  word: { type: String, required: true },
+  wordChoices: { type: [String], default: [] },
+  guesses: { type: [GuessSchema], default: [] },
+  scores: { type: mongoose.Schema.Types.Mixed, default: {} },
+  startedAt: { type: Date, required: true, default: Date.now },
+  endedAt: { type: Date }
+});
+
+module.exports = mongoose.model('Round', RoundSchema);
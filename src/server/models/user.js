@@ -2,13 +2,41 @@ const mongoose = require('mongoose'),
   Schema = mongoose.Schema,
   bcrypt = require('bcrypt'),
   SALT_WORK_FACTOR = 10;
+const mongoosePaginate = require('mongoose-paginate');
+const Roles = require('../auth/roles');
 
 const UserSchema = new Schema({
   login: { type: String, required: true, index: { unique: true } },
   password: { type: String, required: true },
+  role: { type: String, enum: Roles.ROLES, default: Roles.PLAYER },
+  // Discord user id, lets the bot know who is sending it commands
+  discordId: { type: String, index: true },
   score: { type: Number },
   lastGameId: { type: String },
-  token: { type: String }
+  // one per logged in device, logging out removes it
+  sessions: [{
+    id: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true }
+  }],
+  // hash of the one-time code sent when the password was forgotten
+  passwordReset: {
+    hash: { type: String },
+    expiresAt: { type: Date },
+    attempts: { type: Number, default: 0 }
+  },
+  rating: { type: Number, default: 1200 },
+  // hex colors the user drew with lately, the latest first
+  recentColors: { type: [String], default: [] },
+  // guessTime is the sum of ms it took to guess words, drawings counts rounds the user was drawing in
+  stats: {
+    gamesPlayed: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+    wordsGuessed: { type: Number, default: 0 },
+    guessTime: { type: Number, default: 0 },
+    drawings: { type: Number, default: 0 },
+    drawingsGuessed: { type: Number, default: 0 },
+    failedDrawings: { type: Number, default: 0 }
+  }
 });
 
 
@@ -37,4 +65,6 @@ UserSchema.methods.comparePassword = function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+UserSchema.plugin(mongoosePaginate);
+
 module.exports = mongoose.model('User', UserSchema);
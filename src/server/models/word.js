@@ -2,14 +2,172 @@ const mongoose = require('mongoose');
 const mongooseRandom = require('mongoose-simple-random');
 const mongoosePaginate = require('mongoose-paginate');
 
+const WordDifficulty = require('../history/word-difficulty');
+const Languages = require('../../shared/languages');
+
+const DEFAULT_LIST = 'default';
+// takes the place of the author when their account is deleted, logins can not contain spaces
+const ANONYMOUS_AUTHOR = 'deleted user';
+
+// words from players wait for a moderator, words added before the queue existed have no status and count as approved
+const STATUS_PENDING = 'pending';
+const STATUS_APPROVED = 'approved';
+const STATUS_REJECTED = 'rejected';
+
+// words added before difficulties existed have none and count as medium
+const DIFFICULTY_EASY = 1;
+const DIFFICULTY_MEDIUM = 2;
+const DIFFICULTY_HARD = 3;
+const DIFFICULTIES = [DIFFICULTY_EASY, DIFFICULTY_MEDIUM, DIFFICULTY_HARD];
+
+const MATCH_PREFIX = 'prefix';
+const MATCH_CONTAINS = 'contains';
+const MATCHES = [MATCH_PREFIX, MATCH_CONTAINS];
+
+// columns the word list can be sorted by
+const SORT_FIELDS = ['word', 'addedBy', 'deletedBy', 'status', 'difficulty', 'list', 'language'];
 
 const WordSchema = new mongoose.Schema({
   word: { type: String, required: true, index: { unique: true } },
-  addedBy: { type: String, required: true },
+  addedBy: { type: String, required: true, index: true },
   deletedBy: { type: String },
-  deleted: { type: Boolean, required: true, default: false }
+  deleted: { type: Boolean, required: true, default: false },
+  list: { type: String, default: DEFAULT_LIST },
+  // words added before languages existed are english
+  language: { type: String, enum: Languages.CODES, default: Languages.DEFAULT_LANGUAGE, index: true },
+  categories: { type: [String], index: true },
+  difficulty: { type: Number, enum: DIFFICULTIES, default: DIFFICULTY_MEDIUM },
+  status: { type: String, enum: [STATUS_PENDING, STATUS_APPROVED, STATUS_REJECTED], default: STATUS_APPROVED },
+  // from played rounds, guessers counts players who were trying to guess the word
+  stats: {
+    offered: { type: Number, default: 0 },
+    chosen: { type: Number, default: 0 },
+    rounds: { type: Number, default: 0 },
+    guessers: { type: Number, default: 0 },
+    guesses: { type: Number, default: 0 },
+    guessTime: { type: Number, default: 0 }
+  },
+  // who added, approved, rejected, deleted or restored the word
+  log: [{
+    _id: false,
+    action: { type: String, required: true },
+    by: { type: String, required: true },
+    at: { type: Date, default: Date.now }
+  }]
+});
+
+WordSchema.virtual('difficultyScore').get(function() {
+  return WordDifficulty.difficultyScore(this.stats);
 });
 
+WordSchema.virtual('guessRatio').get(function() {
+  return WordDifficulty.getGuessRatio(this.stats);
+});
+
+WordSchema.virtual('averageGuessTime').get(function() {
+  return WordDifficulty.getAverageGuessTime(this.stats);
+});
+
+WordSchema.set('toJSON', { virtuals: true });
+
+WordSchema.statics.DEFAULT_LIST = DEFAULT_LIST;
+WordSchema.statics.ANONYMOUS_AUTHOR = ANONYMOUS_AUTHOR;
+WordSchema.statics.STATUS_PENDING = STATUS_PENDING;
+WordSchema.statics.STATUS_APPROVED = STATUS_APPROVED;
+WordSchema.statics.STATUS_REJECTED = STATUS_REJECTED;
+WordSchema.statics.DIFFICULTY_MEDIUM = DIFFICULTY_MEDIUM;
+WordSchema.statics.DIFFICULTIES = DIFFICULTIES;
+WordSchema.statics.MATCH_PREFIX = MATCH_PREFIX;
+WordSchema.statics.MATCHES = MATCHES;
+WordSchema.statics.SORT_FIELDS = SORT_FIELDS;
+
+// prefix searches can use the word index, contains searches have to scan all words
+WordSchema.statics.searchFilter = function(search, match = MATCH_CONTAINS) {
+  if (!search) {
+    return {};
+  }
+  const escaped = search.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return { word: { $regex: match === MATCH_PREFIX ? `^${escaped}` : escaped } };
+};
+
+WordSchema.statics.deletedFilter = function(deleted) {
+  return deleted ? { deleted: true } : { deleted: { $ne: true } };
+};
+
+WordSchema.statics.statusFilter = function(status) {
+  return status === STATUS_APPROVED ? { status: { $in: [STATUS_APPROVED, null] } } : { status };
+};
+
+// words added before lists existed have no list and belong to the default one
+WordSchema.statics.listFilter = function(lists) {
+  if (!lists || !lists.length) {
+    return {};
+  }
+  return { list: { $in: lists.includes(DEFAULT_LIST) ? [...lists, null] : lists } };
+};
+
+WordSchema.statics.categoryFilter = function(categories) {
+  if (!categories || !categories.length) {
+    return {};
+  }
+  return { categories: { $in: categories } };
+};
+
+WordSchema.statics.languageFilter = function(language) {
+  if (!language) {
+    return {};
+  }
+  return { language: language === Languages.DEFAULT_LANGUAGE ? { $in: [language, null] } : language };
+};
+
+WordSchema.statics.difficultyFilter = function(difficulty) {
+  return { difficulty: difficulty === DIFFICULTY_MEDIUM ? { $in: [DIFFICULTY_MEDIUM, null] } : difficulty };
+};
+
+WordSchema.statics.findRandomWords = function(filter, limit) {
+  if (limit <= 0) {
+    return Promise.resolve([]);
+  }
+  return new Promise((resolve, reject) => {
+    this.findRandom(filter, {}, { limit }, (err, randomWords) => { // dooes't work with promises :(
+      if (err) {
+        return reject(err);
+      }
+      resolve((randomWords || []).map(({ word, difficulty }) => ({ word, difficulty: difficulty || DIFFICULTY_MEDIUM })));
+    });
+  });
+};
+
+const shuffle = (array) => {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+};
+
+// resolves with { word, difficulty } entries spread over the difficulties as evenly as the pool allows
+WordSchema.statics.getRandomWords = function(limit, lists, categories, language) {
+  const filter = Object.assign({
+    $and: [{ $or: [{ deleted: false }, { deleted: null }] }, this.statusFilter(STATUS_APPROVED), this.languageFilter(language)]
+  }, this.listFilter(lists), this.categoryFilter(categories));
+  const difficulties = shuffle([...DIFFICULTIES]);
+  const counts = difficulties.map((difficulty, i) => Math.floor(limit / difficulties.length) + (i < limit % difficulties.length ? 1 : 0));
+
+  return Promise.all(difficulties.map((difficulty, i) => this.findRandomWords(Object.assign({}, filter, this.difficultyFilter(difficulty)), counts[i])))
+    .then(groups => {
+      const words = [].concat(...groups);
+      // some difficulty ran out of words, any other word will do
+      const chosen = words.map(({ word }) => word);
+      return this.findRandomWords(Object.assign({ word: { $nin: chosen } }, filter), limit - words.length)
+        .then(rest => shuffle(words.concat(rest)));
+    });
+};
+
+WordSchema.methods.record = function(action, by) {
+  this.log.push({ action, by, at: new Date() });
+};
+
 WordSchema.plugin(mongooseRandom);
 WordSchema.plugin(mongoosePaginate);
 
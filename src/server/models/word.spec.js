@@ -0,0 +1,37 @@
+const WordModel = require('./word');
+
+describe('WordModel', () => {
+
+  it('should count words as approved unless they are queued', () => {
+    expect(new WordModel({ word: 'avocado', addedBy: 'alice' }).status).toBe(WordModel.STATUS_APPROVED);
+  });
+
+  it('should count words from before the approval queue as approved', () => {
+    expect(WordModel.statusFilter(WordModel.STATUS_APPROVED)).toEqual({ status: { $in: [WordModel.STATUS_APPROVED, null] } });
+  });
+
+  it('should only find words with the status otherwise', () => {
+    expect(WordModel.statusFilter(WordModel.STATUS_PENDING)).toEqual({ status: WordModel.STATUS_PENDING });
+    expect(WordModel.statusFilter(WordModel.STATUS_REJECTED)).toEqual({ status: WordModel.STATUS_REJECTED });
+  });
+
+  it('should log who changed the word', () => {
+    const word = new WordModel({ word: 'avocado', addedBy: 'alice' });
+    word.record('approved', 'mod');
+
+    expect(word.log.length).toBe(1);
+    expect(word.log[0].action).toBe('approved');
+    expect(word.log[0].by).toBe('mod');
+    expect(word.log[0].at instanceof Date).toBe(true);
+  });
+
+  it('should search words containing the text unless asked for a prefix', () => {
+    expect(WordModel.searchFilter('')).toEqual({});
+    expect(WordModel.searchFilter('Avo')).toEqual({ word: { $regex: 'avo' } });
+    expect(WordModel.searchFilter('avo', WordModel.MATCH_PREFIX)).toEqual({ word: { $regex: '^avo' } });
+  });
+
+  it('should search for regular expression characters as they are', () => {
+    expect(WordModel.searchFilter('a.b*(c)', WordModel.MATCH_PREFIX)).toEqual({ word: { $regex: '^a\\.b\\*\\(c\\)' } });
+  });
+});
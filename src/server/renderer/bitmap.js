@@ -0,0 +1,196 @@
+/**
+ * RGBA pixel buffer with the few drawing primitives the game tools need.
+ * No anti-aliasing, so bucket fills behave predictably on server side renders.
+ */
+class Bitmap {
+
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.data = Buffer.alloc(width * height * 4);
+  }
+
+  getIndex(x, y) {
+    return (y * this.width + x) * 4;
+  }
+
+  getPixel(x, y) {
+    const i = this.getIndex(x, y);
+    return [this.data[i], this.data[i + 1], this.data[i + 2], this.data[i + 3]];
+  }
+
+  setPixel(x, y, [r, g, b, a = 255]) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+      return;
+    }
+    const i = this.getIndex(x, y);
+    this.data[i] = r;
+    this.data[i + 1] = g;
+    this.data[i + 2] = b;
+    this.data[i + 3] = a;
+  }
+
+  fill(color) {
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        this.setPixel(x, y, color);
+      }
+    }
+  }
+
+  // the area is clipped to the bitmap, edges are rounded outwards
+  clip({ left, top, right, bottom }) {
+    return {
+      left: Math.max(0, Math.floor(left)),
+      top: Math.max(0, Math.floor(top)),
+      right: Math.min(this.width - 1, Math.ceil(right)),
+      bottom: Math.min(this.height - 1, Math.ceil(bottom))
+    };
+  }
+
+  clear(area) {
+    const { left, top, right, bottom } = this.clip(area);
+    for (let y = top; y <= bottom; y++) {
+      this.data.fill(0, this.getIndex(left, y), this.getIndex(right + 1, y));
+    }
+  }
+
+  // blends what is drawn on the layer within the area over this bitmap
+  blend(layer, opacity, area) {
+    const { left, top, right, bottom } = this.clip(area);
+    for (let y = top; y <= bottom; y++) {
+      for (let x = left; x <= right; x++) {
+        const i = this.getIndex(x, y);
+        const alpha = opacity * layer.data[i + 3] / 255;
+        if (!alpha) {
+          continue;
+        }
+        for (let channel = 0; channel < 3; channel++) {
+          this.data[i + channel] = Math.round(this.data[i + channel] * (1 - alpha) + layer.data[i + channel] * alpha);
+        }
+      }
+    }
+  }
+
+  drawDot(x, y, thickness, color) {
+    this.drawLine(x, y, x, y, thickness, color);
+  }
+
+  // thick line with round caps, same as canvas stroke with lineCap = 'round'
+  drawLine(x0, y0, x1, y1, thickness, color) {
+    const radius = Math.max(0.5, thickness / 2);
+    const minX = Math.max(0, Math.floor(Math.min(x0, x1) - radius));
+    const maxX = Math.min(this.width - 1, Math.ceil(Math.max(x0, x1) + radius));
+    const minY = Math.max(0, Math.floor(Math.min(y0, y1) - radius));
+    const maxY = Math.min(this.height - 1, Math.ceil(Math.max(y0, y1) + radius));
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const lengthSquared = dx * dx + dy * dy;
+    const radiusSquared = radius * radius;
+
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        let t = lengthSquared ? ((x - x0) * dx + (y - y0) * dy) / lengthSquared : 0;
+        t = Math.max(0, Math.min(1, t));
+        const distanceX = x - (x0 + t * dx);
+        const distanceY = y - (y0 + t * dy);
+        if (distanceX * distanceX + distanceY * distanceY <= radiusSquared) {
+          this.setPixel(x, y, color);
+        }
+      }
+    }
+  }
+
+  drawPolyline(points, thickness, color) {
+    for (let i = 1; i < points.length; i++) {
+      this.drawLine(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y, thickness, color);
+    }
+  }
+
+  fillRect(left, top, width, height, color) {
+    for (let y = Math.max(0, Math.ceil(top)); y <= Math.min(this.height - 1, Math.floor(top + height)); y++) {
+      for (let x = Math.max(0, Math.ceil(left)); x <= Math.min(this.width - 1, Math.floor(left + width)); x++) {
+        this.setPixel(x, y, color);
+      }
+    }
+  }
+
+  fillEllipse(left, top, width, height, color) {
+    const radiusX = width / 2;
+    const radiusY = height / 2;
+    const centerX = left + radiusX;
+    const centerY = top + radiusY;
+    if (!radiusX || !radiusY) {
+      return;
+    }
+    for (let y = Math.max(0, Math.ceil(top)); y <= Math.min(this.height - 1, Math.floor(top + height)); y++) {
+      for (let x = Math.max(0, Math.ceil(left)); x <= Math.min(this.width - 1, Math.floor(left + width)); x++) {
+        const dx = (x - centerX) / radiusX;
+        const dy = (y - centerY) / radiusY;
+        if (dx * dx + dy * dy <= 1) {
+          this.setPixel(x, y, color);
+        }
+      }
+    }
+  }
+
+  // scanline flood fill, a port of GameComponent.bucketTool
+  floodFill(startX, startY, color) {
+    const w = this.width;
+    const h = this.height;
+    startX = Math.round(startX);
+    startY = Math.round(startY);
+    if (startX < 0 || startY < 0 || startX >= w || startY >= h) {
+      return;
+    }
+    const [r, g, b] = color;
+    const bg = this.getPixel(startX, startY);
+    if (bg[0] == r && bg[1] == g && bg[2] == b) {
+      return;
+    }
+
+    const isBackground = (x, y) => {
+      const i = this.getIndex(x, y);
+      return this.data[i] === bg[0]
+        && this.data[i + 1] === bg[1]
+        && this.data[i + 2] === bg[2]
+        && this.data[i + 3] === bg[3];
+    };
+
+    const stack = [{ x: startX, y: startY }];
+    while (stack.length) {
+      let { x, y } = stack.pop();
+
+      if (!isBackground(x, y)) {
+        continue;
+      }
+
+      while (x > 0 && isBackground(x - 1, y)) {
+        x -= 1;
+      }
+
+      let up = true, down = true;
+      while (x < w && isBackground(x, y)) {
+        this.setPixel(x, y, [r, g, b, 255]);
+
+        if (y + 1 < h) {
+          if (up && isBackground(x, y + 1)) {
+            stack.push({ x, y: y + 1 });
+          }
+          up = !isBackground(x, y + 1);
+        }
+
+        if (y > 0) {
+          if (down && isBackground(x, y - 1)) {
+            stack.push({ x, y: y - 1 });
+          }
+          down = !isBackground(x, y - 1);
+        }
+
+        x += 1;
+      }
+    }
+  }
+}
+
+module.exports = Bitmap;
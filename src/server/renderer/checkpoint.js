@@ -0,0 +1,68 @@
+const renderer = require('./renderer');
+
+// late joiners get at most this many baked messages to draw on top of the checkpoint
+const CHECKPOINT_MESSAGES = 500;
+
+/**
+ * The baked messages of a StrokeList rendered into an image, so late joiners get one image and the few
+ * messages baked after it instead of the whole history. It only moves forward once enough messages were
+ * baked after it, and every time it does only those messages are drawn over the previous one.
+ *
+ * StrokeList starts a new list of baked messages when it is reset or bakes a clear, the checkpoint starts over then.
+ */
+class Checkpoint {
+
+  constructor(interval = CHECKPOINT_MESSAGES) {
+    this.interval = interval;
+    this.reset();
+  }
+
+  reset() {
+    this.baked = null;
+    this.length = 0;
+    this.bitmap = null;
+    this.dataUrl = null;
+  }
+
+  // only encoded once someone asks for it
+  get image() {
+    if (this.bitmap && !this.dataUrl) {
+      this.dataUrl = renderer.toDataUrl(renderer.toPng(this.bitmap));
+    }
+    return this.dataUrl;
+  }
+
+  update(baked) {
+    if (baked !== this.baked) {
+      this.reset();
+      this.baked = baked;
+    }
+    if (baked.length - this.length < this.interval) {
+      return;
+    }
+    this.bitmap = renderer.rasterize(baked.slice(this.length), this.bitmap);
+    this.dataUrl = null;
+    this.length = baked.length;
+  }
+
+  // baked messages the checkpoint does not cover
+  getTail(baked) {
+    return baked === this.baked ? baked.slice(this.length) : baked;
+  }
+
+  // the whole drawing, with the strokes that can still be undone
+  rasterize(strokeList) {
+    const baked = strokeList.getBakedMessages();
+    const bitmap = baked === this.baked ? this.bitmap : null;
+    const messages = strokeList.strokes.reduce((all, stroke) => all.concat(stroke.messages), this.getTail(baked));
+    return renderer.rasterize(messages, bitmap);
+  }
+
+  render(strokeList) {
+    return renderer.toPng(this.rasterize(strokeList));
+  }
+}
+
+Checkpoint.CHECKPOINT_MESSAGES = CHECKPOINT_MESSAGES;
+
+module.exports = Checkpoint;
@@ -0,0 +1,77 @@
+const Checkpoint = require('./checkpoint');
+const renderer = require('./renderer');
+const StrokeList = require('../../shared/drawing/stroke-list');
+
+const BLACK = [0, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+
+const dot = (x, stroke) => ({ tool: 'brush', color: '#000000', thickness: 6, x, y: 100, prevX: x, prevY: 100, stroke });
+
+describe('Checkpoint', () => {
+
+  let strokes;
+  let checkpoint;
+
+  beforeEach(() => {
+    strokes = new StrokeList(2);
+    checkpoint = new Checkpoint(2);
+  });
+
+  it('should wait for enough baked messages', () => {
+    [dot(100, 'a'), dot(200, 'b'), dot(300, 'c')].forEach(data => strokes.add(data));
+    checkpoint.update(strokes.getBakedMessages());
+
+    expect(checkpoint.image).toBe(null);
+    expect(checkpoint.getTail(strokes.getBakedMessages())).toEqual([dot(100, 'a')]);
+  });
+
+  it('should render the baked messages and leave the rest to the tail', () => {
+    [dot(100, 'a'), dot(200, 'b'), dot(300, 'c'), dot(400, 'd'), dot(500, 'e')].forEach(data => strokes.add(data));
+    checkpoint.update(strokes.getBakedMessages());
+
+    expect(checkpoint.image.startsWith('data:image/png;base64,')).toBe(true);
+    expect(checkpoint.bitmap.getPixel(100, 100)).toEqual(BLACK);
+    expect(checkpoint.bitmap.getPixel(300, 100)).toEqual(BLACK);
+    expect(checkpoint.getTail(strokes.getBakedMessages())).toEqual([]);
+
+    strokes.add(dot(600, 'f'));
+    checkpoint.update(strokes.getBakedMessages());
+
+    expect(checkpoint.getTail(strokes.getBakedMessages())).toEqual([dot(400, 'd')]);
+    expect(checkpoint.bitmap.getPixel(400, 100)).toEqual(WHITE);
+  });
+
+  it('should only draw what was baked after it', () => {
+    [dot(100, 'a'), dot(200, 'b'), dot(300, 'c'), dot(400, 'd')].forEach(data => strokes.add(data));
+    checkpoint.update(strokes.getBakedMessages());
+    spyOn(renderer, 'rasterize').and.callThrough();
+
+    [dot(500, 'e'), dot(600, 'f')].forEach(data => strokes.add(data));
+    checkpoint.update(strokes.getBakedMessages());
+
+    expect(renderer.rasterize.calls.mostRecent().args[0]).toEqual([dot(300, 'c'), dot(400, 'd')]);
+    expect(checkpoint.bitmap.getPixel(100, 100)).toEqual(BLACK);
+    expect(checkpoint.bitmap.getPixel(400, 100)).toEqual(BLACK);
+  });
+
+  it('should start over once a clear is baked', () => {
+    [dot(100, 'a'), dot(200, 'b'), dot(300, 'c'), dot(400, 'd')].forEach(data => strokes.add(data));
+    checkpoint.update(strokes.getBakedMessages());
+    [{ tool: 'clear', stroke: 'e' }, dot(500, 'f'), dot(600, 'g')].forEach(data => strokes.add(data));
+    checkpoint.update(strokes.getBakedMessages());
+
+    expect(checkpoint.image).toBe(null);
+    expect(checkpoint.getTail(strokes.getBakedMessages())).toEqual([{ tool: 'clear', stroke: 'e' }]);
+  });
+
+  it('should render the whole drawing over the checkpoint', () => {
+    [dot(100, 'a'), dot(200, 'b'), dot(300, 'c'), dot(400, 'd'), dot(500, 'e')].forEach(data => strokes.add(data));
+    checkpoint.update(strokes.getBakedMessages());
+    strokes.undo();
+
+    const png = checkpoint.render(strokes);
+    const expected = renderer.render(strokes.getMessages());
+
+    expect(png.equals(expected)).toBe(true);
+  });
+});
@@ -1,9 +1,187 @@
+const { PNG } = require('pngjs');
+const colorString = require('color-string');
 
+const Bitmap = require('./bitmap');
+const Shapes = require('../../shared/drawing/shapes');
+const Colors = require('../../shared/drawing/colors');
+const Smoothing = require('../../shared/drawing/smoothing');
+const DrawData = require('../../shared/drawing/draw-data');
 
+const { CANVAS_WIDTH, CANVAS_HEIGHT } = DrawData;
+
+const WHITE = [255, 255, 255, 255];
+
+// what a message can draw over, shapes stay within the dragged box
+const getArea = (data) => {
+  const { x, y, thickness } = data;
+  const prevX = typeof data.prevX === 'number' ? data.prevX : x;
+  const prevY = typeof data.prevY === 'number' ? data.prevY : y;
+  const margin = (thickness || 1) / 2 + 1;
+  return {
+    left: Math.min(x, prevX) - margin,
+    top: Math.min(y, prevY) - margin,
+    right: Math.max(x, prevX) + margin,
+    bottom: Math.max(y, prevY) + margin
+  };
+};
+
+const joinAreas = (a, b) => ({
+  left: Math.min(a.left, b.left),
+  top: Math.min(a.top, b.top),
+  right: Math.max(a.right, b.right),
+  bottom: Math.max(a.bottom, b.bottom)
+});
+
+const getCurveArea = curve => curve
+  .map(({ x, y, thickness }) => getArea({ x, y, thickness }))
+  .reduce(joinAreas);
+
+// consecutive messages of the same stroke, messages without a stroke id are each on their own
+const groupStrokes = (messages) => {
+  const strokes = [];
+  let last = null;
+  messages.forEach(data => {
+    if (last && data.stroke && last[0].stroke === data.stroke && last[0].tool === data.tool) {
+      last.push(data);
+    } else {
+      last = [data];
+      strokes.push(last);
+    }
+  });
+  return strokes;
+};
+
+/**
+ * Rasterizes draw messages the same way CanvasPainter paints them.
+ */
 class Renderer {
 
+  get width() {
+    return CANVAS_WIDTH;
+  }
+
+  get height() {
+    return CANVAS_HEIGHT;
+  }
+
+  // messages come from StrokeList.getMessages, so undone strokes are already left out,
+  // they are drawn over a copy of base when given, unless they clear it.
+  // Drawings recorded before rooms checked draw messages may draw anything, so they are kept within the limits here too
+  rasterize(messages, base = null) {
+    const drawable = messages.map(DrawData.sanitize).filter(data => data);
+    let history = drawable;
+    const lastClear = drawable.map(({ tool }) => tool).lastIndexOf('clear');
+    if (lastClear >= 0) {
+      history = drawable.slice(lastClear + 1);
+    }
+
+    const bitmap = new Bitmap(CANVAS_WIDTH, CANVAS_HEIGHT);
+    if (base && lastClear < 0) {
+      base.data.copy(bitmap.data);
+    } else {
+      bitmap.fill(WHITE);
+    }
+    // translucent strokes are drawn opaque into the layer and blended in once the stroke ends
+    const layer = new Bitmap(CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    groupStrokes(history).forEach(stroke => {
+      if (!Colors.isTranslucent(stroke[0])) {
+        this.drawStroke(bitmap, stroke);
+        return;
+      }
+      const area = this.drawStroke(layer, stroke);
+      if (area) {
+        bitmap.blend(layer, Colors.getOpacity(stroke[0]), area);
+        layer.clear(area);
+      }
+    });
+    return bitmap;
+  }
+
+  // returns the area the stroke was drawn over, brush and eraser strokes are drawn as curves through their points
+  drawStroke(bitmap, messages) {
+    if (!Smoothing.isSmoothed(messages[0])) {
+      const drawn = messages.filter(data => typeof data.x === 'number' && typeof data.y === 'number');
+      drawn.forEach(data => this.draw(bitmap, data));
+      return drawn.length ? drawn.map(getArea).reduce(joinAreas) : null;
+    }
+    const color = this.getColor(messages[0]);
+    const curves = Smoothing.getCurves(messages);
+    if (!color || !curves.length) {
+      return null;
+    }
+    curves.forEach(curve => this.drawCurve(bitmap, curve, color));
+    return curves.map(getCurveArea).reduce(joinAreas);
+  }
+
+  // pen strokes get thicker and thinner along the curve, so every piece is drawn with its own thickness
+  drawCurve(bitmap, curve, color) {
+    if (curve.length === 1) {
+      bitmap.drawDot(curve[0].x, curve[0].y, curve[0].thickness, color);
+      return;
+    }
+    for (let i = 1; i < curve.length; i++) {
+      const start = curve[i - 1];
+      const end = curve[i];
+      bitmap.drawLine(start.x, start.y, end.x, end.y, (start.thickness + end.thickness) / 2, color);
+    }
+  }
+
+  getColor(data) {
+    const rgb = data.tool === 'eraser' ? WHITE : colorString.get.rgb(data.color);
+    return rgb && [rgb[0], rgb[1], rgb[2], 255];
+  }
+
+  // brush and eraser strokes go through drawStroke
+  draw(bitmap, data) {
+    const { tool, x, y } = data;
+    if (typeof x !== 'number' || typeof y !== 'number') {
+      return;
+    }
+    const color = this.getColor(data);
+    if (!color) {
+      return;
+    }
+    if (tool === 'bucket') {
+      bitmap.floodFill(x, y, color);
+    } else if (Shapes.isShape(tool)) {
+      this.drawShape(bitmap, data, color);
+    }
+  }
+
+  drawShape(bitmap, data, color) {
+    const { tool, x, y, prevX, prevY, thickness } = data;
+    if (typeof prevX !== 'number' || typeof prevY !== 'number') {
+      return;
+    }
+    const { left, top, width, height } = Shapes.getBounds(data);
+    if (Shapes.isRectangle(tool)) {
+      if (Shapes.isFilled(tool)) {
+        bitmap.fillRect(left, top, width, height, color);
+      }
+      bitmap.drawPolyline([
+        { x: left, y: top }, { x: left + width, y: top }, { x: left + width, y: top + height }, { x: left, y: top + height }, { x: left, y: top }
+      ], thickness, color);
+    } else if (Shapes.isEllipse(tool)) {
+      if (Shapes.isFilled(tool)) {
+        bitmap.fillEllipse(left, top, width, height, color);
+      }
+      bitmap.drawPolyline(Shapes.getEllipsePoints(data), thickness, color);
+    } else {
+      bitmap.drawLine(prevX, prevY, x, y, thickness, color);
+    }
+  }
+
   render(messages) {
+    return this.toPng(this.rasterize(messages));
+  }
+
+  toPng(bitmap) {
+    return PNG.sync.write({ width: bitmap.width, height: bitmap.height, data: bitmap.data });
+  }
 
+  toDataUrl(png) {
+    return `data:image/png;base64,${png.toString('base64')}`;
   }
 }
 
@@ -0,0 +1,166 @@
+const renderer = require('./renderer');
+const StrokeList = require('../../shared/drawing/stroke-list');
+
+const BLACK = [0, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+const RED = [255, 0, 0, 255];
+
+const brush = (x, y, prevX = x, prevY = y, thickness = 6, color = '#000000') => ({ tool: 'brush', color, thickness, x, y, prevX, prevY });
+
+describe('Renderer', () => {
+
+  it('should render an empty drawing white', () => {
+    const bitmap = renderer.rasterize([]);
+
+    expect(bitmap.width).toBe(800);
+    expect(bitmap.height).toBe(600);
+    expect(bitmap.getPixel(0, 0)).toEqual(WHITE);
+    expect(bitmap.getPixel(799, 599)).toEqual(WHITE);
+  });
+
+  it('should draw brush strokes with round caps', () => {
+    const bitmap = renderer.rasterize([brush(100, 100), brush(200, 100, 100, 100)]);
+
+    expect(bitmap.getPixel(150, 100)).toEqual(BLACK);
+    expect(bitmap.getPixel(150, 103)).toEqual(BLACK);
+    expect(bitmap.getPixel(150, 104)).toEqual(WHITE);
+    expect(bitmap.getPixel(202, 101)).toEqual(BLACK);
+    expect(bitmap.getPixel(204, 104)).toEqual(WHITE);
+  });
+
+  it('should draw strokes as curves through their points', () => {
+    const bitmap = renderer.rasterize([
+      brush(100, 100), brush(200, 100, 100, 100), brush(200, 200, 200, 100)
+    ].map(data => Object.assign({ stroke: 'a' }, data)));
+
+    expect(bitmap.getPixel(120, 100)).toEqual(BLACK);
+    expect(bitmap.getPixel(200, 100)).toEqual(WHITE);
+    expect(bitmap.getPixel(187, 112)).toEqual(BLACK);
+    expect(bitmap.getPixel(200, 190)).toEqual(BLACK);
+  });
+
+  it('should draw pen strokes thicker where they were pressed harder', () => {
+    const bitmap = renderer.rasterize([
+      brush(100, 100, 100, 100, 2), brush(200, 100, 100, 100, 2), brush(300, 100, 200, 100, 20)
+    ].map(data => Object.assign({ stroke: 'a' }, data)));
+
+    expect(bitmap.getPixel(120, 105)).toEqual(WHITE);
+    expect(bitmap.getPixel(290, 105)).toEqual(BLACK);
+  });
+
+  it('should erase with white', () => {
+    const bitmap = renderer.rasterize([
+      brush(100, 100), brush(200, 100, 100, 100),
+      { tool: 'eraser', color: '#000000', thickness: 16, x: 150, y: 100, prevX: 150, prevY: 100 }
+    ]);
+
+    expect(bitmap.getPixel(150, 100)).toEqual(WHITE);
+    expect(bitmap.getPixel(120, 100)).toEqual(BLACK);
+  });
+
+  it('should fill enclosed areas with the bucket', () => {
+    const bitmap = renderer.rasterize([
+      brush(100, 100), brush(200, 100, 100, 100), brush(200, 200, 200, 100),
+      brush(100, 200, 200, 200), brush(100, 100, 100, 200),
+      { tool: 'bucket', color: '#ff0000', x: 150, y: 150 }
+    ]);
+
+    expect(bitmap.getPixel(150, 150)).toEqual(RED);
+    expect(bitmap.getPixel(110, 190)).toEqual(RED);
+    expect(bitmap.getPixel(100, 150)).toEqual(BLACK);
+    expect(bitmap.getPixel(50, 50)).toEqual(WHITE);
+  });
+
+  it('should leave out undone strokes', () => {
+    const strokes = new StrokeList();
+    [brush(100, 100), brush(300, 300), brush(350, 300, 300, 300), brush(400, 300, 350, 300)]
+      .forEach((data, i) => strokes.add(Object.assign({ stroke: i ? 'b' : 'a' }, data)));
+    strokes.undo();
+
+    const bitmap = renderer.rasterize(strokes.getMessages());
+
+    expect(bitmap.getPixel(100, 100)).toEqual(BLACK);
+    expect(bitmap.getPixel(300, 300)).toEqual(WHITE);
+    expect(bitmap.getPixel(350, 300)).toEqual(WHITE);
+  });
+
+  it('should draw outlined and filled shapes', () => {
+    const shape = (tool, prevX, prevY, x, y) => ({ tool, color: '#ff0000', thickness: 4, x, y, prevX, prevY });
+    const bitmap = renderer.rasterize([
+      shape('line', 10, 10, 90, 10),
+      shape('rectangle', 100, 100, 200, 200),
+      shape('filled-rectangle', 400, 200, 300, 100),
+      shape('ellipse', 100, 300, 300, 400),
+      shape('filled-ellipse', 400, 300, 600, 400)
+    ]);
+
+    expect(bitmap.getPixel(50, 11)).toEqual(RED);
+    expect(bitmap.getPixel(50, 14)).toEqual(WHITE);
+    expect(bitmap.getPixel(100, 150)).toEqual(RED);
+    expect(bitmap.getPixel(150, 200)).toEqual(RED);
+    expect(bitmap.getPixel(150, 150)).toEqual(WHITE);
+    expect(bitmap.getPixel(350, 150)).toEqual(RED);
+    expect(bitmap.getPixel(200, 300)).toEqual(RED);
+    expect(bitmap.getPixel(100, 350)).toEqual(RED);
+    expect(bitmap.getPixel(200, 350)).toEqual(WHITE);
+    expect(bitmap.getPixel(105, 305)).toEqual(WHITE);
+    expect(bitmap.getPixel(500, 350)).toEqual(RED);
+    expect(bitmap.getPixel(405, 305)).toEqual(WHITE);
+  });
+
+  it('should blend translucent strokes in evenly', () => {
+    const translucent = (x, prevX, stroke) => Object.assign(brush(x, 100, prevX, 100, 10, '#ff0000'), { opacity: 0.5, stroke });
+    const bitmap = renderer.rasterize([
+      translucent(100, 100, 'a'), translucent(150, 100, 'a'), translucent(200, 150, 'a'),
+      translucent(150, 150, 'b')
+    ]);
+    const halfRed = [255, 128, 128, 255];
+
+    expect(bitmap.getPixel(125, 100)).toEqual(halfRed);
+    expect(bitmap.getPixel(150, 100)).toEqual([255, 64, 64, 255]);
+    expect(bitmap.getPixel(175, 100)).toEqual(halfRed);
+    expect(bitmap.getPixel(250, 100)).toEqual(WHITE);
+  });
+
+  it('should draw over a copy of the base bitmap', () => {
+    const base = renderer.rasterize([brush(100, 100)]);
+    const bitmap = renderer.rasterize([brush(300, 300)], base);
+
+    expect(bitmap.getPixel(100, 100)).toEqual(BLACK);
+    expect(bitmap.getPixel(300, 300)).toEqual(BLACK);
+    expect(base.getPixel(300, 300)).toEqual(WHITE);
+    expect(renderer.rasterize([{ tool: 'clear' }], base).getPixel(100, 100)).toEqual(WHITE);
+  });
+
+  it('should clear the drawing', () => {
+    const bitmap = renderer.rasterize([brush(100, 100), { tool: 'clear' }, brush(300, 300)]);
+
+    expect(bitmap.getPixel(100, 100)).toEqual(WHITE);
+    expect(bitmap.getPixel(300, 300)).toEqual(BLACK);
+  });
+
+  it('should ignore messages with invalid colors', () => {
+    const bitmap = renderer.rasterize([brush(100, 100, 100, 100, 6, 'no color')]);
+
+    expect(bitmap.getPixel(100, 100)).toEqual(WHITE);
+  });
+
+  it('should keep drawings recorded before draw messages were checked within the limits', () => {
+    const bitmap = renderer.rasterize([
+      brush(100, 100, 100, 100, 100000),
+      brush(1e9, 300, -1e9, 300, 6)
+    ]);
+
+    expect(bitmap.getPixel(100 + 31, 100)).toEqual(BLACK);
+    expect(bitmap.getPixel(100 + 34, 100)).toEqual(WHITE);
+    expect(bitmap.getPixel(0, 300)).toEqual(BLACK);
+    expect(bitmap.getPixel(799, 300)).toEqual(BLACK);
+  });
+
+  it('should encode PNG images', () => {
+    const png = renderer.render([brush(100, 100)]);
+
+    expect(png.slice(1, 4).toString()).toBe('PNG');
+    expect(renderer.toDataUrl(png).startsWith('data:image/png;base64,')).toBe(true);
+  });
+});
@@ -0,0 +1,167 @@
+const { GifWriter } = require('omggif');
+
+const renderer = require('./renderer');
+const Checkpoint = require('./checkpoint');
+const StrokeList = require('../../shared/drawing/stroke-list');
+
+const DEFAULT_FRAMES = 30;
+const MAX_FRAMES = 60;
+
+// in hundredths of a second
+const FRAME_DELAY = 10;
+const LAST_FRAME_DELAY = 300;
+
+const getDuration = (events) => events.length ? events[events.length - 1].time : 0;
+
+// the number of frames asked for, within what the server is willing to render
+const getFrameCount = count => Math.max(1, Math.min(MAX_FRAMES, Math.round(count) || DEFAULT_FRAMES));
+
+/**
+ * Renders a recorded drawing, a list of { time, data } events with draw messages as the room applied them,
+ * at evenly spaced times. The last frame is always the finished drawing.
+ *
+ * Frames are drawn over the previous one with only what was drawn since. After an undo or redo,
+ * and for the last frame, the strokes that still could be undone are drawn over a checkpoint of the rest.
+ * A stroke drawn across two frames may look a bit different where it was cut until the last frame.
+ */
+// returns a function rendering the next frame each time it is called, null after the last one
+const createFrameRenderer = (events, count = DEFAULT_FRAMES) => {
+  count = getFrameCount(count);
+  const duration = getDuration(events);
+  const strokes = new StrokeList();
+  const checkpoint = new Checkpoint(1);
+  let next = 0;
+  let i = 0;
+  let previous = null;
+  return () => {
+    if (i >= count) {
+      return null;
+    }
+    i++;
+    const time = i === count ? Infinity : duration * i / count;
+    const added = [];
+    let isUndone = false;
+    while (next < events.length && events[next].time <= time) {
+      const { data } = events[next++];
+      strokes.apply(data);
+      if (data.tool === 'undo' || data.tool === 'redo') {
+        isUndone = true;
+      } else {
+        added.push(data);
+      }
+    }
+    checkpoint.update(strokes.getBakedMessages());
+    previous = previous && !isUndone && i < count ? renderer.rasterize(added, previous) : checkpoint.rasterize(strokes);
+    return previous;
+  };
+};
+
+const getFrames = (events, count = DEFAULT_FRAMES) => {
+  const renderFrame = createFrameRenderer(events, count);
+  const frames = [];
+  let frame;
+  while ((frame = renderFrame())) {
+    frames.push(frame);
+  }
+  return frames;
+};
+
+// each frame has its own palette of the colors in it, drawings only contain the few colors players picked
+const buildPalette = ({ data }) => {
+  const palette = new Map();
+  for (let i = 0; i < data.length && palette.size < 256; i += 4) {
+    const color = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    if (!palette.has(color)) {
+      palette.set(color, palette.size);
+    }
+  }
+  return palette;
+};
+
+const findClosestColor = (palette, color) => {
+  let closest = 0;
+  let closestDistance = Infinity;
+  palette.forEach((index, candidate) => {
+    const dr = ((color >> 16) & 255) - ((candidate >> 16) & 255);
+    const dg = ((color >> 8) & 255) - ((candidate >> 8) & 255);
+    const db = (color & 255) - (candidate & 255);
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < closestDistance) {
+      closest = index;
+      closestDistance = distance;
+    }
+  });
+  return closest;
+};
+
+const toIndexedPixels = (bitmap, palette) => {
+  const pixels = new Uint8Array(bitmap.width * bitmap.height);
+  // colors that did not fit the palette are only looked up once
+  const closest = new Map();
+  const { data } = bitmap;
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    const color = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let index = palette.get(color);
+    if (index === undefined) {
+      index = closest.has(color) ? closest.get(color) : findClosestColor(palette, color);
+      closest.set(color, index);
+    }
+    pixels[p] = index;
+  }
+  return pixels;
+};
+
+const toColors = (palette) => {
+  let size = 2;
+  while (size < palette.size) {
+    size *= 2;
+  }
+  const colors = new Array(size).fill(0);
+  palette.forEach((index, color) => colors[index] = color);
+  return colors;
+};
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+// frames are encoded one at a time into the same buffer, their output goes to onChunk as soon as
+// it is ready and the promise resolves with the whole GIF, other work gets its turn between frames
+const toGif = (events, count = DEFAULT_FRAMES, onChunk = () => {}) => {
+  const { width, height } = renderer;
+  // a frame never takes more than this, lzw codes are 12 bits at most
+  const buffer = Buffer.alloc(1024 + 256 * 3 + width * height * 2);
+  const writer = new GifWriter(buffer, width, height, { loop: 0 });
+  const chunks = [];
+  const addChunk = (chunk) => {
+    chunks.push(chunk);
+    onChunk(chunk);
+  };
+  const renderFrame = createFrameRenderer(events, count);
+  const frameCount = getFrameCount(count);
+
+  const encodeFrames = (i) => {
+    const frame = renderFrame();
+    if (!frame) {
+      addChunk(Buffer.from([0x3b]));
+      return Buffer.concat(chunks);
+    }
+    const palette = buildPalette(frame);
+    const delay = i === frameCount - 1 ? LAST_FRAME_DELAY : FRAME_DELAY;
+    writer.setOutputBufferPosition(0);
+    writer.addFrame(0, 0, width, height, toIndexedPixels(frame, palette), { delay, palette: toColors(palette) });
+    addChunk(Buffer.from(buffer.slice(0, writer.getOutputBufferPosition())));
+    return nextTick().then(() => encodeFrames(i + 1));
+  };
+  return Promise.resolve()
+    .then(() => {
+      addChunk(Buffer.from(buffer.slice(0, writer.getOutputBufferPosition())));
+      return encodeFrames(0);
+    });
+};
+
+module.exports = {
+  DEFAULT_FRAMES,
+  MAX_FRAMES,
+  getFrameCount,
+  getFrames,
+  toGif
+};
@@ -0,0 +1,81 @@
+const { GifReader } = require('omggif');
+
+const timelapse = require('./timelapse');
+const renderer = require('./renderer');
+const StrokeList = require('../../shared/drawing/stroke-list');
+
+const BLACK = [0, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+
+const brush = (x, y, stroke, color = '#000000') => ({ tool: 'brush', color, thickness: 6, x, y, prevX: x, prevY: y, stroke });
+
+const events = [
+  { time: 0, data: brush(100, 100, 'a') },
+  { time: 1000, data: brush(200, 200, 'b', '#ff0000') },
+  { time: 2000, data: { tool: 'undo', stroke: 'b' } },
+  { time: 3000, data: brush(300, 300, 'c') }
+];
+
+describe('Timelapse', () => {
+
+  it('should render the drawing at evenly spaced times', () => {
+    const frames = timelapse.getFrames(events, 3);
+
+    expect(frames.length).toBe(3);
+    expect(frames[0].getPixel(100, 100)).toEqual(BLACK);
+    expect(frames[0].getPixel(200, 200)).toEqual([255, 0, 0, 255]);
+    expect(frames[1].getPixel(200, 200)).toEqual(WHITE);
+    expect(frames[1].getPixel(300, 300)).toEqual(WHITE);
+    expect(frames[2].getPixel(300, 300)).toEqual(BLACK);
+  });
+
+  it('should limit the number of frames', () => {
+    expect(timelapse.getFrames(events, 1000).length).toBe(timelapse.MAX_FRAMES);
+    expect(timelapse.getFrames([], 0).length).toBe(timelapse.DEFAULT_FRAMES);
+  });
+
+  it('should render frames after an undo the same as the whole drawing', () => {
+    const many = [];
+    for (let i = 0; i < 40; i++) {
+      many.push({ time: i * 100, data: brush(10 + i * 10, 100, `s${i}`) });
+    }
+    many.push({ time: 4000, data: { tool: 'undo', stroke: 's39' } });
+    const frames = timelapse.getFrames(many, 4);
+    const strokes = new StrokeList();
+    many.forEach(({ data }) => strokes.apply(data));
+
+    expect(frames[3].data.equals(renderer.rasterize(strokes.getMessages()).data)).toBe(true);
+    expect(frames[3].getPixel(400, 100)).toEqual(WHITE);
+    expect(frames[3].getPixel(390, 100)).toEqual(BLACK);
+  });
+
+  it('should encode an animated GIF', (done) => {
+    timelapse.toGif(events, 3)
+      .then(gif => {
+        const reader = new GifReader(gif);
+        const pixels = new Uint8Array(reader.width * reader.height * 4);
+        reader.decodeAndBlitFrameRGBA(2, pixels);
+
+        expect(gif.slice(0, 6).toString()).toBe('GIF89a');
+        expect(reader.numFrames()).toBe(3);
+        expect(reader.loopCount()).toBe(0);
+        const i = (300 * reader.width + 300) * 4;
+        expect([...pixels.slice(i, i + 4)]).toEqual(BLACK);
+        reader.decodeAndBlitFrameRGBA(0, pixels);
+        const j = (200 * reader.width + 200) * 4;
+        expect([...pixels.slice(j, j + 4)]).toEqual([255, 0, 0, 255]);
+      })
+      .then(done, done.fail);
+  });
+
+  it('should hand out the GIF while it is encoded', (done) => {
+    const chunks = [];
+    timelapse.toGif(events, 3, chunk => chunks.push(chunk))
+      .then(gif => {
+        expect(chunks.length).toBe(5);
+        expect(chunks[0].slice(0, 6).toString()).toBe('GIF89a');
+        expect(Buffer.concat(chunks).equals(gif)).toBe(true);
+      })
+      .then(done, done.fail);
+  });
+});
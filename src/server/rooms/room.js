@@ -0,0 +1,414 @@
+const EventEmitter = require('events');
+const uuid = require('uuid/v4');
+const crypto = require('crypto');
+
+const Game = require('../game/game');
+const systemClock = require('../game/clock');
+const GameHistory = require('../history/game-history');
+const PlayerStats = require('../history/player-stats');
+const WordStats = require('../history/word-stats');
+const Checkpoint = require('../renderer/checkpoint');
+const StrokeList = require('../../shared/drawing/stroke-list');
+const StrokeFrames = require('../../shared/drawing/stroke-frames');
+const DrawData = require('../../shared/drawing/draw-data');
+
+const DrawMessage = require('../../shared/messages/draw-message');
+const StrokeMessage = require('../../shared/messages/stroke-message');
+const ChatMessage = require('../../shared/messages/chat-message');
+const PlayerDisconnectedMessage = require('../../shared/messages/player-disconnected-message');
+const RoomMessage = require('../../shared/messages/room-message');
+const CanvasMessage = require('../../shared/messages/canvas-message');
+
+const CHAT_HISTORY_LENGTH = 20;
+
+// words drawn this many times without anyone guessing them go back to moderators, 0 turns it off
+const WORD_FLAG_AFTER_ROUNDS = Number(process.env.WORD_FLAG_AFTER_ROUNDS || 5);
+
+// how long a seat is held for a player whose connection dropped
+const RECONNECT_GRACE_PERIOD = 30 * 1000;
+// disconnect reasons of connections that dropped, players who left on purpose do not get their seat held
+const CONNECTION_LOSSES = ['transport close', 'transport error', 'ping timeout'];
+// a room nobody joined is removed after this long
+const UNJOINED_ROOM_LIFETIME = 60 * 1000;
+
+const INVITE_CODE_LENGTH = 6;
+const INVITE_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateInviteCode = () => {
+  return [...crypto.randomBytes(INVITE_CODE_LENGTH)]
+    .map(byte => INVITE_CODE_CHARACTERS[byte % INVITE_CODE_CHARACTERS.length])
+    .join('');
+};
+
+/**
+ * Connects sockets of the players in a room to its game and keeps what a late joiner needs to catch up.
+ * Emits 'empty' once the last player left and no seat is held for a reconnecting one,
+ * or when nobody joined the room soon enough after it was created.
+ *
+ * models are { UserModel, WordModel, DrawingModel }, passed in like the clock so rooms can be tested without a database.
+ */
+class Room extends EventEmitter {
+
+  constructor(io, models, name, host, isPrivate = false, clock = systemClock) {
+    super();
+    const { UserModel, WordModel } = models;
+    this.io = io;
+    this.models = models;
+    this.clock = clock;
+    this.id = uuid();
+    this.name = name;
+    this.host = host;
+    this.isPrivate = isPrivate;
+    this.inviteCode = generateInviteCode();
+
+    this.sockets = {};
+    this.reconnectTimeouts = {};
+    this.strokeList = new StrokeList();
+    this.checkpoint = new Checkpoint();
+    this.recording = null;
+    this.chatHistory = [];
+
+    this.unjoinedTimeout = clock.setTimeout(() => this.emit('empty'), UNJOINED_ROOM_LIFETIME);
+
+    const wordSource = {
+      getRandomWords: (count, settings) => WordModel.getRandomWords(count, settings.wordLists, settings.categories, settings.language)
+    };
+    this.game = new Game(this, wordSource, clock);
+    this.history = new GameHistory(this.game, name);
+    this.stats = new PlayerStats(this.game, UserModel);
+    this.stats.on('ratings', (ratings, previousRatings) => this.onRatingsChange(ratings, previousRatings));
+    this.wordStats = new WordStats(this.game, WordModel, WORD_FLAG_AFTER_ROUNDS);
+    this.game.on('start', (gameId, playerNames) => {
+      UserModel.where({ login: { $in: playerNames } })
+        .updateMany({ $set: { lastGameId: gameId, score: 0 } })
+        .then(() => {
+        }); // :(
+      this.sendRoomDetails();
+    });
+    this.game.on('round-start', () => {
+      this.strokeList.reset();
+      this.checkpoint.reset();
+      this.recording = { startedAt: Date.now(), events: [] };
+    });
+    this.game.on('score', (login, score) => {
+      UserModel.findOne({ login })
+        .update({ $set: { score } })
+        .then(() => {
+        });
+    });
+    this.game.on('round-end', (drawingPlayerName, word) => this.saveDrawing(drawingPlayerName, word));
+    this.game.on('end', () => this.sendRoomDetails());
+  }
+
+  get settings() {
+    return this.game.settings;
+  }
+
+  getInfo() {
+    return {
+      id: this.id,
+      name: this.name,
+      host: this.host,
+      isPrivate: this.isPrivate,
+      players: Object.keys(this.sockets).length,
+      rating: this.game.rating,
+      language: this.settings.language,
+      state: this.game.state
+    };
+  }
+
+  getDetails() {
+    return Object.assign(this.getInfo(), {
+      inviteCode: this.inviteCode,
+      settings: this.settings
+    });
+  }
+
+  isEmpty() {
+    return Object.keys(this.sockets).length === 0 && Object.keys(this.reconnectTimeouts).length === 0;
+  }
+
+  dispose() {
+    this.clock.clearTimeout(this.unjoinedTimeout);
+    Object.keys(this.reconnectTimeouts).forEach(name => this.clock.clearTimeout(this.reconnectTimeouts[name]));
+    this.reconnectTimeouts = {};
+    this.game.dispose();
+  }
+
+  getPlayerName(socket) {
+    return Object.keys(this.sockets).find(name => this.sockets[name] === socket);
+  }
+
+  // private rooms need the invite code, except for the host and players who already have a seat
+  isInvited(login, inviteCode) {
+    if (!this.isPrivate || login === this.host || this.game.players[login] || this.reconnectTimeouts[login]) {
+      return true;
+    }
+    return typeof inviteCode === 'string' && inviteCode.trim().toUpperCase() === this.inviteCode;
+  }
+
+  addPlayer(socket, user) {
+    let { login, score, lastGameId } = user;
+
+    if (lastGameId !== this.game.gameId) {
+      score = 0;
+      user.lastGameId = this.game.gameId;
+      user.save().then(() => {
+      });
+    }
+
+    this.clock.clearTimeout(this.unjoinedTimeout);
+    const isReconnecting = !!this.reconnectTimeouts[login] || !!this.game.players[login];
+    this.clock.clearTimeout(this.reconnectTimeouts[login]);
+    delete this.reconnectTimeouts[login];
+
+    const previousSocket = this.sockets[login];
+
+    socket.join(this.id);
+    this.sockets[login] = socket;
+
+    if (previousSocket) {
+      previousSocket.disconnect();
+    }
+
+    if (!this.sockets[this.host] && !this.reconnectTimeouts[this.host]) {
+      this.host = login;
+    }
+
+    const { strokeList, checkpoint } = this;
+    if (!strokeList.isEmpty || strokeList.undone.length) {
+      const baked = strokeList.getBakedMessages();
+      checkpoint.update(baked);
+      const payload = new CanvasMessage(checkpoint.image, strokeList.strokes, strokeList.undone, checkpoint.getTail(baked)).getPayload();
+      socket.emit(CanvasMessage.type, payload);
+    }
+    this.chatHistory.forEach((data) => socket.emit(ChatMessage.type, data));
+
+    // a returning player keeps score and turn, the game only needs to catch them up
+    if (!isReconnecting || !this.game.resumePlayer(login)) {
+      this.game.addPlayer(login, score, user.rating);
+    }
+
+    this.sendChatMessageToAllPlayers(isReconnecting ? `${login} reconnected` : `${login} connected`);
+    this.sendRoomDetails();
+  }
+
+  // keeps the seat of a player whose connection dropped until the grace period runs out
+  disconnectPlayer(socket, reason) {
+    const name = this.getPlayerName(socket);
+    if (!name) {
+      return;
+    }
+    if (!CONNECTION_LOSSES.includes(reason)) {
+      this.removePlayer(name);
+      return;
+    }
+    delete this.sockets[name];
+    this.game.setAway(name);
+    console.log(`Player ${name} lost connection to room ${this.name}`);
+    this.sendChatMessageToAllPlayers(`${name} lost connection`);
+    this.reconnectTimeouts[name] = this.clock.setTimeout(() => this.removePlayer(name), RECONNECT_GRACE_PERIOD);
+    this.sendRoomDetails();
+  }
+
+  removePlayer(name) {
+    this.clock.clearTimeout(this.reconnectTimeouts[name]);
+    delete this.reconnectTimeouts[name];
+    delete this.sockets[name];
+    this.io.to(this.id).emit(PlayerDisconnectedMessage.type, new PlayerDisconnectedMessage(name).getPayload());
+    console.log(`Player ${name} left room ${this.name}`);
+    this.sendChatMessageToAllPlayers(`${name} disconnected`);
+
+    const remainingPlayers = Object.keys(this.sockets);
+    if (name === this.host && remainingPlayers.length) {
+      this.host = remainingPlayers[0];
+      this.sendChatMessageToAllPlayers(`${this.host} is the new host`);
+    }
+
+    this.game.removePlayer(name);
+    this.sendRoomDetails();
+    if (this.isEmpty()) {
+      this.emit('empty');
+    }
+  }
+
+  broadcast(message) {
+    this.io.to(this.id).emit(message.getType(), message.getPayload());
+    if (message.getType() === ChatMessage.type) {
+      this.addToChatHistory(message.getPayload());
+    }
+  }
+
+  broadcastExcept(playerName, message) {
+    const socket = this.sockets[playerName];
+    if (!socket) {
+      this.broadcast(message);
+      return;
+    }
+    socket.broadcast.to(this.id).emit(message.getType(), message.getPayload());
+  }
+
+  send(playerName, message) {
+    const socket = this.sockets[playerName];
+    if (socket) {
+      socket.emit(message.getType(), message.getPayload());
+    }
+  }
+
+  renderCanvas() {
+    return this.checkpoint.render(this.strokeList);
+  }
+
+  // keeps what happened on the canvas during a round for replays
+  record(data) {
+    if (this.recording) {
+      this.recording.events.push({ time: Date.now() - this.recording.startedAt, data });
+    }
+  }
+
+  saveDrawing(drawingPlayerName, word) {
+    const recording = this.recording;
+    this.recording = null;
+    if (!recording || !recording.events.length) {
+      return;
+    }
+    const { events } = recording;
+    new this.models.DrawingModel({
+      room: this.name,
+      gameId: this.game.gameId,
+      round: this.game.roundsPlayed + 1,
+      roundId: this.history.roundId,
+      drawer: drawingPlayerName,
+      word,
+      duration: events[events.length - 1].time,
+      events
+    })
+      .save()
+      .then(drawing => this.sendChatMessageToAllPlayers(
+        `Watch the <a target="_blank" href="/drawings/${drawing.id}">replay</a> of ${drawingPlayerName}'s ${word}`,
+        '#7586d6'
+      ))
+      .catch(err => console.error(err));
+  }
+
+  onRatingsChange(ratings, previousRatings) {
+    const changes = Object.keys(ratings).map(name => {
+      this.game.updateRating(name, ratings[name]);
+      const change = ratings[name] - previousRatings[name];
+      return `${name} ${ratings[name]} (${change >= 0 ? '+' : ''}${change})`;
+    });
+    this.sendChatMessageToAllPlayers(`New ratings: ${changes.join(', ')}`);
+  }
+
+  sendChatMessageToAllPlayers(text, color = 'gray') {
+    this.broadcast(new ChatMessage(Game.SERVER_NAME, text, color));
+  }
+
+  sendRoomDetails() {
+    this.broadcast(new RoomMessage(this.getDetails()));
+  }
+
+  addToChatHistory(data) {
+    while (this.chatHistory.length >= CHAT_HISTORY_LENGTH) {
+      this.chatHistory.shift();
+    }
+    this.chatHistory.push(data);
+  }
+
+  getShareText(sharedBy) {
+    const game = this.game;
+    switch (game.state) {
+      case Game.STATE_PLAYING:
+        return `${game.drawingPlayerName} is drawing ${game.wordHint} in room ${this.name}. Shared by ${sharedBy}`;
+      case Game.STATE_COOLDOWN:
+      case Game.STATE_CHOOSING_WORD:
+        return `${game.lastDrawingPlayerName} was drawing ${game.word} in room ${this.name}. Shared by ${sharedBy}`;
+      default:
+        return `Shared by ${sharedBy}`;
+    }
+  }
+
+  onDrawMessage(socket, data, playerName) {
+    if (!this.game.canDraw(playerName)) {
+      return;
+    }
+    switch (data.tool) {
+      case 'undo':
+      case 'redo':
+        // everyone including the drawing player applies these only once the server did
+        const stroke = data.tool == 'undo' ? this.strokeList.undo() : this.strokeList.redo();
+        if (stroke) {
+          const message = { tool: data.tool, stroke: stroke.id };
+          this.record(message);
+          this.io.to(this.id).emit(DrawMessage.type, message);
+        }
+        break;
+      default:
+        // what is kept is drawn again for late joiners, replays and shares, so only what stays within the canvas
+        const message = DrawData.sanitize(data);
+        if (!message) {
+          return;
+        }
+        if (!message.stroke) {
+          message.stroke = uuid();
+        }
+        socket.broadcast.to(this.id).emit(DrawMessage.type, message);
+        this.strokeList.add(message);
+        this.record(message);
+    }
+  }
+
+  onStrokeMessage(socket, data, playerName) {
+    const frame = StrokeFrames.sanitize(data);
+    if (!this.game.canDraw(playerName) || !frame) {
+      return;
+    }
+    const messages = StrokeFrames.toDrawMessages(frame, this.strokeList.find(frame.stroke));
+    if (!messages.length) {
+      return;
+    }
+    socket.broadcast.to(this.id).emit(StrokeMessage.type, frame);
+    messages.forEach(message => {
+      this.strokeList.add(message);
+      this.record(message);
+    });
+  }
+
+  onChatMessage(socket, data, playerName) {
+    if (playerName !== data.sender) {
+      console.error(`${playerName} is trying to send chat message under name ${data.sender}`);
+    }
+    data.sender = playerName;
+    if (this.game.guess(playerName, data.text)) {
+      return;
+    }
+    socket.broadcast.to(this.id).emit(ChatMessage.type, data);
+    this.addToChatHistory(data);
+  }
+
+  onRoomSettingsMessage(socket, data, playerName) {
+    if (playerName !== this.host || !this.game.isIdle()) {
+      return;
+    }
+    this.game.updateSettings(data.settings);
+    this.sendRoomDetails();
+  }
+
+  onStartGameMessage(socket, data, playerName) {
+    if (playerName !== this.host || !this.game.isIdle()) {
+      return;
+    }
+    if (!this.game.start()) {
+      this.send(playerName, new ChatMessage(Game.SERVER_NAME, 'At least 2 players are needed to start the game', 'red'));
+    }
+  }
+
+  onWordMessage(socket, data, playerName) {
+    this.game.chooseWord(playerName, data.word);
+  }
+}
+
+Room.RECONNECT_GRACE_PERIOD = RECONNECT_GRACE_PERIOD;
+Room.UNJOINED_ROOM_LIFETIME = UNJOINED_ROOM_LIFETIME;
+
+module.exports = Room;
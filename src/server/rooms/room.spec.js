@@ -0,0 +1,266 @@
+const Room = require('./room');
+const { FakeClock } = require('../game/fakes');
+const Checkpoint = require('../renderer/checkpoint');
+const StrokeList = require('../../shared/drawing/stroke-list');
+const CanvasMessage = require('../../shared/messages/canvas-message');
+const DrawMessage = require('../../shared/messages/draw-message');
+const ChatMessage = require('../../shared/messages/chat-message');
+const DrawData = require('../../shared/drawing/draw-data');
+
+class FakeIo {
+
+  constructor() {
+    this.messages = [];
+  }
+
+  to(id) {
+    return { emit: (type, payload) => this.messages.push({ to: id, type, payload }) };
+  }
+}
+
+class FakeSocket {
+
+  constructor() {
+    this.messages = [];
+    this.broadcasts = [];
+    this.rooms = [];
+    this.disconnected = false;
+    this.broadcast = { to: () => ({ emit: (type, payload) => this.broadcasts.push({ type, payload }) }) };
+  }
+
+  emit(type, payload) {
+    this.messages.push({ type, payload });
+  }
+
+  join(id) {
+    this.rooms.push(id);
+  }
+
+  disconnect() {
+    this.disconnected = true;
+  }
+
+  received(type) {
+    return this.messages.filter(message => message.type === type).map(({ payload }) => payload);
+  }
+}
+
+// rooms only use them once games are played
+const models = { UserModel: {}, WordModel: {}, DrawingModel: {} };
+
+const dot = (x, stroke) => ({ tool: 'brush', color: '#000000', thickness: 6, x, y: 100, prevX: x, prevY: 100, stroke });
+
+const createUser = login => ({ login, score: 0, lastGameId: null, rating: 1200, save: () => Promise.resolve() });
+
+describe('Room', () => {
+  let clock;
+  let io;
+  let room;
+  let onEmpty;
+
+  const join = (login) => {
+    const socket = new FakeSocket();
+    room.addPlayer(socket, createUser(login));
+    return socket;
+  };
+
+  beforeEach(() => {
+    clock = new FakeClock();
+    io = new FakeIo();
+    room = new Room(io, models, 'avocados', 'alice', false, clock);
+    onEmpty = jasmine.createSpy('empty');
+    room.on('empty', onEmpty);
+  });
+
+  afterEach(() => {
+    room.dispose();
+  });
+
+  it('should let anyone into public rooms', () => {
+    expect(room.isInvited('bob')).toBe(true);
+  });
+
+  it('should only let the host and players with the invite code into private rooms', () => {
+    room = new Room(io, models, 'avocados', 'alice', true, clock);
+
+    expect(room.isInvited('alice')).toBe(true);
+    expect(room.isInvited('bob')).toBe(false);
+    expect(room.isInvited('bob', 'WRONG')).toBe(false);
+    expect(room.isInvited('bob', ` ${room.inviteCode.toLowerCase()} `)).toBe(true);
+  });
+
+  it('should let players with a seat back into private rooms without the code', () => {
+    room = new Room(io, models, 'avocados', 'alice', true, clock);
+    join('bob');
+
+    expect(room.isInvited('bob')).toBe(true);
+  });
+
+  it('should pass hosting on when the host leaves', () => {
+    join('alice');
+    join('bob');
+    room.removePlayer('alice');
+
+    expect(room.host).toBe('bob');
+    expect(onEmpty).not.toHaveBeenCalled();
+  });
+
+  it('should make the first player the host when the host never came', () => {
+    join('bob');
+
+    expect(room.host).toBe('bob');
+  });
+
+  it('should be empty once the last player left', () => {
+    join('alice');
+    join('bob');
+    room.removePlayer('alice');
+    room.removePlayer('bob');
+
+    expect(onEmpty).toHaveBeenCalledTimes(1);
+  });
+
+  it('should be empty when nobody joined it in time', () => {
+    clock.tick(Room.UNJOINED_ROOM_LIFETIME);
+
+    expect(onEmpty).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stay once someone joined it', () => {
+    join('alice');
+    clock.tick(Room.UNJOINED_ROOM_LIFETIME);
+
+    expect(onEmpty).not.toHaveBeenCalled();
+  });
+
+  it('should keep and pass on draw messages only within the canvas', () => {
+    const drawer = join('alice');
+    room.onDrawMessage(drawer, Object.assign(dot(100, 'a'), { thickness: 100000, x: -5000, extra: 'x' }), 'alice');
+    room.onDrawMessage(drawer, { tool: 'laser', x: 1, y: 1 }, 'alice');
+
+    const kept = Object.assign(dot(100, 'a'), { thickness: DrawData.MAX_THICKNESS, x: 0 });
+    expect(room.strokeList.getMessages()).toEqual([kept]);
+    expect(drawer.broadcasts.filter(({ type }) => type === DrawMessage.type)).toEqual([{ type: DrawMessage.type, payload: kept }]);
+  });
+
+  describe('dropped connections', () => {
+    const chatTexts = () => io.messages.filter(({ type }) => type === ChatMessage.type).map(({ payload }) => payload.text);
+
+    beforeEach(() => {
+      join('alice');
+    });
+
+    it('should keep the seat of a player whose connection dropped', () => {
+      const socket = join('bob');
+      room.disconnectPlayer(socket, 'transport close');
+
+      expect(room.sockets.bob).toBeUndefined();
+      expect(room.game.players.bob).toBeDefined();
+      expect(chatTexts()).toContain('bob lost connection');
+    });
+
+    it('should give the seat back to a player who reconnected in time', () => {
+      room.disconnectPlayer(join('bob'), 'ping timeout');
+      clock.tick(Room.RECONNECT_GRACE_PERIOD - 1);
+      const socket = join('bob');
+      clock.tick(Room.RECONNECT_GRACE_PERIOD);
+
+      expect(room.sockets.bob).toBe(socket);
+      expect(room.game.players.bob).toBeDefined();
+      expect(chatTexts()).toContain('bob reconnected');
+      expect(chatTexts()).not.toContain('bob disconnected');
+    });
+
+    it('should give the seat up once the grace period ran out', () => {
+      room.disconnectPlayer(join('bob'), 'transport error');
+      clock.tick(Room.RECONNECT_GRACE_PERIOD);
+
+      expect(room.game.players.bob).toBeUndefined();
+      expect(chatTexts()).toContain('bob disconnected');
+    });
+
+    it('should be empty once the seat of the last player was given up', () => {
+      const socket = join('bob');
+      room.removePlayer('alice');
+      room.disconnectPlayer(socket, 'transport close');
+
+      expect(onEmpty).not.toHaveBeenCalled();
+      clock.tick(Room.RECONNECT_GRACE_PERIOD);
+      expect(onEmpty).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not keep the seat of a player who left on purpose', () => {
+      room.disconnectPlayer(join('bob'), 'client namespace disconnect');
+
+      expect(room.game.players.bob).toBeUndefined();
+      expect(chatTexts()).toContain('bob disconnected');
+    });
+
+    it('should not mind the old connection of a player who reconnected', () => {
+      const old = join('bob');
+      join('bob');
+      room.disconnectPlayer(old, 'server namespace disconnect');
+
+      expect(room.game.players.bob).toBeDefined();
+    });
+  });
+
+  describe('late joiners', () => {
+    let drawer;
+
+    const draw = (...messages) => messages.forEach(data => room.onDrawMessage(drawer, data, 'alice'));
+
+    beforeEach(() => {
+      room.strokeList = new StrokeList(2);
+      room.checkpoint = new Checkpoint(2);
+      drawer = join('alice');
+    });
+
+    it('should get no canvas when nothing was drawn', () => {
+      const socket = join('bob');
+
+      expect(socket.received(CanvasMessage.type)).toEqual([]);
+    });
+
+    it('should get the strokes drawn so far', () => {
+      draw(dot(100, 'a'), dot(200, 'b'));
+      const socket = join('bob');
+
+      expect(socket.received(CanvasMessage.type)).toEqual([{
+        image: null,
+        strokes: [{ id: 'a', messages: [dot(100, 'a')] }, { id: 'b', messages: [dot(200, 'b')] }],
+        undone: [],
+        baked: []
+      }]);
+    });
+
+    it('should get strokes that can be redone', () => {
+      draw(dot(100, 'a'), dot(200, 'b'), { tool: 'undo' });
+      const socket = join('bob');
+
+      const [canvas] = socket.received(CanvasMessage.type);
+      expect(canvas.strokes).toEqual([{ id: 'a', messages: [dot(100, 'a')] }]);
+      expect(canvas.undone).toEqual([{ id: 'b', messages: [dot(200, 'b')] }]);
+    });
+
+    it('should get a checkpoint and only the messages baked after it', () => {
+      draw(dot(100, 'a'), dot(200, 'b'), dot(300, 'c'), dot(400, 'd'), dot(500, 'e'));
+      const socket = join('bob');
+
+      const [canvas] = socket.received(CanvasMessage.type);
+      expect(canvas.image.startsWith('data:image/png;base64,')).toBe(true);
+      expect(canvas.baked).toEqual([]);
+      expect(canvas.strokes.map(({ id }) => id)).toEqual(['d', 'e']);
+    });
+
+    it('should get the same checkpoint as the one before as long as not enough was baked', () => {
+      draw(dot(100, 'a'), dot(200, 'b'), dot(300, 'c'), dot(400, 'd'));
+      const [first] = join('bob').received(CanvasMessage.type);
+      draw(dot(500, 'e'));
+      const [second] = join('carol').received(CanvasMessage.type);
+
+      expect(second.image).toBe(first.image);
+      expect(second.baked).toEqual([dot(300, 'c')]);
+    });
+  });
+});
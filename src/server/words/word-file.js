@@ -0,0 +1,123 @@
+/**
+ * Word list files for export and import. Both formats carry the same columns,
+ * categories are separated by semicolons in CSV and are an array in JSON.
+ */
+const COLUMNS = ['word', 'list', 'language', 'categories', 'difficulty', 'status', 'addedBy', 'deleted', 'deletedBy'];
+const FORMATS = ['csv', 'json'];
+const CATEGORY_SEPARATOR = ';';
+
+const escapeCsv = value => {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  const lines = rows.map(row => COLUMNS
+    .map(column => escapeCsv(column === 'categories' ? (row.categories || []).join(CATEGORY_SEPARATOR) : row[column]))
+    .join(','));
+  return [COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+};
+
+// rows of cells, handles quoted cells with commas, quotes and line breaks in them
+const parseCsvCells = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell.length || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim().length));
+};
+
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvCells(text);
+  const columns = (header || []).map(column => column.trim());
+  if (!columns.includes('word')) {
+    throw 'The file must have a word column!';
+  }
+  return rows.map(cells => {
+    const row = {};
+    columns.forEach((column, i) => row[column] = cells[i]);
+    row.categories = (row.categories || '').split(CATEGORY_SEPARATOR);
+    return row;
+  });
+};
+
+const parseJson = (text) => {
+  let rows;
+  try {
+    rows = JSON.parse(text);
+  } catch (e) {
+    throw 'The file is not valid JSON!';
+  }
+  if (!Array.isArray(rows)) {
+    throw 'The file must contain an array of words!';
+  }
+  // a plain list of words works too
+  return rows.map(row => typeof row === 'string' ? { word: row } : row || {});
+};
+
+const toBoolean = value => value === true || value === 'true' || value === '1' || value === 1;
+
+const toOptionalString = value => typeof value === 'string' && value.trim().length ? value.trim() : undefined;
+
+// rows with values of the expected types, missing values are left undefined
+const parse = (format, text) => {
+  if (!FORMATS.includes(format)) {
+    throw `Invalid format ${format}`;
+  }
+  if (typeof text !== 'string') {
+    throw 'The file is empty!';
+  }
+  const rows = format === 'csv' ? parseCsv(text) : parseJson(text);
+  return rows.map(row => ({
+    word: String(row.word || '').trim().normalize('NFC').toLowerCase(),
+    list: toOptionalString(row.list),
+    language: toOptionalString(row.language),
+    categories: (Array.isArray(row.categories) ? row.categories : [])
+      .map(category => String(category).trim().toLowerCase())
+      .filter(category => category.length),
+    difficulty: row.difficulty === undefined || row.difficulty === '' ? undefined : Number(row.difficulty),
+    status: toOptionalString(row.status),
+    addedBy: toOptionalString(row.addedBy),
+    deleted: toBoolean(row.deleted),
+    deletedBy: toOptionalString(row.deletedBy)
+  }));
+};
+
+module.exports = {
+  COLUMNS,
+  FORMATS,
+  toCsv,
+  parse
+};
@@ -0,0 +1,49 @@
+const WordFile = require('./word-file');
+
+describe('WordFile', () => {
+
+  const row = (word, other = {}) => Object.assign({
+    word,
+    list: 'default',
+    language: 'en',
+    categories: [],
+    difficulty: 2,
+    status: 'approved',
+    addedBy: 'alice',
+    deleted: false,
+    deletedBy: undefined
+  }, other);
+
+  it('should write a CSV header and a line per word', () => {
+    const csv = WordFile.toCsv([row('avocado', { categories: ['food', 'fruit'] })]);
+
+    expect(csv).toBe('word,list,language,categories,difficulty,status,addedBy,deleted,deletedBy\r\navocado,default,en,food;fruit,2,approved,alice,false,\r\n');
+  });
+
+  it('should read back what it wrote', () => {
+    const rows = [
+      row('avocado', { categories: ['food', 'fruit'], difficulty: 1 }),
+      row('banana split', { list: 'desserts, sweet', deleted: true, deletedBy: 'bob' }),
+      row('"quoted"', { status: 'pending' }),
+      row('čučoriedka', { language: 'sk' })
+    ];
+
+    expect(WordFile.parse('csv', WordFile.toCsv(rows))).toEqual(rows);
+    expect(WordFile.parse('json', JSON.stringify(rows))).toEqual(rows);
+  });
+
+  it('should accept files with only some columns', () => {
+    expect(WordFile.parse('csv', 'word\nAvocado\n\nbanana')).toEqual([
+      row('avocado', { list: undefined, language: undefined, difficulty: undefined, status: undefined, addedBy: undefined }),
+      row('banana', { list: undefined, language: undefined, difficulty: undefined, status: undefined, addedBy: undefined })
+    ]);
+    expect(WordFile.parse('json', '["avocado"]').map(({ word }) => word)).toEqual(['avocado']);
+  });
+
+  it('should reject files it can not read', () => {
+    expect(() => WordFile.parse('csv', 'name\navocado')).toThrow('The file must have a word column!');
+    expect(() => WordFile.parse('json', '{')).toThrow('The file is not valid JSON!');
+    expect(() => WordFile.parse('json', '{}')).toThrow('The file must contain an array of words!');
+    expect(() => WordFile.parse('xml', '')).toThrow('Invalid format xml');
+  });
+});
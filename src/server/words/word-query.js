@@ -0,0 +1,43 @@
+const Languages = require('../../shared/languages');
+
+// query params come from qs, which turns brackets into arrays and objects, text params are always read as strings
+const text = value => value === undefined ? '' : String(value);
+
+// the filter and sort order a word list query asks for, throws when it asks for something words do not have
+const parseWordQuery = (WordModel, query) => {
+  const { status, match, deleted, language, sort, order } = query;
+  const [q, author, category] = [query.q, query.author, query.category].map(text);
+  if (status && ![WordModel.STATUS_PENDING, WordModel.STATUS_APPROVED, WordModel.STATUS_REJECTED].includes(status)) {
+    throw `Invalid word status ${status}`;
+  }
+  if (match && !WordModel.MATCHES.includes(match)) {
+    throw `Invalid match ${match}`;
+  }
+  if (deleted && !['true', 'false'].includes(deleted)) {
+    throw `Invalid deleted state ${deleted}`;
+  }
+  if (language && !Languages.isLanguage(language)) {
+    throw `Unsupported language ${language}`;
+  }
+  if (sort && !WordModel.SORT_FIELDS.includes(sort)) {
+    throw `Can not sort words by ${sort}`;
+  }
+
+  const filters = [
+    status ? WordModel.statusFilter(status) : {},
+    WordModel.searchFilter(q, match),
+    author ? { addedBy: author } : {},
+    deleted ? WordModel.deletedFilter(deleted === 'true') : {},
+    WordModel.categoryFilter(category ? [category] : []),
+    WordModel.languageFilter(language)
+  ];
+  const direction = order === 'desc' ? -1 : 1;
+  // ties are broken by the word so pages do not overlap
+  const sortBy = sort && sort !== 'word' ? { [sort]: direction, word: 1 } : { word: direction };
+
+  return { filter: { $and: filters }, sort: sortBy };
+};
+
+module.exports = {
+  parseWordQuery
+};
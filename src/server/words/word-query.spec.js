@@ -0,0 +1,45 @@
+const WordQuery = require('./word-query');
+const WordModel = require('../models/word');
+
+describe('WordQuery', () => {
+  const parse = query => WordQuery.parseWordQuery(WordModel, query);
+
+  it('should find all words not sorted otherwise by the word', () => {
+    expect(parse({})).toEqual({ filter: { $and: [{}, {}, {}, {}, {}, {}] }, sort: { word: 1 } });
+  });
+
+  it('should combine the filters asked for', () => {
+    const { filter } = parse({ status: 'pending', q: 'Avo', match: 'prefix', author: 'alice', deleted: 'false', category: 'food', language: 'sk' });
+
+    expect(filter.$and).toEqual([
+      { status: 'pending' },
+      { word: { $regex: '^avo' } },
+      { addedBy: 'alice' },
+      { deleted: { $ne: true } },
+      { categories: { $in: ['food'] } },
+      { language: 'sk' }
+    ]);
+  });
+
+  it('should only look for authors and text by their name', () => {
+    const { filter } = parse({ author: { $ne: 'x' }, q: ['a', 'b'], category: { $gt: '' } });
+
+    expect(filter.$and[1]).toEqual({ word: { $regex: 'a,b' } });
+    expect(filter.$and[2]).toEqual({ addedBy: '[object Object]' });
+    expect(filter.$and[4]).toEqual({ categories: { $in: ['[object Object]'] } });
+  });
+
+  it('should sort by other columns, then by the word', () => {
+    expect(parse({ sort: 'addedBy', order: 'desc' }).sort).toEqual({ addedBy: -1, word: 1 });
+    expect(parse({ sort: 'word', order: 'desc' }).sort).toEqual({ word: -1 });
+  });
+
+  it('should refuse what words do not have', () => {
+    expect(() => parse({ status: 'lost' })).toThrow('Invalid word status lost');
+    expect(() => parse({ status: ['pending'] })).toThrow('Invalid word status pending');
+    expect(() => parse({ match: 'suffix' })).toThrow('Invalid match suffix');
+    expect(() => parse({ deleted: 'yes' })).toThrow('Invalid deleted state yes');
+    expect(() => parse({ language: 'xx' })).toThrow('Unsupported language xx');
+    expect(() => parse({ sort: 'password' })).toThrow('Can not sort words by password');
+  });
+});
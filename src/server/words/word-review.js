@@ -0,0 +1,61 @@
+const express = require('express');
+
+const Roles = require('../auth/roles');
+
+// changes a word and records who did it in its log
+const changeWord = (WordModel, word, by, action, change) => {
+  return WordModel.findOne({ word })
+    .then(entry => {
+      if (!entry) {
+        throw `Word ${word} does not exist!`;
+      }
+      change(entry);
+      entry.record(action, by);
+      return entry.save();
+    });
+};
+
+// routes moderators go through the approval queue and deleted words with
+const createRouter = (WordModel) => {
+  const router = express.Router();
+
+  const review = (action, change) => [Roles.requireRole(Roles.MODERATOR), (req, res, next) => {
+    changeWord(WordModel, req.params.word, req.user.login, action, entry => change(entry, req.user))
+      .then(result => res.json(result))
+      .catch(err => next(err));
+  }];
+
+  router.delete('/word/:word', review('deleted', (entry, user) => {
+    entry.deleted = true;
+    entry.deletedBy = user.login;
+  }));
+
+  router.post('/word/:word/restore', review('restored', entry => {
+    if (!entry.deleted) {
+      throw `Word ${entry.word} is not deleted!`;
+    }
+    entry.deleted = false;
+    entry.deletedBy = undefined;
+  }));
+
+  router.post('/word/:word/approve', review('approved', entry => {
+    if (entry.status === WordModel.STATUS_APPROVED) {
+      throw `Word ${entry.word} is already approved!`;
+    }
+    entry.status = WordModel.STATUS_APPROVED;
+  }));
+
+  router.post('/word/:word/reject', review('rejected', entry => {
+    if (entry.status !== WordModel.STATUS_PENDING) {
+      throw `Word ${entry.word} is not waiting for approval!`;
+    }
+    entry.status = WordModel.STATUS_REJECTED;
+  }));
+
+  return router;
+};
+
+module.exports = {
+  changeWord,
+  createRouter
+};
@@ -0,0 +1,120 @@
+const WordReview = require('./word-review');
+const WordModel = require('../models/word');
+const Roles = require('../auth/roles');
+
+describe('WordReview', () => {
+  const moderator = { login: 'mod', role: Roles.MODERATOR };
+  let words;
+  let router;
+
+  const addWord = (word, other = {}) => {
+    const entry = new WordModel(Object.assign({ word, addedBy: 'alice' }, other));
+    spyOn(entry, 'save').and.returnValue(Promise.resolve(entry));
+    words.push(entry);
+    return entry;
+  };
+
+  // resolves with what the route answered, rejects with what it passed on
+  const request = (method, url, user = moderator) => new Promise((resolve, reject) => {
+    router.handle({ method, url, user }, { json: resolve }, err => reject(err || 'not found'));
+  });
+
+  beforeEach(() => {
+    words = [];
+    spyOn(WordModel, 'findOne').and.callFake(({ word }) => Promise.resolve(words.find(entry => entry.word === word)));
+    router = WordReview.createRouter(WordModel);
+  });
+
+  it('should approve pending words and log who did it', (done) => {
+    const entry = addWord('avocado', { status: WordModel.STATUS_PENDING });
+
+    request('POST', '/word/avocado/approve').then(result => {
+      expect(result).toBe(entry);
+      expect(entry.status).toBe(WordModel.STATUS_APPROVED);
+      expect(entry.log.map(({ action, by }) => ({ action, by }))).toEqual([{ action: 'approved', by: 'mod' }]);
+      expect(entry.save).toHaveBeenCalled();
+    }).then(done, done.fail);
+  });
+
+  it('should approve rejected words', (done) => {
+    const entry = addWord('avocado', { status: WordModel.STATUS_REJECTED });
+
+    request('POST', '/word/avocado/approve').then(() => {
+      expect(entry.status).toBe(WordModel.STATUS_APPROVED);
+    }).then(done, done.fail);
+  });
+
+  it('should not approve words twice', (done) => {
+    const entry = addWord('avocado', { status: WordModel.STATUS_APPROVED });
+
+    request('POST', '/word/avocado/approve').then(done.fail, err => {
+      expect(err).toBe('Word avocado is already approved!');
+      expect(entry.save).not.toHaveBeenCalled();
+    }).then(done, done.fail);
+  });
+
+  it('should only reject words waiting for approval', (done) => {
+    const pending = addWord('avocado', { status: WordModel.STATUS_PENDING });
+    const approved = addWord('banana', { status: WordModel.STATUS_APPROVED });
+
+    request('POST', '/word/avocado/reject')
+      .then(() => {
+        expect(pending.status).toBe(WordModel.STATUS_REJECTED);
+        return request('POST', '/word/banana/reject');
+      })
+      .then(done.fail, err => {
+        expect(err).toBe('Word banana is not waiting for approval!');
+        expect(approved.status).toBe(WordModel.STATUS_APPROVED);
+      })
+      .then(done, done.fail);
+  });
+
+  it('should delete words and restore them', (done) => {
+    const entry = addWord('avocado');
+
+    request('DELETE', '/word/avocado')
+      .then(() => {
+        expect(entry.deleted).toBe(true);
+        expect(entry.deletedBy).toBe('mod');
+        return request('POST', '/word/avocado/restore');
+      })
+      .then(() => {
+        expect(entry.deleted).toBe(false);
+        expect(entry.deletedBy).toBeUndefined();
+        expect(entry.log.map(({ action }) => action)).toEqual(['deleted', 'restored']);
+      })
+      .then(done, done.fail);
+  });
+
+  it('should not restore words that are not deleted', (done) => {
+    addWord('avocado');
+
+    request('POST', '/word/avocado/restore').then(done.fail, err => {
+      expect(err).toBe('Word avocado is not deleted!');
+    }).then(done, done.fail);
+  });
+
+  it('should not change words that do not exist', (done) => {
+    request('POST', '/word/avocado/approve').then(done.fail, err => {
+      expect(err).toBe('Word avocado does not exist!');
+    }).then(done, done.fail);
+  });
+
+  it('should only let moderators and admins review words', (done) => {
+    const entry = addWord('avocado', { status: WordModel.STATUS_PENDING });
+    const player = { login: 'bob', role: Roles.PLAYER };
+
+    Promise.all(['/word/avocado/approve', '/word/avocado/reject', '/word/avocado/restore']
+      .map(url => request('POST', url, player).then(done.fail, err => err.status)))
+      .then(statuses => {
+        expect(statuses).toEqual([403, 403, 403]);
+        expect(entry.status).toBe(WordModel.STATUS_PENDING);
+        expect(WordModel.findOne).not.toHaveBeenCalled();
+        return request('POST', '/word/avocado/approve', { login: 'root', role: Roles.ADMIN });
+      })
+      .then(() => {
+        expect(entry.status).toBe(WordModel.STATUS_APPROVED);
+      })
+      .then(done, done.fail);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Color helpers shared by the color picker, the canvas painter and the server renderer.
+ *
+ * Opacity applies to a whole stroke, its segments are drawn opaque into a layer that is
+ * blended in at once, otherwise every joint would be darker than the rest of the line.
+ * The bucket and the eraser always paint opaque.
+ */
+const MIN_OPACITY = 0.05;
+const OPAQUE_TOOLS = ['bucket', 'eraser', 'clear'];
+
+const getOpacity = (data) => {
+  const opacity = Number(data && data.opacity);
+  if (!data || OPAQUE_TOOLS.includes(data.tool) || data.opacity === undefined || data.opacity === null || isNaN(opacity)) {
+    return 1;
+  }
+  return Math.max(MIN_OPACITY, Math.min(1, opacity));
+};
+
+const isTranslucent = data => getOpacity(data) < 1;
+
+const toHex = value => Math.round(value).toString(16).padStart(2, '0');
+
+const rgbToHex = rgb => `#${rgb.slice(0, 3).map(toHex).join('')}`;
+
+// null for anything but #rgb and #rrggbb
+const hexToRgb = (hex) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!match) {
+    return null;
+  }
+  const digits = match[1].length === 3 ? match[1].split('').map(digit => digit + digit).join('') : match[1];
+  return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+};
+
+// hue in degrees, saturation and value from 0 to 1
+const hsvToRgb = (hue, saturation, value) => {
+  const h = ((hue % 360) + 360) % 360 / 60;
+  const chroma = value * saturation;
+  const x = chroma * (1 - Math.abs(h % 2 - 1));
+  const m = value - chroma;
+  const [r, g, b] = h < 1 ? [chroma, x, 0]
+    : h < 2 ? [x, chroma, 0]
+      : h < 3 ? [0, chroma, x]
+        : h < 4 ? [0, x, chroma]
+          : h < 5 ? [x, 0, chroma]
+            : [chroma, 0, x];
+  return [r, g, b].map(channel => Math.round((channel + m) * 255));
+};
+
+const rgbToHsv = (rgb) => {
+  const [r, g, b] = rgb.map(channel => channel / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+  let hue = 0;
+  if (delta) {
+    if (max === r) {
+      hue = 60 * (((g - b) / delta) % 6);
+    } else if (max === g) {
+      hue = 60 * ((b - r) / delta + 2);
+    } else {
+      hue = 60 * ((r - g) / delta + 4);
+    }
+  }
+  return [(hue + 360) % 360, max ? delta / max : 0, max];
+};
+
+module.exports = {
+  MIN_OPACITY,
+  getOpacity,
+  isTranslucent,
+  rgbToHex,
+  hexToRgb,
+  hsvToRgb,
+  rgbToHsv
+};
@@ -0,0 +1,39 @@
+const Colors = require('./colors');
+
+describe('Colors', () => {
+
+  it('should default to opaque and keep opacity in range', () => {
+    expect(Colors.getOpacity({ tool: 'brush' })).toBe(1);
+    expect(Colors.getOpacity({ tool: 'brush', opacity: 0.5 })).toBe(0.5);
+    expect(Colors.getOpacity({ tool: 'brush', opacity: 0 })).toBe(Colors.MIN_OPACITY);
+    expect(Colors.getOpacity({ tool: 'brush', opacity: 3 })).toBe(1);
+    expect(Colors.getOpacity({ tool: 'brush', opacity: 'abc' })).toBe(1);
+    expect(Colors.isTranslucent({ tool: 'ellipse', opacity: 0.3 })).toBe(true);
+  });
+
+  it('should paint with the bucket and the eraser opaque', () => {
+    expect(Colors.isTranslucent({ tool: 'bucket', opacity: 0.5 })).toBe(false);
+    expect(Colors.isTranslucent({ tool: 'eraser', opacity: 0.5 })).toBe(false);
+  });
+
+  it('should convert between hex and rgb', () => {
+    expect(Colors.hexToRgb('#ffa82c')).toEqual([255, 168, 44]);
+    expect(Colors.hexToRgb('0F0')).toEqual([0, 255, 0]);
+    expect(Colors.hexToRgb('#12345')).toBe(null);
+    expect(Colors.hexToRgb('red')).toBe(null);
+    expect(Colors.rgbToHex([255, 168, 44])).toBe('#ffa82c');
+  });
+
+  it('should convert between hsv and rgb', () => {
+    expect(Colors.hsvToRgb(0, 1, 1)).toEqual([255, 0, 0]);
+    expect(Colors.hsvToRgb(120, 1, 0.5)).toEqual([0, 128, 0]);
+    expect(Colors.hsvToRgb(240, 0, 1)).toEqual([255, 255, 255]);
+    expect(Colors.rgbToHsv([0, 0, 255])).toEqual([240, 1, 1]);
+    expect(Colors.rgbToHsv([0, 0, 0])).toEqual([0, 0, 0]);
+
+    ['#ffa82c', '#3f48cc', '#b5e61d', '#7f7f7f'].forEach(hex => {
+      const [h, s, v] = Colors.rgbToHsv(Colors.hexToRgb(hex));
+      expect(Colors.rgbToHex(Colors.hsvToRgb(h, s, v))).toBe(hex);
+    });
+  });
+});
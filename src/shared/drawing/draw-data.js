@@ -0,0 +1,67 @@
+/**
+ * Limits of what a draw message can draw. Messages come from clients and are kept, replayed and
+ * rasterized again and again, so the server only keeps what stays within the canvas at a sane cost.
+ */
+const Shapes = require('./shapes');
+const Colors = require('./colors');
+
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+// pen pressure draws up to twice the thickest brush
+const MAX_THICKNESS = 64;
+const MAX_STROKE_ID_LENGTH = 64;
+
+const TOOLS = ['brush', 'eraser', 'bucket', 'clear', ...Shapes.TOOLS];
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const clampX = x => clamp(x, 0, CANVAS_WIDTH);
+
+const clampY = y => clamp(y, 0, CANVAS_HEIGHT);
+
+const clampThickness = thickness => isNumber(thickness) ? clamp(thickness, 1, MAX_THICKNESS) : 1;
+
+const isStrokeId = stroke => typeof stroke === 'string' && stroke.length <= MAX_STROKE_ID_LENGTH;
+
+// a copy with only the fields a draw message has, kept within the limits, null when it can not be drawn
+const sanitize = (data) => {
+  if (!data || !TOOLS.includes(data.tool)) {
+    return null;
+  }
+  const { tool, color, thickness, x, y, prevX, prevY, stroke, opacity } = data;
+  const result = { tool };
+  if (tool !== 'clear') {
+    // the eraser draws white whatever its color is
+    const hasColor = typeof color === 'string' && !!Colors.hexToRgb(color);
+    if (!isNumber(x) || !isNumber(y) || (!hasColor && tool !== 'eraser')) {
+      return null;
+    }
+    if (hasColor) {
+      result.color = color;
+    }
+    Object.assign(result, { thickness: clampThickness(thickness), x: clampX(x), y: clampY(y) });
+    if (isNumber(prevX) && isNumber(prevY)) {
+      Object.assign(result, { prevX: clampX(prevX), prevY: clampY(prevY) });
+    }
+  }
+  if (isStrokeId(stroke)) {
+    result.stroke = stroke;
+  }
+  if (isNumber(opacity)) {
+    result.opacity = clamp(opacity, Colors.MIN_OPACITY, 1);
+  }
+  return result;
+};
+
+module.exports = {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  MAX_THICKNESS,
+  clampX,
+  clampY,
+  clampThickness,
+  isStrokeId,
+  sanitize
+};
@@ -0,0 +1,38 @@
+const DrawData = require('./draw-data');
+
+const brush = fields => Object.assign({ tool: 'brush', color: '#ff0000', thickness: 6, x: 10, y: 20, prevX: 5, prevY: 15, stroke: 'a' }, fields);
+
+describe('DrawData', () => {
+
+  it('should keep messages within the limits as they are', () => {
+    expect(DrawData.sanitize(brush())).toEqual(brush());
+    expect(DrawData.sanitize(brush({ opacity: 0.5 }))).toEqual(brush({ opacity: 0.5 }));
+    expect(DrawData.sanitize({ tool: 'clear', stroke: 'a' })).toEqual({ tool: 'clear', stroke: 'a' });
+  });
+
+  it('should keep thickness and coordinates within the canvas', () => {
+    const data = DrawData.sanitize(brush({ thickness: 10000, x: -100, y: 1e9, prevX: 900, prevY: -1 }));
+
+    expect(data).toEqual(brush({ thickness: DrawData.MAX_THICKNESS, x: 0, y: DrawData.CANVAS_HEIGHT, prevX: DrawData.CANVAS_WIDTH, prevY: 0 }));
+    expect(DrawData.sanitize(brush({ thickness: 0 })).thickness).toBe(1);
+    expect(DrawData.sanitize(brush({ thickness: 'wide' })).thickness).toBe(1);
+  });
+
+  it('should leave out fields draw messages do not have', () => {
+    expect(DrawData.sanitize(brush({ extra: 'x'.repeat(1000) }))).toEqual(brush());
+    expect(DrawData.sanitize(brush({ stroke: 'x'.repeat(1000) })).stroke).toBeUndefined();
+    expect(DrawData.sanitize(brush({ prevX: 'a' })).prevX).toBeUndefined();
+  });
+
+  it('should not let messages through that can not be drawn', () => {
+    expect(DrawData.sanitize(null)).toBe(null);
+    expect(DrawData.sanitize(brush({ tool: 'laser' }))).toBe(null);
+    expect(DrawData.sanitize(brush({ x: NaN }))).toBe(null);
+    expect(DrawData.sanitize(brush({ y: '20' }))).toBe(null);
+    expect(DrawData.sanitize(brush({ color: { $gt: '' } }))).toBe(null);
+  });
+
+  it('should not need a color for the eraser', () => {
+    expect(DrawData.sanitize({ tool: 'eraser', thickness: 6, x: 10, y: 20 })).toEqual({ tool: 'eraser', thickness: 6, x: 10, y: 20 });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Shape tools draw a single message when the pointer is released, the pointer went down at
+ * prevX, prevY and came up at x, y. Filled shapes are filled and outlined in the same color.
+ */
+const LINE = 'line';
+const RECTANGLE = 'rectangle';
+const FILLED_RECTANGLE = 'filled-rectangle';
+const ELLIPSE = 'ellipse';
+const FILLED_ELLIPSE = 'filled-ellipse';
+
+const TOOLS = [LINE, RECTANGLE, FILLED_RECTANGLE, ELLIPSE, FILLED_ELLIPSE];
+
+// the server draws ellipse outlines as polygons with this many sides
+const ELLIPSE_SEGMENTS = 64;
+
+const isShape = tool => TOOLS.includes(tool);
+
+const isFilled = tool => tool === FILLED_RECTANGLE || tool === FILLED_ELLIPSE;
+
+const isRectangle = tool => tool === RECTANGLE || tool === FILLED_RECTANGLE;
+
+const isEllipse = tool => tool === ELLIPSE || tool === FILLED_ELLIPSE;
+
+// the box dragged out by the pointer, whichever way it went
+const getBounds = ({ x, y, prevX, prevY }) => ({
+  left: Math.min(x, prevX),
+  top: Math.min(y, prevY),
+  width: Math.abs(x - prevX),
+  height: Math.abs(y - prevY)
+});
+
+const getEllipsePoints = (data, segments = ELLIPSE_SEGMENTS) => {
+  const { left, top, width, height } = getBounds(data);
+  const radiusX = width / 2;
+  const radiusY = height / 2;
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const angle = 2 * Math.PI * i / segments;
+    points.push({ x: left + radiusX + radiusX * Math.cos(angle), y: top + radiusY + radiusY * Math.sin(angle) });
+  }
+  return points;
+};
+
+module.exports = {
+  LINE,
+  RECTANGLE,
+  FILLED_RECTANGLE,
+  ELLIPSE,
+  FILLED_ELLIPSE,
+  TOOLS,
+  isShape,
+  isFilled,
+  isRectangle,
+  isEllipse,
+  getBounds,
+  getEllipsePoints
+};
@@ -0,0 +1,31 @@
+const Shapes = require('./shapes');
+
+describe('Shapes', () => {
+
+  it('should tell shape tools apart', () => {
+    expect(Shapes.isShape('line')).toBe(true);
+    expect(Shapes.isShape('filled-ellipse')).toBe(true);
+    expect(Shapes.isShape('brush')).toBe(false);
+    expect(Shapes.isFilled('filled-rectangle')).toBe(true);
+    expect(Shapes.isFilled('rectangle')).toBe(false);
+    expect(Shapes.isRectangle('filled-rectangle')).toBe(true);
+    expect(Shapes.isEllipse('ellipse')).toBe(true);
+  });
+
+  it('should get the same bounds whichever way the shape was dragged', () => {
+    const bounds = { left: 10, top: 20, width: 90, height: 30 };
+
+    expect(Shapes.getBounds({ prevX: 10, prevY: 20, x: 100, y: 50 })).toEqual(bounds);
+    expect(Shapes.getBounds({ prevX: 100, prevY: 50, x: 10, y: 20 })).toEqual(bounds);
+    expect(Shapes.getBounds({ prevX: 100, prevY: 20, x: 10, y: 50 })).toEqual(bounds);
+  });
+
+  it('should outline ellipses with a closed polygon inside the bounds', () => {
+    const points = Shapes.getEllipsePoints({ prevX: 0, prevY: 0, x: 200, y: 100 }, 4);
+    const round = ({ x, y }) => ({ x: Math.round(x), y: Math.round(y) });
+
+    expect(points.map(round)).toEqual([
+      { x: 200, y: 50 }, { x: 100, y: 100 }, { x: 0, y: 50 }, { x: 100, y: 0 }, { x: 200, y: 50 }
+    ]);
+  });
+});
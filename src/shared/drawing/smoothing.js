@@ -0,0 +1,117 @@
+/**
+ * Brush and eraser strokes are drawn as smooth curves through the points of the stroke instead of straight pieces.
+ * Points are joined by quadratic curves from the middle of one segment to the middle of the next, bending
+ * around the point between them, so the curve never swings out further than the points themselves.
+ *
+ * The curves are cut into short straight pieces the same way on clients and the server, so everyone draws the same.
+ */
+const BRUSH = 'brush';
+const ERASER = 'eraser';
+
+// the drawer leaves out points closer than this to the last one, they only make curves wobble
+const MIN_POINT_DISTANCE = 3;
+// curves are cut into pieces about this long
+const PIECE_LENGTH = 4;
+const MAX_PIECES = 16;
+
+const isSmoothed = data => !!data && (data.tool === BRUSH || data.tool === ERASER);
+
+const getDistance = (a, b) => Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y));
+
+const isTooClose = (last, point) => getDistance(last, point) < MIN_POINT_DISTANCE;
+
+const isContinuous = ({ x, y, prevX, prevY }) =>
+  typeof prevX === 'number' && typeof prevY === 'number' && (x !== prevX || y !== prevY);
+
+const toPoint = (x, y, thickness) => ({ x, y, thickness });
+
+// adds the point of a message to the runs of a stroke and returns the run it went to,
+// a dot or the pointer coming back to the canvas starts a new run
+const addToRuns = (runs, data) => {
+  const { x, y, prevX, prevY, thickness } = data;
+  if (typeof x !== 'number' || typeof y !== 'number') {
+    return null;
+  }
+  let run = runs[runs.length - 1];
+  if (!isContinuous(data)) {
+    run = [toPoint(x, y, thickness)];
+    runs.push(run);
+    return run;
+  }
+  const last = run && run[run.length - 1];
+  if (!last || last.x !== prevX || last.y !== prevY) {
+    run = [toPoint(prevX, prevY, thickness)];
+    runs.push(run);
+  }
+  run.push(toPoint(x, y, thickness));
+  return run;
+};
+
+// the points of a stroke split where it is not connected
+const getRuns = (messages) => {
+  const runs = [];
+  messages.forEach(data => addToRuns(runs, data));
+  return runs;
+};
+
+const middle = (a, b) => toPoint((a.x + b.x) / 2, (a.y + b.y) / 2, (a.thickness + b.thickness) / 2);
+
+// thickness is bent along the curve the same way as the position
+const bend = (start, control, end, t) => {
+  const s = (1 - t) * (1 - t);
+  const c = 2 * (1 - t) * t;
+  const e = t * t;
+  return toPoint(
+    s * start.x + c * control.x + e * end.x,
+    s * start.y + c * control.y + e * end.y,
+    s * start.thickness + c * control.thickness + e * end.thickness
+  );
+};
+
+const addCurve = (curve, start, control, end) => {
+  const length = getDistance(start, control) + getDistance(control, end);
+  const pieces = Math.max(1, Math.min(MAX_PIECES, Math.ceil(length / PIECE_LENGTH)));
+  for (let i = 1; i <= pieces; i++) {
+    curve.push(bend(start, control, end, i / pieces));
+  }
+};
+
+// points along the smoothed run, it starts and ends at the same points as the run
+const getCurve = (run) => {
+  if (run.length < 3) {
+    return run.slice();
+  }
+  const curve = [run[0], middle(run[0], run[1])];
+  for (let i = 1; i < run.length - 1; i++) {
+    addCurve(curve, middle(run[i - 1], run[i]), run[i], middle(run[i], run[i + 1]));
+  }
+  curve.push(run[run.length - 1]);
+  return curve;
+};
+
+// once a point is added to the run, these take the place of the last point of its curve,
+// so curves being drawn grow piece by piece instead of being worked out again
+const getCurveEnd = (run) => {
+  if (run.length < 3) {
+    return run.slice();
+  }
+  const last = run.length - 1;
+  const end = last === 2 ? [middle(run[0], run[1])] : [];
+  addCurve(end, middle(run[last - 2], run[last - 1]), run[last - 1], middle(run[last - 1], run[last]));
+  end.push(run[last]);
+  return end;
+};
+
+// smoothed runs of the messages of one stroke, a run of a single point is a dot
+const getCurves = messages => getRuns(messages).map(getCurve);
+
+module.exports = {
+  MIN_POINT_DISTANCE,
+  isSmoothed,
+  isTooClose,
+  addToRuns,
+  getRuns,
+  getCurve,
+  getCurveEnd,
+  getCurves
+};
@@ -0,0 +1,82 @@
+const Smoothing = require('./smoothing');
+
+const brush = (x, y, prevX = x, prevY = y, thickness = 4) => ({ tool: 'brush', color: '#000000', thickness, x, y, prevX, prevY });
+
+describe('Smoothing', () => {
+
+  it('should only smooth brush and eraser strokes', () => {
+    expect(Smoothing.isSmoothed(brush(10, 10))).toBe(true);
+    expect(Smoothing.isSmoothed({ tool: 'eraser' })).toBe(true);
+    expect(Smoothing.isSmoothed({ tool: 'bucket' })).toBe(false);
+    expect(Smoothing.isSmoothed({ tool: 'line' })).toBe(false);
+  });
+
+  it('should leave out points too close to the last one', () => {
+    expect(Smoothing.isTooClose({ x: 10, y: 10 }, { x: 11, y: 11 })).toBe(true);
+    expect(Smoothing.isTooClose({ x: 10, y: 10 }, { x: 10, y: 10 + Smoothing.MIN_POINT_DISTANCE })).toBe(false);
+  });
+
+  it('should split strokes into connected runs', () => {
+    const runs = Smoothing.getRuns([
+      brush(10, 10), brush(20, 10, 10, 10), brush(30, 10, 20, 10),
+      brush(60, 60, 50, 50),
+      brush(100, 100)
+    ]);
+    const toXY = run => run.map(({ x, y }) => [x, y]);
+
+    expect(runs.map(toXY)).toEqual([
+      [[10, 10], [20, 10], [30, 10]],
+      [[50, 50], [60, 60]],
+      [[100, 100]]
+    ]);
+  });
+
+  it('should keep dots and single segments as they are', () => {
+    expect(Smoothing.getCurves([brush(10, 10)])).toEqual([[{ x: 10, y: 10, thickness: 4 }]]);
+    expect(Smoothing.getCurves([brush(10, 10), brush(20, 10, 10, 10)])).toEqual([
+      [{ x: 10, y: 10, thickness: 4 }, { x: 20, y: 10, thickness: 4 }]
+    ]);
+  });
+
+  it('should bend around corners without leaving the points behind', () => {
+    const [curve] = Smoothing.getCurves([brush(0, 0), brush(100, 0, 0, 0), brush(100, 100, 100, 0)]);
+
+    expect(curve[0]).toEqual({ x: 0, y: 0, thickness: 4 });
+    expect(curve[curve.length - 1]).toEqual({ x: 100, y: 100, thickness: 4 });
+    expect(curve.some(({ x, y }) => x === 100 && y === 0)).toBe(false);
+    expect(curve).toContain({ x: 87.5, y: 12.5, thickness: 4 });
+    curve.forEach(({ x, y }) => {
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThanOrEqual(100);
+      expect(y).toBeGreaterThanOrEqual(0);
+      expect(y).toBeLessThanOrEqual(100);
+    });
+    for (let i = 1; i < curve.length; i++) {
+      expect(Math.hypot(curve[i].x - curve[i - 1].x, curve[i].y - curve[i - 1].y)).toBeLessThanOrEqual(50);
+    }
+  });
+
+  it('should grow curves point by point into the same curve', () => {
+    const messages = [brush(0, 0), brush(40, 0, 0, 0), brush(60, 30, 40, 0), brush(20, 60, 60, 30), brush(0, 20, 20, 60)];
+    const runs = [];
+    let curve = [];
+    messages.forEach(data => {
+      const run = Smoothing.addToRuns(runs, data);
+      curve = curve.slice(0, -1).concat(Smoothing.getCurveEnd(run));
+    });
+
+    expect(runs).toEqual(Smoothing.getRuns(messages));
+    expect(curve).toEqual(Smoothing.getCurve(runs[0]));
+  });
+
+  it('should change the thickness gradually along the curve', () => {
+    const [curve] = Smoothing.getCurves([brush(0, 0, 0, 0, 2), brush(40, 0, 0, 0, 6), brush(80, 0, 40, 0, 10)]);
+    const thicknesses = curve.map(({ thickness }) => thickness);
+
+    expect(thicknesses[0]).toBe(2);
+    expect(thicknesses[thicknesses.length - 1]).toBe(10);
+    for (let i = 1; i < thicknesses.length; i++) {
+      expect(thicknesses[i]).toBeGreaterThanOrEqual(thicknesses[i - 1]);
+    }
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Compact encoding of stroke points sent in batched frames instead of one draw message per mouse move.
+ *
+ * Points are little endian 16 bit integers, the first point absolute and the rest as deltas from the previous one.
+ * A frame starts either with a dot (first frame of a stroke, carries tool, color, thickness and opacity),
+ * a line from the last point of the stroke, or a move when the pointer left the canvas and came back.
+ * Pen strokes also carry a thickness for each point, one unsigned byte each, taken from the pen pressure.
+ */
+const DrawData = require('./draw-data');
+const Smoothing = require('./smoothing');
+
+const START_DOT = 'dot';
+const START_LINE = 'line';
+const START_MOVE = 'move';
+const STARTS = [START_DOT, START_LINE, START_MOVE];
+
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+
+const THICKNESS_MIN = 1;
+const THICKNESS_MAX = 255;
+
+// clients send frames every few ms, bigger ones are not decoded at all
+const MAX_FRAME_POINTS = 256;
+
+const clamp = value => Math.max(INT16_MIN, Math.min(INT16_MAX, Math.round(value)));
+
+const toDataView = (data) => {
+  if (data instanceof ArrayBuffer) {
+    return new DataView(data);
+  }
+  if (data && ArrayBuffer.isView(data)) {
+    // node buffers of received frames are often slices of a bigger one
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return null;
+};
+
+const encodePoints = (points) => {
+  const buffer = new ArrayBuffer(points.length * 4);
+  const view = new DataView(buffer);
+  let lastX = 0, lastY = 0;
+  points.forEach(({ x, y }, i) => {
+    x = clamp(x);
+    y = clamp(y);
+    view.setInt16(i * 4, clamp(x - lastX), true);
+    view.setInt16(i * 4 + 2, clamp(y - lastY), true);
+    lastX = x;
+    lastY = y;
+  });
+  return buffer;
+};
+
+const decodePoints = (data) => {
+  const view = toDataView(data);
+  if (!view) {
+    return [];
+  }
+  const points = [];
+  let x = 0, y = 0;
+  for (let offset = 0; offset + 4 <= view.byteLength; offset += 4) {
+    x += view.getInt16(offset, true);
+    y += view.getInt16(offset + 2, true);
+    points.push({ x, y });
+  }
+  return points;
+};
+
+const encodeThicknesses = (thicknesses) => {
+  const buffer = new ArrayBuffer(thicknesses.length);
+  const view = new DataView(buffer);
+  thicknesses.forEach((thickness, i) => {
+    view.setUint8(i, Math.max(THICKNESS_MIN, Math.min(THICKNESS_MAX, Math.round(thickness))));
+  });
+  return buffer;
+};
+
+const decodeThicknesses = (data) => {
+  const view = toDataView(data);
+  if (!view) {
+    return [];
+  }
+  const thicknesses = [];
+  for (let offset = 0; offset < view.byteLength; offset++) {
+    thicknesses.push(view.getUint8(offset));
+  }
+  return thicknesses;
+};
+
+// a copy of a frame from a client with its style and points within the limits of draw messages,
+// null when it can not be drawn
+const sanitize = (frame) => {
+  if (!frame || !STARTS.includes(frame.start) || !DrawData.isStrokeId(frame.stroke)) {
+    return null;
+  }
+  const pointsView = toDataView(frame.points);
+  const thicknessesView = toDataView(frame.thicknesses);
+  if (!pointsView || pointsView.byteLength > MAX_FRAME_POINTS * 4
+    || (thicknessesView && thicknessesView.byteLength > MAX_FRAME_POINTS)) {
+    return null;
+  }
+  const points = decodePoints(frame.points).map(({ x, y }) => ({ x: DrawData.clampX(x), y: DrawData.clampY(y) }));
+  if (!points.length) {
+    return null;
+  }
+  const result = { stroke: frame.stroke, start: frame.start, points: encodePoints(points) };
+  if (frame.start === START_DOT) {
+    const { tool, color, thickness, opacity } = frame;
+    const header = DrawData.sanitize({ tool, color, thickness, opacity, x: 0, y: 0 });
+    if (!header || !Smoothing.isSmoothed(header)) {
+      return null;
+    }
+    Object.assign(result, { tool: header.tool, color: header.color, thickness: header.thickness });
+    if (header.opacity !== undefined) {
+      result.opacity = header.opacity;
+    }
+  }
+  if (frame.thicknesses !== undefined) {
+    result.thicknesses = encodeThicknesses(decodeThicknesses(frame.thicknesses).map(DrawData.clampThickness));
+  }
+  return result;
+};
+
+// expands a frame into the draw messages it stands for, stroke is what is already known about the stroke
+const toDrawMessages = (frame, stroke) => {
+  if (!STARTS.includes(frame.start)) {
+    return [];
+  }
+  const strokeMessages = stroke ? stroke.messages : [];
+  const header = frame.start === START_DOT ? frame : strokeMessages[0];
+  if (!header) {
+    return [];
+  }
+  const { tool, color, thickness, opacity } = header;
+  // opaque strokes have no opacity, same as the draw messages they stand for
+  const style = opacity === undefined ? { tool, color, thickness } : { tool, color, thickness, opacity };
+  const thicknesses = decodeThicknesses(frame.thicknesses);
+  const points = decodePoints(frame.points)
+    .map((point, i) => Object.assign(point, { thickness: thicknesses[i] || thickness }));
+  const messages = [];
+  let previous = null;
+
+  switch (frame.start) {
+    case START_DOT:
+      previous = points.shift();
+      if (previous) {
+        messages.push(Object.assign({}, style, {
+          x: previous.x, y: previous.y, prevX: previous.x, prevY: previous.y, thickness: previous.thickness, stroke: frame.stroke
+        }));
+      }
+      break;
+    case START_MOVE:
+      previous = points.shift();
+      break;
+    case START_LINE:
+      const last = strokeMessages[strokeMessages.length - 1];
+      previous = last ? { x: last.x, y: last.y } : points.shift();
+      break;
+  }
+  if (!previous) {
+    return messages;
+  }
+
+  points.forEach(point => {
+    messages.push(Object.assign({}, style, {
+      x: point.x, y: point.y, prevX: previous.x, prevY: previous.y, thickness: point.thickness, stroke: frame.stroke
+    }));
+    previous = point;
+  });
+  return messages;
+};
+
+module.exports = {
+  MAX_FRAME_POINTS,
+  START_DOT,
+  START_LINE,
+  START_MOVE,
+  encodePoints,
+  decodePoints,
+  encodeThicknesses,
+  decodeThicknesses,
+  sanitize,
+  toDrawMessages
+};
@@ -0,0 +1,128 @@
+const StrokeFrames = require('./stroke-frames');
+const StrokeList = require('./stroke-list');
+const DrawData = require('./draw-data');
+
+const header = { tool: 'brush', color: '#ff0000', thickness: 6 };
+
+describe('StrokeFrames', () => {
+
+  it('should encode points as 16 bit deltas', () => {
+    const points = [{ x: 100, y: 200 }, { x: 102, y: 199 }, { x: -10, y: 650 }];
+    const buffer = StrokeFrames.encodePoints(points);
+
+    expect(buffer.byteLength).toBe(12);
+    expect(StrokeFrames.decodePoints(buffer)).toEqual(points);
+  });
+
+  it('should decode node buffers sliced from a bigger one', () => {
+    const encoded = Buffer.from(StrokeFrames.encodePoints([{ x: 5, y: 6 }, { x: 7, y: 8 }]));
+    const sliced = Buffer.concat([Buffer.from([0]), encoded]).slice(1);
+
+    expect(StrokeFrames.decodePoints(sliced)).toEqual([{ x: 5, y: 6 }, { x: 7, y: 8 }]);
+  });
+
+  it('should expand frames into the same draw messages as drawing segment by segment', () => {
+    const strokes = new StrokeList();
+    const frames = [
+      Object.assign({ stroke: 'a', start: StrokeFrames.START_DOT, points: StrokeFrames.encodePoints([{ x: 10, y: 10 }, { x: 20, y: 10 }]) }, header),
+      { stroke: 'a', start: StrokeFrames.START_LINE, points: StrokeFrames.encodePoints([{ x: 30, y: 15 }]) },
+      { stroke: 'a', start: StrokeFrames.START_MOVE, points: StrokeFrames.encodePoints([{ x: -50, y: 0 }, { x: 5, y: 5 }]) }
+    ];
+    frames.forEach(frame => StrokeFrames.toDrawMessages(frame, strokes.find(frame.stroke)).forEach(data => strokes.add(data)));
+
+    expect(strokes.getMessages().map(({ x, y, prevX, prevY }) => [prevX, prevY, x, y])).toEqual([
+      [10, 10, 10, 10],
+      [10, 10, 20, 10],
+      [20, 10, 30, 15],
+      [-50, 0, 5, 5]
+    ]);
+    expect(strokes.getMessages().every(data => data.stroke === 'a' && data.color === '#ff0000' && data.thickness === 6)).toBe(true);
+  });
+
+  it('should carry the opacity of the stroke to all of its messages', () => {
+    const strokes = new StrokeList();
+    const frames = [
+      Object.assign({ stroke: 'a', start: StrokeFrames.START_DOT, points: StrokeFrames.encodePoints([{ x: 10, y: 10 }]), opacity: 0.4 }, header),
+      { stroke: 'a', start: StrokeFrames.START_LINE, points: StrokeFrames.encodePoints([{ x: 30, y: 15 }]) }
+    ];
+    frames.forEach(frame => StrokeFrames.toDrawMessages(frame, strokes.find(frame.stroke)).forEach(data => strokes.add(data)));
+
+    expect(strokes.getMessages().map(({ opacity }) => opacity)).toEqual([0.4, 0.4]);
+  });
+
+  it('should give pen strokes the thickness of each point', () => {
+    const strokes = new StrokeList();
+    const frames = [
+      Object.assign({
+        stroke: 'a',
+        start: StrokeFrames.START_DOT,
+        points: StrokeFrames.encodePoints([{ x: 10, y: 10 }, { x: 20, y: 10 }]),
+        thicknesses: StrokeFrames.encodeThicknesses([2, 4])
+      }, header),
+      {
+        stroke: 'a',
+        start: StrokeFrames.START_MOVE,
+        points: StrokeFrames.encodePoints([{ x: 50, y: 50 }, { x: 60, y: 50 }]),
+        thicknesses: StrokeFrames.encodeThicknesses([0, 300])
+      },
+      { stroke: 'a', start: StrokeFrames.START_LINE, points: StrokeFrames.encodePoints([{ x: 70, y: 50 }]) }
+    ];
+    frames.forEach(frame => StrokeFrames.toDrawMessages(frame, strokes.find(frame.stroke)).forEach(data => strokes.add(data)));
+
+    expect(strokes.getMessages().map(({ thickness }) => thickness)).toEqual([2, 4, 255, 2]);
+  });
+
+  it('should ignore frames of unknown strokes', () => {
+    const frame = { stroke: 'a', start: StrokeFrames.START_LINE, points: StrokeFrames.encodePoints([{ x: 1, y: 1 }]) };
+
+    expect(StrokeFrames.toDrawMessages(frame, null)).toEqual([]);
+  });
+
+  it('should ignore malformed frames of known strokes', () => {
+    const strokes = new StrokeList();
+    const first = Object.assign({
+      stroke: 'a', start: StrokeFrames.START_DOT, points: StrokeFrames.encodePoints([{ x: 10, y: 10 }])
+    }, header);
+    StrokeFrames.toDrawMessages(first, null).forEach(data => strokes.add(data));
+    const points = StrokeFrames.encodePoints([{ x: 20, y: 20 }]);
+
+    expect(StrokeFrames.toDrawMessages({ stroke: 'a', start: 'jump', points }, strokes.find('a'))).toEqual([]);
+    expect(StrokeFrames.toDrawMessages({ stroke: 'a', start: StrokeFrames.START_MOVE, points: null }, strokes.find('a'))).toEqual([]);
+    expect(StrokeFrames.toDrawMessages({ stroke: 'a', start: StrokeFrames.START_DOT, points: null }, null)).toEqual([]);
+  });
+
+  it('should keep frames within the canvas and the thickness limit', () => {
+    const frame = StrokeFrames.sanitize(Object.assign({
+      stroke: 'a',
+      start: StrokeFrames.START_DOT,
+      points: StrokeFrames.encodePoints([{ x: -50, y: 100 }, { x: 900, y: 700 }]),
+      thicknesses: StrokeFrames.encodeThicknesses([4, 200]),
+      extra: 'ignored'
+    }, header, { thickness: 1000 }));
+
+    expect(frame.extra).toBeUndefined();
+    expect(frame.thickness).toBe(DrawData.MAX_THICKNESS);
+    expect(StrokeFrames.decodePoints(frame.points)).toEqual([{ x: 0, y: 100 }, { x: 800, y: 600 }]);
+    expect(StrokeFrames.decodeThicknesses(frame.thicknesses)).toEqual([4, DrawData.MAX_THICKNESS]);
+  });
+
+  it('should not let frames through that can not be drawn', () => {
+    const points = StrokeFrames.encodePoints([{ x: 1, y: 1 }]);
+
+    expect(StrokeFrames.sanitize(null)).toBe(null);
+    expect(StrokeFrames.sanitize({ stroke: 'a', start: 'jump', points })).toBe(null);
+    expect(StrokeFrames.sanitize({ stroke: 42, start: StrokeFrames.START_LINE, points })).toBe(null);
+    expect(StrokeFrames.sanitize({ stroke: 'a', start: StrokeFrames.START_LINE, points: 'nope' })).toBe(null);
+    expect(StrokeFrames.sanitize(Object.assign({ stroke: 'a', start: StrokeFrames.START_DOT, points }, header, { tool: 'bucket' }))).toBe(null);
+    expect(StrokeFrames.sanitize(Object.assign({ stroke: 'a', start: StrokeFrames.START_DOT, points }, header, { color: 'evil' }))).toBe(null);
+  });
+
+  it('should not decode frames with too many points', () => {
+    const toPoints = count => Array.from({ length: count }, (_, i) => ({ x: i % 800, y: 100 }));
+    const frame = count => ({ stroke: 'a', start: StrokeFrames.START_LINE, points: StrokeFrames.encodePoints(toPoints(count)) });
+
+    expect(StrokeFrames.sanitize(frame(StrokeFrames.MAX_FRAME_POINTS))).not.toBe(null);
+    expect(StrokeFrames.sanitize(frame(StrokeFrames.MAX_FRAME_POINTS + 1))).toBe(null);
+    expect(StrokeFrames.sanitize(Object.assign(frame(1), { thicknesses: new ArrayBuffer(StrokeFrames.MAX_FRAME_POINTS + 1) }))).toBe(null);
+  });
+});
@@ -0,0 +1,107 @@
+const UNDO_LIMIT = 30;
+
+/**
+ * Draw messages grouped into strokes by their stroke id, with undo and redo.
+ *
+ * Only the last UNDO_LIMIT strokes can be undone, older ones are baked into a flat list of messages.
+ * Server and clients apply the same operations so everyone ends up with the same drawing.
+ */
+class StrokeList {
+
+  constructor(undoLimit = UNDO_LIMIT) {
+    this.undoLimit = undoLimit;
+    this.reset();
+  }
+
+  // late joiners get the baked messages the server has no checkpoint of yet
+  reset(strokes = [], undone = [], baked = []) {
+    this.baked = baked;
+    this.strokes = strokes;
+    this.undone = undone;
+  }
+
+  get isEmpty() {
+    return !this.baked.length && !this.strokes.length;
+  }
+
+  get lastStroke() {
+    return this.strokes[this.strokes.length - 1] || null;
+  }
+
+  // the latest stroke with the id, strokes drawn at the same time by several players get split up
+  find(id) {
+    for (let i = this.strokes.length - 1; i >= 0; i--) {
+      if (this.strokes[i].id === id) {
+        return this.strokes[i];
+      }
+    }
+    return null;
+  }
+
+  add(data) {
+    let stroke = this.lastStroke;
+    if (!stroke || stroke.id !== data.stroke) {
+      stroke = { id: data.stroke, messages: [] };
+      this.strokes.push(stroke);
+      this.undone = [];
+      while (this.strokes.length > this.undoLimit) {
+        this.bake(this.strokes.shift());
+      }
+    }
+    stroke.messages.push(data);
+    return stroke;
+  }
+
+  // undoes the last stroke, or the given one wherever it is when a client drew on before hearing back
+  undo(id) {
+    const index = id ? this.strokes.findIndex(stroke => stroke.id === id) : this.strokes.length - 1;
+    if (index < 0) {
+      return null;
+    }
+    const [stroke] = this.strokes.splice(index, 1);
+    this.undone.push(stroke);
+    return stroke;
+  }
+
+  redo(id) {
+    const index = id ? this.undone.findIndex(stroke => stroke.id === id) : this.undone.length - 1;
+    if (index < 0) {
+      return null;
+    }
+    const [stroke] = this.undone.splice(index, 1);
+    this.strokes.push(stroke);
+    return stroke;
+  }
+
+  // applies a draw message the way the server broadcasts it, undo and redo included
+  apply(data) {
+    switch (data.tool) {
+      case 'undo':
+        return this.undo(data.stroke);
+      case 'redo':
+        return this.redo(data.stroke);
+      default:
+        return this.add(data);
+    }
+  }
+
+  getMessages() {
+    return this.strokes.reduce((messages, stroke) => messages.concat(stroke.messages), this.baked.slice());
+  }
+
+  getBakedMessages() {
+    return this.baked;
+  }
+
+  bake(stroke) {
+    if (stroke.messages.some(({ tool }) => tool === 'clear')) {
+      // nothing drawn before a clear matters anymore
+      this.baked = [];
+    }
+    this.baked.push(...stroke.messages);
+  }
+}
+
+StrokeList.UNDO_LIMIT = UNDO_LIMIT;
+
+module.exports = StrokeList;
@@ -0,0 +1,78 @@
+const StrokeList = require('./stroke-list');
+
+const draw = (stroke, x = 0) => ({ tool: 'brush', color: 'black', thickness: 1, x, y: 0, prevX: x, prevY: 0, stroke });
+
+describe('StrokeList', () => {
+  let list;
+
+  beforeEach(() => {
+    list = new StrokeList(3);
+  });
+
+  it('should group consecutive messages of the same stroke', () => {
+    list.add(draw('a', 1));
+    list.add(draw('a', 2));
+    list.add(draw('b', 3));
+
+    expect(list.strokes.map(({ id }) => id)).toEqual(['a', 'b']);
+    expect(list.getMessages().map(({ x }) => x)).toEqual([1, 2, 3]);
+  });
+
+  it('should undo and redo whole strokes', () => {
+    list.add(draw('a', 1));
+    list.add(draw('b', 2));
+    list.add(draw('b', 3));
+
+    expect(list.undo().id).toBe('b');
+    expect(list.getMessages().map(({ x }) => x)).toEqual([1]);
+    expect(list.redo().id).toBe('b');
+    expect(list.getMessages().map(({ x }) => x)).toEqual([1, 2, 3]);
+  });
+
+  it('should undo and redo a stroke by id', () => {
+    list.add(draw('a', 1));
+    list.add(draw('b', 2));
+
+    expect(list.undo('c')).toBe(null);
+    expect(list.undo('a').id).toBe('a');
+    expect(list.getMessages().map(({ x }) => x)).toEqual([2]);
+    expect(list.redo('c')).toBe(null);
+    expect(list.redo('a').id).toBe('a');
+    expect(list.getMessages().map(({ x }) => x)).toEqual([2, 1]);
+  });
+
+  it('should forget undone strokes after drawing a new one', () => {
+    list.add(draw('a'));
+    list.undo();
+    list.add(draw('b'));
+
+    expect(list.redo()).toBe(null);
+  });
+
+  it('should bake strokes beyond the undo limit', () => {
+    ['a', 'b', 'c', 'd'].forEach((id, x) => list.add(draw(id, x)));
+
+    expect(list.strokes.map(({ id }) => id)).toEqual(['b', 'c', 'd']);
+    expect(list.getBakedMessages().map(({ x }) => x)).toEqual([0]);
+    expect(list.getMessages().map(({ x }) => x)).toEqual([0, 1, 2, 3]);
+    list.undo();
+    list.undo();
+    list.undo();
+    expect(list.undo()).toBe(null);
+  });
+
+  it('should drop baked messages covered by a clear', () => {
+    list.add(draw('a', 1));
+    list.add({ tool: 'clear', stroke: 'b' });
+    ['c', 'd', 'e'].forEach((id, x) => list.add(draw(id, x)));
+
+    expect(list.getBakedMessages().map(({ tool }) => tool)).toEqual(['clear']);
+  });
+
+  it('should start from what a late joiner was sent', () => {
+    list.reset([{ id: 'b', messages: [draw('b', 2)] }], [{ id: 'c', messages: [draw('c', 3)] }], [draw('a', 1)]);
+
+    expect(list.getMessages()).toEqual([draw('a', 1), draw('b', 2)]);
+    expect(list.redo().id).toBe('c');
+  });
+});
@@ -0,0 +1,24 @@
+const ENGLISH = 'en';
+const DEFAULT_LANGUAGE = ENGLISH;
+
+// dictionary marks the languages words can be checked in when they are added
+const LANGUAGES = {
+  en: { name: 'English', dictionary: true },
+  sk: { name: 'Slovak', dictionary: false },
+  cs: { name: 'Czech', dictionary: false },
+  de: { name: 'German', dictionary: true },
+  es: { name: 'Spanish', dictionary: true },
+  fr: { name: 'French', dictionary: true }
+};
+
+const CODES = Object.keys(LANGUAGES);
+
+const isLanguage = code => CODES.includes(code);
+
+module.exports = {
+  ENGLISH,
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  CODES,
+  isLanguage
+};
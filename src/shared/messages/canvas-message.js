@@ -0,0 +1,21 @@
+class Message {
+
+  // image is a checkpoint of the baked messages, baked are the ones baked after it
+  constructor(image, strokes, undone, baked = []) {
+    this.payload = { image, strokes, undone, baked };
+  }
+
+  static get type() {
+    return 'canvas';
+  }
+
+  getType() {
+    return Message.type;
+  }
+
+  getPayload() {
+    return this.payload;
+  }
+}
+
+module.exports = Message;
@@ -1,7 +1,11 @@
 class Message {
 
-  constructor(tool, color, thickness, x, y, prevX, prevY) {
-    this.payload = {tool, color, thickness, x, y, prevX, prevY};
+  // opacity is left out for opaque strokes, older clients do not send it either
+  constructor(tool, color, thickness, x, y, prevX, prevY, stroke, opacity) {
+    this.payload = {tool, color, thickness, x, y, prevX, prevY, stroke};
+    if (typeof opacity === 'number' && opacity < 1) {
+      this.payload.opacity = opacity;
+    }
   }
 
   static get type(){
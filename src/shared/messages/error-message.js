@@ -0,0 +1,20 @@
+class Message {
+
+  constructor(message) {
+    this.payload = { message };
+  }
+
+  static get type() {
+    return 'server-error';
+  }
+
+  getType() {
+    return Message.type;
+  }
+
+  getPayload() {
+    return this.payload;
+  }
+}
+
+module.exports = Message;
@@ -1,7 +1,14 @@
 class Message {
 
-  constructor(token) {
-    this.token = token;
+  // the invite code is only needed to get into private rooms
+  constructor(room, inviteCode) {
+    this.room = room;
+    this.inviteCode = inviteCode;
+  }
+
+  // bumped whenever the drawing or game protocol changes so outdated clients are turned away
+  static get protocol() {
+    return '0.4';
   }
 
   static get type(){
@@ -14,8 +21,9 @@ class Message {
 
   getPayload() {
     return {
-      protocol: '0.1',
-      token: this.token
+      protocol: Message.protocol,
+      room: this.room,
+      inviteCode: this.inviteCode
     };
   }
 
@@ -2,6 +2,9 @@ class Message {
 
   constructor(name, playerData) {
     this.payload = { name, score: playerData.score, guessed: playerData.guessed };
+    if (typeof playerData.rating === 'number') {
+      this.payload.rating = playerData.rating;
+    }
   }
 
   static get type() {
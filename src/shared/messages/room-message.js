@@ -0,0 +1,20 @@
+class Message {
+
+  constructor(room) {
+    this.payload = room;
+  }
+
+  static get type() {
+    return 'room';
+  }
+
+  getType() {
+    return Message.type;
+  }
+
+  getPayload() {
+    return this.payload;
+  }
+}
+
+module.exports = Message;
@@ -0,0 +1,20 @@
+class Message {
+
+  constructor(settings) {
+    this.payload = { settings };
+  }
+
+  static get type() {
+    return 'room-settings';
+  }
+
+  getType() {
+    return Message.type;
+  }
+
+  getPayload() {
+    return this.payload;
+  }
+}
+
+module.exports = Message;
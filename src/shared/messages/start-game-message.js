@@ -0,0 +1,19 @@
+class Message {
+
+  constructor() {
+  }
+
+  static get type() {
+    return 'start-game';
+  }
+
+  getType() {
+    return Message.type;
+  }
+
+  getPayload() {
+    return {};
+  }
+}
+
+module.exports = Message;
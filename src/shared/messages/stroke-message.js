@@ -0,0 +1,24 @@
+class Message {
+
+  // thicknesses are only sent for pen strokes, which get thinner and thicker with pressure
+  constructor(stroke, start, points, header = {}, thicknesses) {
+    this.payload = Object.assign({ stroke, start, points }, header);
+    if (thicknesses) {
+      this.payload.thicknesses = thicknesses;
+    }
+  }
+
+  static get type() {
+    return 'stroke';
+  }
+
+  getType() {
+    return Message.type;
+  }
+
+  getPayload() {
+    return this.payload;
+  }
+}
+
+module.exports = Message;
@@ -1,7 +1,8 @@
 class Message {
 
-  constructor(words) {
-    this.payload = { words };
+  // difficulties of the words in the same order, 1 easy to 3 hard
+  constructor(words, difficulties) {
+    this.payload = { words, difficulties };
   }
 
   static get type() {
@@ -0,0 +1,16 @@
+const PLAYER = 'player';
+const MODERATOR = 'moderator';
+const ADMIN = 'admin';
+
+// every role can do everything the ones before it can
+const ROLES = [PLAYER, MODERATOR, ADMIN];
+
+const hasRole = (user, role) => !!user && ROLES.indexOf(user.role || PLAYER) >= ROLES.indexOf(role);
+
+module.exports = {
+  PLAYER,
+  MODERATOR,
+  ADMIN,
+  ROLES,
+  hasRole
+};